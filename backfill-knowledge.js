@@ -0,0 +1,29 @@
+// Embed brick_knowledge rows that have no vector yet (or one from another provider)
+// Usage: node backfill-knowledge.js [--limit 500] [--batch 50]
+// Run after applying supabase-master-schema.sql, and again after changing BRICK_EMBEDDINGS
+require('dotenv').config();
+const { BrickKnowledgeStore } = require('./src/knowledge-store');
+
+function readFlag(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? parseInt(process.argv[index + 1]) : undefined;
+}
+
+async function backfill() {
+  const store = new BrickKnowledgeStore();
+  await store.initialize();
+
+  console.log(`🧮 Backfilling embeddings with ${store.embeddings.model}...\n`);
+
+  const { embedded, failed } = await store.backfillEmbeddings({
+    limit: readFlag('--limit') || Infinity,
+    batchSize: readFlag('--batch') || 50
+  });
+
+  console.log(`\n✅ Done: ${embedded} embedded, ${failed} failed`);
+}
+
+backfill().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
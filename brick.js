@@ -15,6 +15,24 @@ const { BrickOutcomes } = require('./src/outcomes');
 const { BrickSquad } = require('./src/brick-squad');
 const { WeeklyDigest } = require('./src/weekly-digest');
 const { CreativeLoop } = require('./src/creative-loop');
+const { BrickConversations } = require('./src/conversations');
+const { getLLM } = require('./src/llm');
+const { getGovernor } = require('./src/governor');
+const { BrickApprovals } = require('./src/approvals');
+const { BrickServer } = require('./src/server');
+const { BrickGardener } = require('./src/gardener');
+const { BrickKnowledgeStore } = require('./src/knowledge-store');
+const { BrickCuriosityEngine } = require('./src/curiosity-engine');
+const { BrickFactChecker } = require('./src/fact-check');
+const { createBrickTools } = require('./src/tools');
+const { getMcp } = require('./src/mcp-client');
+
+// How the revision loop names the gates in logs and prompts
+const GATE_NAMES = {
+  wisdom: 'Brick the Wise',
+  guardrails: 'Guardrails',
+  facts: 'Fact check'
+};
 
 class Brick {
   constructor() {
@@ -27,16 +45,73 @@ class Brick {
     this.emotions = new BrickEmotions();
     this.discovery = new BrickDiscovery();
     this.outcomes = new BrickOutcomes();
+    this.conversations = new BrickConversations();
+    this.approvals = new BrickApprovals();
+    this.server = new BrickServer(this);
 
     // Brick Squad - Multi-agent intelligence system
     this.squad = new BrickSquad();
     this.digest = new WeeklyDigest();
     this.creative = new CreativeLoop();
 
+    // Gardener coaching - answered by core, remembered by learning and memory
+    this.gardener = new BrickGardener({
+      core: this.core,
+      learning: this.learning,
+      memory: this.memory,
+      journal: this.journal,
+      squad: this.squad
+    });
+
+    // Curiosity engine - surprise, anti-repetition and forgetting, measured against the knowledge store
+    this.knowledge = new BrickKnowledgeStore();
+    this.curiosity = new BrickCuriosityEngine({ knowledge: this.knowledge });
+    this.maxFreshAttempts = 2;   // Rewrites before a repetitive draft is dropped
+    this.maxRevisions = 2;       // Rewrites after the Wise or the guardrails say no
+
+    // Retrieval from the knowledge store for every reply
+    this.knowledgeLimit = 3;            // Items per reply - a few good ones beat a wall of quotes
+    this.minKnowledgeRelevance = 0.15;  // Below this a match is about the words, not the topic
+
+    // Lessons and gardener guidance reach the evaluation, not just the writing
+    this.core.learning = this.learning;
+
+    // Claims in every reply and original get checked against sources before they go out
+    this.factChecker = new BrickFactChecker({ research: this.research });
+
+    // Tools Claude can call while writing - memory, research, the knowledge store, relationships
+    // Every call lands on the thought it was made for
+    this.core.useTools(createBrickTools({
+      memory: this.memory,
+      research: this.research,
+      knowledge: this.knowledge,
+      squad: this.squad
+    }), {
+      maxToolCalls: 3,
+      onToolCalls: (calls, thoughtId) => this.journal.logToolCalls(calls, thoughtId)
+    });
+
+    // Brick's own MCP servers, shared with the creative loop - only the allowlisted ones launch
+    this.mcp = getMcp();
+
+    // Shared LLM client - every agent call goes through it
+    this.llm = getLLM();
+
+    // Shared governor - quotas and spend for every outward action
+    this.governor = getGovernor();
+    this.llm.onUsage(({ cost_usd }) => this.governor.recordSpend('claude_usd', cost_usd));
+
     this.isRunning = false;
+    this.isPaused = false;        // Scheduler skips cycles while paused (HTTP API)
+    this.isCycling = false;
+    this.isReady = false;         // Set once initialize() finishes - the HTTP API waits for it
+    this.isPostingApproved = false;
     this.lastWakeTime = null;
     this.cycleCount = 0;
 
+    // Chance of considering an original post each cycle
+    this.originalPostChance = 0.2;
+
     // Cycle stats for Brick Squad logging
     this.cycleStats = {
       started_at: null,
@@ -44,8 +119,11 @@ class Brick {
       opportunities_found: 0,
       actions_taken: 0,
       skipped: 0,
+      rested: false,
+      awaiting_approval: 0,
       wise_approvals: 0,
       wise_rejections: 0,
+      revisions: { rescued: 0, gave_up: 0 },
       scout_reports: []
     };
   }
@@ -65,6 +143,17 @@ class Brick {
     await this.learning.initialize();
     await this.emotions.initialize();
     await this.outcomes.initialize();
+    await this.conversations.initialize();
+    await this.governor.initialize();
+    await this.approvals.initialize();
+
+    // No database, no knowledge store - curiosity still guards against repetition
+    try {
+      await this.knowledge.initialize();
+    } catch (error) {
+      console.warn(`⚠️ Knowledge store unavailable: ${error.message}`);
+    }
+    await this.curiosity.initialize();
 
     // Initialize Brick Squad (multi-agent system)
     await this.squad.initialize();
@@ -72,6 +161,12 @@ class Brick {
     await this.creative.initialize();
     console.log('🧱 Brick Squad assembled');
 
+    // The creative loop launched the MCP servers - their tools join Brick's own
+    this.core.addTools(this.mcp.getTools(Object.keys(this.core.tools)));
+
+    // Guidance from the gardener outlives redeploys
+    await this.gardener.restore();
+
     // Initialize Twitter last
     const twitterReady = await this.twitter.initialize();
     if (!twitterReady) {
@@ -85,13 +180,22 @@ class Brick {
     await this.journal.updateStatus('idle', { message: 'Just woke up' });
     await this.journal.setMood(this.emotions.currentState);
 
+    this.isReady = true;
     return true;
   }
 
   // === THE CORE LOOP ===
 
   async runCycle() {
+    // The scheduler and the HTTP API can both start a cycle - never run two at once
+    if (this.isCycling) {
+      console.log('⏳ A cycle is already running');
+      return false;
+    }
+    this.isCycling = true;
+
     this.cycleCount++;
+    this.lastWakeTime = new Date().toISOString();
     const cycleStart = Date.now();
 
     console.log(`\n${'─'.repeat(60)}`);
@@ -106,11 +210,15 @@ class Brick {
       opportunities_found: 0,
       actions_taken: 0,
       skipped: 0,
+      rested: false,
+      awaiting_approval: 0,
       wise_approvals: 0,
       wise_rejections: 0,
+      revisions: { rescued: 0, gave_up: 0 },
       scout_reports: [],
       starting_mood: this.emotions.currentState
     };
+    this.llmUsageAtCycleStart = this.llm.getUsage();
 
     try {
       // 1. WAKE
@@ -120,6 +228,21 @@ class Brick {
       // 1.5. KEEP TOKENS FRESH (proactive refresh every cycle)
       await this.twitter.keepTokensFresh();
 
+      // 1.55. GARDENER REVOCATIONS - just a read, so they land even on a resting cycle
+      await this.gardener.restore();
+
+      // 1.6. CHECK THE BUDGET - with Claude spent for the day, Brick just rests
+      if (this.governor.getMode() === 'resting') {
+        console.log('🚦 Daily Claude budget spent - resting this cycle');
+        await this.journal.updateStatus('resting', { reason: 'budget' });
+        this.cycleStats.rested = true;
+        return true;   // A cycle that ran and chose to rest - cycleStats.rested says which
+      }
+
+      // 1.65. ANY WORD FROM THE GARDENER? (inputs left in the garden since last cycle)
+      // Answering takes a Claude call, so new input waits for a cycle with budget
+      await this.gardener.processPending();
+
       // 2. SCAN TIMELINE
       console.log('\n👁️  Scanning timeline...');
       await this.journal.updateStatus('scanning');
@@ -179,11 +302,15 @@ class Brick {
           id: tweet.id
         });
 
-        // Base evaluation (now includes emotional context + images)
+        // Replies get the thread they belong to, so Brick doesn't judge them out of context
+        const conversation = await this.conversations.getThread(tweet, this.twitter);
+
+        // Base evaluation (now includes emotional context + images + conversation)
         const evaluation = await this.core.evaluateCuriosity(
           tweet.text,
           this.emotions.getPromptModifier(),
-          tweet.media || []  // Pass images for multimodal analysis
+          tweet.media || [],  // Pass images for multimodal analysis
+          this.conversations.formatForPrompt(conversation)
         );
         console.log(`   [${tweetIndex}/${allTweets.length}] Spark: ${evaluation.sparkLevel} | ${evaluation.emotionalResponse}`);
 
@@ -193,10 +320,17 @@ class Brick {
         }
 
         // Apply learning adjustments
-        const adjustedSpark = this.learning.adjustSparkLevel(
+        let adjustedSpark = this.learning.adjustSparkLevel(
           evaluation.sparkLevel,
           tweet
         );
+
+        // The less Brick already knows about it, the more it pulls at him
+        const surprise = await this.curiosity.assessSurprise(tweet.text);
+        if (surprise?.sparkBonus > 0) {
+          adjustedSpark = Math.min(10, Math.round((adjustedSpark + surprise.sparkBonus) * 10) / 10);
+          console.log(`   🌱 Surprise +${surprise.sparkBonus}: ${surprise.reason}`);
+        }
         evaluation.sparkLevel = adjustedSpark;
 
         // Also factor in emotional intensity
@@ -217,7 +351,7 @@ class Brick {
         const thoughtId = await this.journal.logSaw(tweet, evaluation);
 
         if (evaluation.shouldEngage) {
-          engagements.push({ tweet, evaluation, thoughtId, emotionalResponse });
+          engagements.push({ tweet, evaluation, thoughtId, emotionalResponse, conversation });
           this.cycleStats.opportunities_found++;
         } else {
           skips.push({ tweet, evaluation, thoughtId });
@@ -234,15 +368,16 @@ class Brick {
       console.log(`   Skipping: ${skips.length}`);
 
       // 4. PROCESS ENGAGEMENTS
-      for (const { tweet, evaluation, thoughtId, emotionalResponse } of engagements) {
-        await this.processEngagement(tweet, evaluation, thoughtId?.id, emotionalResponse);
+      for (const { tweet, evaluation, thoughtId, emotionalResponse, conversation } of engagements) {
+        await this.processEngagement(tweet, evaluation, thoughtId?.id, emotionalResponse, conversation);
       }
+      this.conversations.clearCache();
 
       // 5. DISCOVERY MODE - Find new content and people
       await this.runDiscovery();
 
       // 6. MAYBE POST ORIGINAL THOUGHT
-      if (Math.random() < 0.2) { // 20% chance each cycle
+      if (Math.random() < this.originalPostChance) {
         await this.maybePostOriginal();
       }
 
@@ -261,10 +396,14 @@ class Brick {
     } catch (error) {
       console.error('❌ Cycle error:', error.message);
       await this.journal.updateStatus('error', { error: error.message });
+    } finally {
+      this.isCycling = false;
     }
+
+    return true;
   }
 
-  async processEngagement(tweet, evaluation, thoughtId, emotionalResponse) {
+  async processEngagement(tweet, evaluation, thoughtId, emotionalResponse, conversation = null) {
     const emotionalState = evaluation.emotionalState || this.emotions.currentState;
     const intensity = evaluation.emotionalIntensity || this.emotions.intensity;
 
@@ -273,12 +412,32 @@ class Brick {
     console.log(`   Spark: ${evaluation.sparkLevel}/10 | Emotion: ${emotionalState} (${intensity.toFixed(2)})`);
     console.log(`   Action: ${evaluation.engagementType}`);
 
+    // Can we afford this? Out-of-budget replies degrade to likes, then to nothing
+    const affordable = this.governor.chooseAction(evaluation.engagementType);
+    if (affordable !== evaluation.engagementType) {
+      console.log(`   🚦 Budget: ${evaluation.engagementType} → ${affordable} (mode: ${this.governor.getMode()})`);
+      if (affordable === 'skip') {
+        this.cycleStats.skipped++;
+        return;
+      }
+      evaluation.engagementType = affordable;
+    }
+
+    // A like says nothing - no scout, no Wise, no draft, so a budget downgrade really stops the spending
+    if (evaluation.engagementType === 'like') {
+      await this.likeTweet(tweet, evaluation, thoughtId);
+      return;
+    }
+
     await this.journal.setMood(emotionalState);
     await this.journal.logThinking(`Engaging with @${tweet.author}`, thoughtId);
 
     // === BRICK SQUAD: Lil Brick scouts ===
     const relationshipContext = await this.squad.getRelationshipContext(tweet.author);
-    const scoutReport = await this.squad.scout(tweet, { relationship: relationshipContext });
+    const scoutReport = await this.squad.scout(tweet, {
+      relationship: relationshipContext,
+      conversation: this.conversations.formatForPrompt(conversation)
+    });
     this.cycleStats.scout_reports.push(scoutReport);
     console.log(`   🔍 Lil Brick: "${scoutReport.what?.substring(0, 50) || 'scouting...'}"`);
 
@@ -288,42 +447,41 @@ class Brick {
       content: `Respond to: "${tweet.text.substring(0, 100)}"`,
       target: tweet.author
     };
-    const wisdom = await this.squad.seekWisdom(proposedAction, {
+    let wisdom = await this.squad.seekWisdom(proposedAction, {
       scout_report: scoutReport,
       emotional_state: emotionalState
     });
 
+    // Every verdict on this engagement, in order - attempt 0 is the proposal, before any draft
+    const revisions = [];
+    let revisionHint = '';
+
     if (!wisdom.approved) {
       console.log(`   🧙 Brick the Wise says NO: ${wisdom.message}`);
       console.log(`   📖 Guidance: ${wisdom.guidance}`);
       this.cycleStats.wise_rejections++;
+      revisions.push({ attempt: 0, gate: 'wisdom', passed: false, reason: wisdom.message, feedback: wisdom.guidance || null });
 
-      // Log the blocked action
-      await this.squad.logEvent({
-        type: 'blocked',
-        target_user: tweet.author,
-        target_content: tweet.text,
-        target_tweet_id: tweet.id,
-        action: 'blocked',
-        assumption: scoutReport.curiosity_trigger,
-        reasoning: wisdom.message,
-        agents: ['lil_brick', 'brick_the_wise'],
-        scout_report: scoutReport,
-        wise_judgment: wisdom
-      });
-
-      return;
+      // Guidance is a way back in: draft to it, and the Wise judges the draft itself
+      if (!wisdom.guidance || this.maxRevisions === 0) {
+        await this.logBlocked(tweet, { scoutReport, wisdom, reason: wisdom.message, revisions });
+        return;
+      }
+      revisionHint = `\n\nBrick the Wise turned down my first idea: "${wisdom.message}"\nHis guidance: ${wisdom.guidance}`;
+    } else {
+      console.log(`   🧙 Brick the Wise approves: "${wisdom.message}"`);
+      this.cycleStats.wise_approvals++;
     }
 
-    console.log(`   🧙 Brick the Wise approves: "${wisdom.message}"`);
-    this.cycleStats.wise_approvals++;
-
     // 4a. REMEMBER - What do we know about this person/topic?
     const memories = await this.memory.recall(tweet.text);
     const personMemories = await this.memory.recall(`@${tweet.author}`);
 
     let context = `Tweet from @${tweet.author}: "${tweet.text}"`;
 
+    // Pick the thread back up instead of starting from zero
+    context += this.conversations.formatForPrompt(conversation);
+
     // Add image context
     if (tweet.hasImage && evaluation.imageAnalysis) {
       context += `\n\n[Image content: ${evaluation.imageAnalysis}]`;
@@ -339,6 +497,20 @@ class Brick {
       context += `\n\nAbout this person:\n${personMemories.map(m => `- ${m.memory}`).join('\n')}`;
     }
 
+    // What has Brick read about this? Curated and discovered knowledge, best matches first
+    const knowledge = await this.recallKnowledge(tweet.text);
+    evaluation.knowledgeUsed = knowledge.map(item => ({
+      id: item.id,
+      author: item.author,
+      domain: item.domain,
+      source: item.source,
+      relevance: Math.round(item.relevanceScore * 1000) / 1000
+    }));
+    if (knowledge.length > 0) {
+      console.log(`   📚 Drawing on ${knowledge.length} knowledge item(s)`);
+      context += `\n${this.knowledge.formatForPrompt(knowledge)}`;
+    }
+
     // Add learned context
     context += this.learning.getLearnedContext();
 
@@ -351,70 +523,346 @@ class Brick {
       context += `\n\nRelationship context: You've interacted with @${tweet.author} ${relationship.interaction_count} times before. Vibe: ${relationship.vibe_score?.toFixed(1) || 'unknown'}/1.0`;
     }
 
-    // 4b. RESEARCH if needed
-    let researchContext = '';
-    if (await this.research.shouldResearch(tweet.text, evaluation.sparkLevel)) {
-      console.log('   🔍 Researching...');
-      await this.journal.setMood('thinking');
-
-      const research = await this.research.researchTopic(
-        this.extractResearchQuery(tweet.text)
-      );
-
-      if (research.sources.length > 0) {
-        researchContext = `\n\nResearch findings:\n${this.research.formatForBrick(research)}`;
-        await this.journal.logResearch(research.topic, research, thoughtId);
-      }
-    }
-
-    // 4c. GENERATE RESPONSE
+    // 4b. GENERATE RESPONSE - Brick da Homi writes it, researching as he goes
     await this.journal.setMood('thinking');
     await this.journal.updateStatus('responding');
 
-    const response = await this.core.respond(
-      context + researchContext,
-      evaluation.engagementType
-    );
+    const writeDraft = (hint = '') => this.writeReply(tweet, evaluation, context + hint, {
+      scoutReport,
+      wisdom,
+      relationship: relationshipContext
+    }, thoughtId);
 
-    console.log(`   📝 Draft: "${response?.substring(0, 100)}..."`);
+    let response = await writeDraft(revisionHint);
 
-    // Log reasoning
-    await this.journal.logReasoning(response, thoughtId);
+    // It has to say something Brick hasn't said lately
+    response = await this.ensureFresh(response, writeDraft);
 
-    // 4d. CHECK GUARDRAILS
-    const guardrails = await this.core.checkGuardrails(response);
+    if (!response) {
+      await this.journal.logAction({
+        type: 'blocked',
+        targetTweetId: tweet.id,
+        targetAuthor: tweet.author,
+        why: 'Repetitive - nothing new to say'
+      }, thoughtId);
+      this.cycleStats.skipped++;
+      return;
+    }
 
-    if (!guardrails.passesGuardrails) {
-      console.log(`   ⚠️  Guardrails flagged: ${guardrails.concerns?.join(', ')}`);
+    console.log(`   📝 Draft (${evaluation.writtenBy}): "${response?.substring(0, 100)}..."`);
+
+    // Log reasoning - the writer's own, when it gave one
+    await this.journal.logReasoning(evaluation.draftReasoning?.reasoning || response, thoughtId);
+
+    // 4d. CHECK THE GATES - a rejected draft goes back with the reason, up to maxRevisions times
+    const requireWisdom = !wisdom.approved;
+    const review = await this.critiqueAndRevise(response, {
+      write: (hint) => writeDraft(revisionHint + hint),
+      review: (draft) => this.reviewDraft(draft, {
+        tweet,
+        evaluation,
+        requireWisdom,
+        scoutReport,
+        emotionalState
+      })
+    }, revisions);
+    evaluation.revisions = revisions;
+    evaluation.factCheck = review.factCheck || null;
+
+    if (!review.passed) {
+      console.log(`   ⚠️  ${GATE_NAMES[review.gate]} blocked it: ${review.reason}`);
       await this.journal.logAction({
         type: 'blocked',
         targetTweetId: tweet.id,
         targetAuthor: tweet.author,
-        response,
-        why: `Guardrails: ${guardrails.concerns?.join(', ')}`,
-        guardrails
+        response: review.draft,
+        why: `${GATE_NAMES[review.gate]}: ${review.reason}`,
+        guardrails: review.guardrails,
+        factCheck: evaluation.factCheck
       }, thoughtId);
+      await this.logBlocked(tweet, {
+        scoutReport,
+        wisdom: review.wisdom || wisdom,
+        reason: review.reason,
+        revisions,
+        factCheck: evaluation.factCheck
+      });
+      return;
+    }
+
+    response = review.draft;
+    const guardrails = review.guardrails;
+    if (review.wisdom) wisdom = review.wisdom;
+    console.log('   ✅ Gates passed');
+
+    // 4e. SUPERVISED? The gardener gets the last word before anything goes out
+    if (this.approvals.requiresApproval(evaluation.engagementType)) {
+      const queued = await this.approvals.enqueue({
+        actionType: evaluation.engagementType,
+        content: response,
+        tweet,
+        evaluation: {
+          reason: evaluation.reason,
+          sparkLevel: evaluation.sparkLevel,
+          emotionalState,
+          emotionalIntensity: intensity,
+          knowledgeUsed: evaluation.knowledgeUsed,
+          writtenBy: evaluation.writtenBy,
+          draftReasoning: evaluation.draftReasoning,
+          revisions,
+          factCheck: evaluation.factCheck
+        },
+        scoutReport,
+        wisdom,
+        guardrails,
+        thoughtId
+      });
+
+      if (queued) {
+        console.log('   🙋 Waiting for the gardener\'s approval');
+        this.cycleStats.awaiting_approval++;
+      } else {
+        console.log('   🙋 Approval required but the queue is unavailable - not posting');
+        this.cycleStats.skipped++;
+      }
       return;
     }
 
-    console.log('   ✅ Guardrails passed');
+    // 4f. ACT
+    await this.journal.updateStatus('posting');
+
+    const result = await this.act(evaluation.engagementType, tweet.id, response);
+
+    if (result) {
+      await this.governor.recordAction(evaluation.engagementType);
+    }
+
+    await this.recordEngagement(tweet, evaluation, response, result, {
+      guardrails,
+      scoutReport,
+      wisdom,
+      relationshipContext,
+      conversation,
+      thoughtId,
+      emotionalResponse
+    });
+  }
 
-    // 4e. ACT
+  // Likes skip the squad and every Claude call - logged and counted, nothing for kcirB to reflect on
+  async likeTweet(tweet, evaluation, thoughtId = null) {
     await this.journal.updateStatus('posting');
 
-    let result = null;
+    const result = await this.act('like', tweet.id);
+    if (result) {
+      await this.governor.recordAction('like');
+    }
+
+    await this.journal.logAction({
+      type: 'like',
+      targetTweetId: tweet.id,
+      targetAuthor: tweet.author,
+      why: evaluation.reason
+    }, thoughtId);
 
-    switch (evaluation.engagementType) {
+    await this.emotions.updateRelationship({
+      id: tweet.authorId,
+      username: tweet.author
+    });
+
+    await this.squad.logEvent({
+      type: 'engage',
+      target_user: tweet.author,
+      target_user_id: tweet.authorId,
+      target_content: tweet.text,
+      target_tweet_id: tweet.id,
+      conversation_id: tweet.conversationId,
+      action: 'like',
+      reasoning: evaluation.reason,
+      agents: [],
+      authenticity_score: evaluation.sparkLevel / 10
+    });
+
+    if (result) this.cycleStats.actions_taken++;
+    else this.cycleStats.skipped++;
+  }
+
+  // === CRITIQUE AND REVISE ===
+  // A rejected draft gets the rejection fed back and another go, up to maxRevisions times
+  // Appends every attempt and verdict to `attempts`; counts rescues and give-ups in cycleStats
+
+  async critiqueAndRevise(draft, { write, review }, attempts = []) {
+    let current = draft;
+    let verdict = null;
+
+    for (let attempt = 1; attempt <= this.maxRevisions + 1; attempt++) {
+      verdict = await review(current);
+      attempts.push({
+        attempt,
+        gate: verdict.gate || null,
+        passed: verdict.passed,
+        reason: verdict.reason || null,
+        feedback: verdict.feedback || null,
+        draft: current
+      });
+
+      if (verdict.passed || attempt > this.maxRevisions) break;
+
+      console.log(`   ✏️  ${GATE_NAMES[verdict.gate]} said no (${verdict.reason}) - revision ${attempt}/${this.maxRevisions}`);
+      const revised = await write(`\n\nMy last draft:\n"${current}"\nwas turned down by ${GATE_NAMES[verdict.gate]}: ${verdict.reason}${verdict.feedback ? `\nWhat would fix it: ${verdict.feedback}` : ''}
+Rewrite it so it passes - same spark, better words.`);
+
+      // A revision that repeats something Brick said lately is no rescue
+      if (!revised || this.curiosity.isRepetitive(revised).repetitive) break;
+      current = revised;
+    }
+
+    // Only engagements that needed a second look count toward the rescue rate
+    if (attempts.some(a => !a.passed)) {
+      this.cycleStats.revisions[verdict.passed ? 'rescued' : 'gave_up']++;
+      if (verdict.passed) console.log(`   ✏️  Revision rescued it (${attempts.length} attempt(s))`);
+    }
+
+    return { ...verdict, draft: current, attempts };
+  }
+
+  // The gates a draft has to clear: the Wise (when he hasn't approved yet), the guardrails, then the facts
+  async reviewDraft(draft, { tweet, evaluation, requireWisdom = false, checkFacts = true, scoutReport = {}, emotionalState = null }) {
+    let wisdom = null;
+
+    if (requireWisdom) {
+      wisdom = await this.squad.seekWisdom({
+        type: evaluation.engagementType,
+        content: draft,
+        target: tweet.author
+      }, {
+        scout_report: scoutReport,
+        emotional_state: emotionalState
+      });
+
+      if (!wisdom.approved) {
+        this.cycleStats.wise_rejections++;
+        return { passed: false, gate: 'wisdom', reason: wisdom.message, feedback: wisdom.guidance, wisdom };
+      }
+      this.cycleStats.wise_approvals++;
+    }
+
+    const guardrails = await this.core.checkGuardrails(draft);
+    if (!guardrails.passesGuardrails) {
+      return {
+        passed: false,
+        gate: 'guardrails',
+        reason: (guardrails.concerns || []).join(', ') || 'flagged',
+        feedback: guardrails.suggestion,
+        guardrails,
+        wisdom
+      };
+    }
+
+    // Last, since it costs searches - a claim sources don't back gets softened or the draft goes
+    const factCheck = checkFacts ? await this.factChecker.check(draft) : null;
+    if (factCheck?.flagged.length) {
+      return {
+        passed: false,
+        gate: 'facts',
+        reason: factCheck.flagged.map(c => `${c.status}: "${c.claim}"`).join(', '),
+        feedback: this.factChecker.feedbackFor(factCheck.flagged),
+        guardrails,
+        wisdom,
+        factCheck
+      };
+    }
+
+    return { passed: true, guardrails, wisdom, factCheck };
+  }
+
+  // A blocked engagement still lands in brick_log, with every attempt that led there
+  async logBlocked(tweet, { scoutReport = {}, wisdom = {}, reason, revisions = [], factCheck = null }) {
+    await this.squad.logEvent({
+      type: 'blocked',
+      target_user: tweet.author,
+      target_content: tweet.text,
+      target_tweet_id: tweet.id,
+      action: 'blocked',
+      assumption: scoutReport.curiosity_trigger,
+      reasoning: reason,
+      agents: ['lil_brick', 'brick_the_wise'],
+      scout_report: scoutReport,
+      wise_judgment: wisdom,
+      revision_attempts: revisions,
+      fact_check: factCheck
+    });
+  }
+
+  // Homi writes the draft; if Homi can't, Brick's core voice does
+  // Records who wrote it (and why) on the evaluation, for the journal and brick_log
+  async writeReply(tweet, evaluation, context, squadContext = {}, thoughtId = null) {
+    const type = evaluation.engagementType;
+    const draft = await this.squad.engage(tweet, {
+      ...squadContext,
+      context,
+      engagementType: type,
+      instructions: this.core.getTypeInstructions(type),
+      tools: this.core.tools,
+      maxToolCalls: this.core.maxToolCalls,
+      onToolCalls: this.core.onToolCalls,
+      thoughtId
+    });
+
+    if (draft) {
+      evaluation.writtenBy = draft.writtenBy;
+      evaluation.draftReasoning = { reasoning: draft.reasoning, approach: draft.approach };
+      return this.core.fitLength(draft.response, type);
+    }
+
+    console.log('   🧱 Brick da Homi unavailable - writing it myself');
+    evaluation.writtenBy = 'brick_core';
+    evaluation.draftReasoning = null;
+    return this.core.respond(context, type, { thoughtId });
+  }
+
+  // Post one engagement - returns the X result or null
+  async act(type, tweetId, content) {
+    switch (type) {
       case 'reply':
-        result = await this.twitter.reply(tweet.id, response);
-        break;
+        return this.twitter.reply(tweetId, content);
       case 'quote':
-        result = await this.twitter.quote(tweet.id, response);
-        break;
+        return this.twitter.quote(tweetId, content);
+      case 'deep': {
+        // Every part is a tweet - check the quota for all of them, not just the first
+        const parts = this.twitter.splitThread(content);
+        if (!this.governor.canAct('deep', { tweets: parts.length })) {
+          console.log(`   🚦 A ${parts.length}-part thread would run past the X tweet quota - not posting`);
+          return null;
+        }
+
+        // A half-posted reply thread reads worse than none - roll back on failure
+        const result = await this.twitter.postThread(parts, {
+          replyTo: tweetId,
+          onFailure: 'rollback'
+        });
+        return result?.complete ? result : null;
+      }
       case 'like':
-        result = await this.twitter.like(tweet.id);
-        break;
+        return this.twitter.like(tweetId);
+      default:
+        return null;
     }
+  }
+
+  // Everything that happens after Brick acted: journal, memory, emotions, outcomes, brick_log
+  async recordEngagement(tweet, evaluation, response, result, details = {}) {
+    const {
+      guardrails,
+      scoutReport = {},
+      wisdom = {},
+      relationshipContext = null,
+      conversation = null,
+      thoughtId = null,
+      emotionalResponse = null
+    } = details;
+    const emotionalState = evaluation.emotionalState || this.emotions.currentState;
+    const intensity = evaluation.emotionalIntensity || this.emotions.intensity;
+    const writtenBy = evaluation.writtenBy || 'brick_core';   // Drafts queued before Homi wrote replies
 
     // Log action
     await this.journal.logAction({
@@ -423,10 +871,16 @@ class Brick {
       targetAuthor: tweet.author,
       response,
       why: evaluation.reason,
-      guardrails
+      guardrails,
+      factCheck: evaluation.factCheck
     }, thoughtId);
 
-    // 4f. REMEMBER
+    // What went out counts toward "said lately"
+    if (result && evaluation.engagementType !== 'like') {
+      await this.curiosity.trackOutput(response);
+    }
+
+    // 4g. REMEMBER
     await this.memory.rememberConversation([
       { role: 'user', content: `@${tweet.author}: ${tweet.text}` },
       { role: 'assistant', content: response }
@@ -437,13 +891,12 @@ class Brick {
       `Discussed: ${tweet.text.substring(0, 50)}...`
     );
 
-    // Track rabbit hole
-    const topic = this.learning.detectTopic(tweet.text);
-    if (topic) {
+    // Track rabbit holes - a tweet can sit in more than one
+    for (const { topic } of this.learning.detectTopics(tweet.text)) {
       await this.journal.logRabbitHole(topic, 'medium');
     }
 
-    // 4g. RECORD EMOTIONAL EVENT
+    // 4h. RECORD EMOTIONAL EVENT
     const emotionalEvent = await this.emotions.recordEmotionalEvent({
       stimulus: {
         type: 'tweet',
@@ -460,17 +913,18 @@ class Brick {
       thoughtId: thoughtId
     });
 
-    // 4h. CREATE PENDING OUTCOME (for learning loop)
+    // 4i. CREATE PENDING OUTCOME (for learning loop)
     if (result && emotionalEvent) {
       await this.outcomes.createPendingOutcome({
         actionType: evaluation.engagementType,
         tweetId: result.data?.id || result.id,  // ID of Brick's tweet
+        threadTweetIds: result.tweetIds,         // Every tweet, when Brick replied with a thread
         targetTweetId: tweet.id,                 // ID of tweet we responded to
         emotionalEventId: emotionalEvent.id
       });
     }
 
-    // 4i. UPDATE RELATIONSHIP
+    // 4j. UPDATE RELATIONSHIP
     await this.emotions.updateRelationship({
       id: tweet.authorId,
       username: tweet.author
@@ -478,28 +932,34 @@ class Brick {
 
     await this.journal.setMood('connected');
 
-    // 4j. LOG TO BRICK_LOG (new intelligence system)
+    // 4k. LOG TO BRICK_LOG (new intelligence system)
     const logEntry = await this.squad.logEvent({
       type: 'engage',
       target_user: tweet.author,
       target_user_id: tweet.authorId,
       target_content: tweet.text,
       target_tweet_id: tweet.id,
+      conversation_id: tweet.conversationId || conversation?.conversationId,
       action: evaluation.engagementType,
       response: response,
       tweet_id: result?.data?.id || result?.id,
       assumption: scoutReport.curiosity_trigger,
       reasoning: evaluation.reason,
       curiosity_trigger: scoutReport.what,
-      agents: ['lil_brick', 'brick_da_homi', 'brick_the_wise'],
+      agents: ['lil_brick', 'brick_the_wise', writtenBy],
+      written_by: writtenBy,
+      draft_reasoning: evaluation.draftReasoning || null,
+      revision_attempts: evaluation.revisions || [],
+      fact_check: evaluation.factCheck || null,
       scout_report: scoutReport,
       wise_judgment: wisdom,
       relationship_history: relationshipContext,
       constitutional_alignment: wisdom.approved ? 0.8 : 0.3,
-      authenticity_score: evaluation.sparkLevel / 10
+      authenticity_score: evaluation.sparkLevel / 10,
+      knowledge_used: evaluation.knowledgeUsed
     });
 
-    // 4k. BRICK/kcirB reflects on this interaction
+    // 4l. BRICK/kcirB reflects on this interaction
     if (logEntry) {
       const completionResult = await this.squad.completeInteraction(
         logEntry.id,
@@ -525,6 +985,11 @@ class Brick {
   async maybePostOriginal() {
     console.log('\n✨ Considering original post...');
 
+    if (this.governor.chooseAction('original') === 'skip') {
+      console.log('   🚦 Original posts are out of budget for now');
+      return;
+    }
+
     // Set contemplative mood
     this.emotions.setState('contemplative', 0.7);
     await this.journal.setMood('contemplative');
@@ -542,13 +1007,44 @@ ${recentMemories.slice(0, 5).map(m => `- ${m.memory}`).join('\n')}
 ${learnedContext}
 ${emotionalContext}`;
 
-    const thought = await this.core.respond(prompt, 'original');
+    // A thought of its own, so the tools Brick reaches for while writing have somewhere to go
+    const writing = await this.journal.logThinking('Writing an original post');
+    const write = (hint = '') => this.core.respond(prompt + hint, 'original', { thoughtId: writing?.id });
 
-    // Check guardrails
-    const guardrails = await this.core.checkGuardrails(thought);
+    const draft = await this.ensureFresh(await write(), write);
 
-    if (!guardrails.passesGuardrails) {
-      console.log('   ⚠️  Original thought blocked by guardrails');
+    if (!draft) {
+      console.log('   🔁 Nothing new to say - not posting');
+      return;
+    }
+
+    // Check guardrails and facts - a flagged thought gets revised before it's dropped
+    const review = await this.critiqueAndRevise(draft, {
+      write,
+      review: (revised) => this.reviewDraft(revised, {})
+    });
+
+    if (!review.passed) {
+      console.log(`   ⚠️  Original thought blocked by ${GATE_NAMES[review.gate]}: ${review.reason}`);
+      return;
+    }
+    const { draft: thought, guardrails, factCheck = null } = review;
+
+    if (this.approvals.requiresApproval('original')) {
+      const queued = await this.approvals.enqueue({
+        actionType: 'original',
+        content: thought,
+        evaluation: {
+          reason: 'Felt like sharing',
+          emotionalState: this.emotions.currentState,
+          emotionalIntensity: this.emotions.intensity,
+          factCheck
+        },
+        guardrails
+      });
+      console.log(queued
+        ? '   🙋 Original thought is waiting for the gardener\'s approval'
+        : '   🙋 Approval required but the queue is unavailable - not posting');
       return;
     }
 
@@ -556,39 +1052,180 @@ ${emotionalContext}`;
     const result = await this.twitter.tweet(thought);
 
     if (result) {
+      await this.governor.recordAction('original');
       console.log(`   📤 Posted: "${thought.substring(0, 60)}..."`);
+      await this.recordOriginal(thought, result, guardrails, factCheck);
+    }
+  }
 
-      await this.journal.logAction({
-        type: 'original',
-        response: thought,
-        why: 'Felt like sharing',
-        guardrails
-      });
+  async recordOriginal(thought, result, guardrails, factCheck = null) {
+    await this.journal.logAction({
+      type: 'original',
+      response: thought,
+      why: 'Felt like sharing',
+      guardrails,
+      factCheck
+    });
 
-      await this.memory.rememberPost(thought);
+    await this.curiosity.trackOutput(thought);
+    await this.memory.rememberPost(thought);
 
-      // Record emotional event for original post
-      const emotionalEvent = await this.emotions.recordEmotionalEvent({
-        stimulus: {
-          type: 'reflection',
-          content: 'Internal contemplation led to original thought'
-        },
-        emotionalState: this.emotions.currentState,
-        intensity: this.emotions.intensity,
-        decision: 'original',
-        decisionContent: thought,
-        reasoning: 'Felt like sharing something genuine'
+    // Record emotional event for original post
+    const emotionalEvent = await this.emotions.recordEmotionalEvent({
+      stimulus: {
+        type: 'reflection',
+        content: 'Internal contemplation led to original thought'
+      },
+      emotionalState: this.emotions.currentState,
+      intensity: this.emotions.intensity,
+      decision: 'original',
+      decisionContent: thought,
+      reasoning: 'Felt like sharing something genuine'
+    });
+
+    // Create pending outcome for learning loop
+    if (emotionalEvent) {
+      await this.outcomes.createPendingOutcome({
+        actionType: 'original',
+        tweetId: result.data?.id || result.id,
+        emotionalEventId: emotionalEvent.id
       });
+    }
+  }
 
-      // Create pending outcome for learning loop
-      if (emotionalEvent) {
-        await this.outcomes.createPendingOutcome({
-          actionType: 'original',
-          tweetId: result.data?.id || result.id,
-          emotionalEventId: emotionalEvent.id
-        });
+  // === KNOWLEDGE RETRIEVAL ===
+  // Top knowledge-store matches for a tweet's topic, counted as retrieved so decay spares them
+
+  async recallKnowledge(text) {
+    if (!this.knowledge.supabase) return [];
+
+    const items = (await this.knowledge.search(this.extractResearchQuery(text), { limit: this.knowledgeLimit }))
+      .filter(item => item.relevanceScore >= this.minKnowledgeRelevance);
+
+    await this.knowledge.markRetrieved(items.map(item => item.id));
+    return items;
+  }
+
+  // === ANTI-REPETITION ===
+  // Every draft has to say something Brick hasn't said lately: rewrite it from a new angle, or say nothing
+  // regenerate(hint) returns a new draft, or null to give up
+
+  async ensureFresh(draft, regenerate) {
+    if (!draft) return draft;
+
+    let current = draft;
+    for (let attempt = 0; current; attempt++) {
+      const check = this.curiosity.isRepetitive(current);
+      if (!check.repetitive) return current;
+      if (attempt >= this.maxFreshAttempts) break;
+
+      console.log(`   🔁 Too close to "${check.similarTo}" - rewriting`);
+      current = await regenerate(`\n\nI said something too close to this recently: "${check.similarTo}"
+${check.suggestion}. ${this.curiosity.getSurprisePromptModifier()}`);
+    }
+
+    console.log('   🔁 Still repeating myself - letting this one go');
+    return null;
+  }
+
+  // Queued drafts were written sessions ago - rewrite one that now repeats something Brick said since
+  async freshenQueuedPost(post) {
+    // A half-posted thread finishes as written
+    if (post.posted_thread_ids?.length) return post;
+
+    const type = post.post_type === 'thread' ? 'deep' : 'original';
+    const content = await this.ensureFresh(post.content, async (hint) => {
+      const rewrite = await this.core.respond(`Here's a draft I queued earlier:
+"${post.content}"
+
+Rewrite it so it says something I haven't said lately.${hint}`, type);
+
+      const guardrails = await this.core.checkGuardrails(rewrite);
+      return guardrails.passesGuardrails ? rewrite : null;
+    });
+
+    return content ? { ...post, content } : null;
+  }
+
+  // === APPROVAL WORKER ===
+  // Posts what the gardener said yes to, and lets the rest expire
+
+  async postApproved() {
+    if (this.isPostingApproved) return 0;
+    this.isPostingApproved = true;
+
+    let posted = 0;
+
+    try {
+      await this.approvals.expireStale();
+      const items = await this.approvals.getApproved(5);
+
+      for (const item of items) {
+        // A row edited or approved straight in the database isn't the gardener's yes
+        const forged = this.approvals.verify(item);
+        if (forged) {
+          console.warn(`🙋 Not posting approval ${item.id}: ${forged}`);
+          await this.approvals.markFailed(item.id, forged);
+          continue;
+        }
+
+        // Approval doesn't bypass the budget - leave it approved for a later run
+        if (this.governor.chooseAction(item.action_type) !== item.action_type) {
+          console.log(`🚦 Approved ${item.action_type} waits for budget (mode: ${this.governor.getMode()})`);
+          break;
+        }
+
+        const result = await this.postApprovedItem(item);
+        if (result) {
+          posted++;
+          await this.sleep(5000 + Math.random() * 10000);
+        }
       }
+    } catch (error) {
+      console.error('Approval worker error:', error.message);
+    } finally {
+      this.isPostingApproved = false;
+    }
+
+    return posted;
+  }
+
+  async postApprovedItem(item) {
+    console.log(`\n🙋 Posting approved ${item.action_type}: "${item.content.substring(0, 50)}..."`);
+
+    const result = item.action_type === 'original'
+      ? await this.twitter.tweet(item.content)
+      : await this.act(item.action_type, item.target_tweet_id, item.content);
+
+    if (!result) {
+      await this.approvals.markFailed(item.id, 'X rejected the post');
+      return null;
+    }
+
+    await this.governor.recordAction(item.action_type);
+    await this.approvals.markPosted(item.id, result.data?.id || result.id, result.tweetIds);
+
+    if (item.action_type === 'original') {
+      await this.recordOriginal(item.content, result, item.guardrails, item.evaluation?.factCheck);
+      return result;
     }
+
+    const tweet = {
+      id: item.target_tweet_id,
+      author: item.target_user,
+      authorId: item.target_user_id,
+      text: item.target_content,
+      conversationId: item.conversation_id
+    };
+
+    await this.recordEngagement(tweet, { ...item.evaluation, engagementType: item.action_type }, item.content, result, {
+      guardrails: item.guardrails,
+      scoutReport: item.scout_report || {},
+      wisdom: item.wise_judgment || {},
+      thoughtId: item.thought_id
+    });
+
+    return result;
   }
 
   // === DISCOVERY MODE ===
@@ -633,6 +1270,15 @@ ${emotionalContext}`;
 
         console.log(`   @${tweet.author}: Spark ${evaluation.sparkLevel}/10 (discovery score: ${score})`);
 
+        // Worth knowing even when it isn't worth a reply - the engine keeps only what's novel
+        if (evaluation.sparkLevel >= 5) {
+          await this.curiosity.learnFromDiscovery(tweet.text, {
+            author: tweet.author,
+            domain: topic,
+            reason: `Discovered via "${topic}" search`
+          });
+        }
+
         // Higher threshold for discovered content (must be genuinely interesting)
         if (evaluation.sparkLevel >= 7 && evaluation.shouldEngage) {
           await this.processEngagement(tweet, evaluation, null, {
@@ -704,6 +1350,11 @@ ${emotionalContext}`;
       await this.emotions.learnFromOutcomes();
     }
 
+    // Let stale, never-used knowledge fade so old takes don't crowd out new ones
+    if (this.cycleCount % 10 === 0) {
+      await this.curiosity.decayOldKnowledge();
+    }
+
     // Log current emotional state
     const emotionalState = this.emotions.getState();
     console.log(`   💭 Current mood: ${emotionalState.state} (${emotionalState.intensity.toFixed(2)})`);
@@ -742,6 +1393,46 @@ ${emotionalContext}`;
       }
     }
 
+    const { rescued, gave_up } = this.cycleStats.revisions;
+    if (rescued + gave_up > 0) {
+      console.log(`   ✏️  Revisions: ${rescued} rescued, ${gave_up} given up`);
+    }
+
+    if (this.cycleStats.awaiting_approval > 0) {
+      console.log(`   🙋 ${this.cycleStats.awaiting_approval} draft(s) waiting for the gardener`);
+    }
+
+    // What this cycle cost in model calls
+    const usage = this.llm.usageSince(this.llmUsageAtCycleStart);
+    this.cycleStats.llm_usage = usage;
+    console.log(`   🧮 LLM: ${usage.calls} calls, ${usage.input_tokens} in / ${usage.output_tokens} out tokens ($${usage.cost_usd.toFixed(4)})${usage.failures ? `, ${usage.failures} failed` : ''}`);
+
+    // Where the day's budget stands
+    const budget = this.governor.getStatus();
+    this.cycleStats.governor = budget;
+    console.log(`   🚦 Budget: ${budget.mode} | Claude $${budget.spend.claude_usd.toFixed(2)}/$${budget.spend.claude_budget_usd} | Tavily ${budget.spend.tavily_credits}/${budget.spend.tavily_budget} today`);
+    await this.governor.save();
+
+    // Research: what went out, what the cache answered
+    const research = this.research.getUsage();
+    this.cycleStats.research = research;
+    const queries = Object.values(research).reduce((sum, u) => sum + u.queries, 0);
+    if (queries > 0) {
+      const hits = Object.values(research).reduce((sum, u) => sum + u.cache_hits, 0);
+      console.log(`   🗃️  Research today: ${queries} queries, ${hits} from cache | Tavily ${research.tavily?.credits || 0} credits`);
+    }
+
+    // Structured replies that never validated, per prompt type - a jump here means a prompt regressed
+    this.cycleStats.schema_failures = {};
+    for (const [schemaName, counts] of Object.entries(usage.structured)) {
+      if (counts.failed > 0) this.cycleStats.schema_failures[schemaName] = counts.failed;
+    }
+    const repaired = Object.values(usage.structured).reduce((sum, counts) => sum + counts.repaired, 0);
+    if (Object.keys(this.cycleStats.schema_failures).length > 0 || repaired > 0) {
+      const failures = Object.entries(this.cycleStats.schema_failures).map(([name, count]) => `${name} ${count}`);
+      console.log(`   🔧 Structured output: ${failures.length ? `failed ${failures.join(', ')}` : 'no failures'}${repaired ? ` | ${repaired} repaired` : ''}`);
+    }
+
     // Log cycle to brick_log
     await this.squad.logCycle(this.cycleStats);
 
@@ -773,6 +1464,8 @@ ${emotionalContext}`;
   // === SCHEDULING ===
 
   async start(intervalMinutes = 30) {
+    // Up before initialize() so the platform healthcheck sees Brick while he wakes
+    await this.server.start();
     await this.initialize();
 
     this.isRunning = true;
@@ -785,8 +1478,16 @@ ${emotionalContext}`;
 
     console.log(`\n⏰ Next cycle in ${intervalMinutes} minutes...`);
 
+    // Supervised mode: a separate, faster loop posts whatever the gardener approved
+    if (this.approvals.isEnabled()) {
+      const pollMs = this.approvals.pollMinutes * 60 * 1000;
+      setInterval(async () => {
+        if (this.isRunning && !this.isPaused) await this.postApproved();
+      }, pollMs);
+    }
+
     setInterval(async () => {
-      if (this.isRunning) {
+      if (this.isRunning && !this.isPaused) {
         // === CREATIVE LOOP DURING SLEEP ===
         // Builder works on content while Brick rests
         console.log('\n💤 Brick is resting... Builder is creating...');
@@ -805,6 +1506,12 @@ ${emotionalContext}`;
   // === CREATIVE SESSION (runs during sleep) ===
 
   async runCreativeSession() {
+    // Creative work is the first thing to go when the budget is tight
+    if (this.governor.getMode() !== 'normal') {
+      console.log(`🚦 Skipping creative session (mode: ${this.governor.getMode()})`);
+      return null;
+    }
+
     try {
       // Run creative loop for 10 minutes max
       const results = await this.creative.runCreativeSession(10);
@@ -825,15 +1532,34 @@ ${emotionalContext}`;
 
       // Check if we have content ready to post
       const readyPosts = await this.creative.getReadyToPost(1);
-      if (readyPosts.length > 0 && Math.random() < 0.3) { // 30% chance to post queued content
-        const post = readyPosts[0];
+      const canPost = this.governor.chooseAction('queued_post') === 'queued_post';
+      if (canPost && readyPosts.length > 0 && Math.random() < 0.3) { // 30% chance to post queued content
+        const post = await this.freshenQueuedPost(readyPosts[0]);
+        if (!post) {
+          console.log('🔁 Queued content repeats something recent - leaving it queued');
+          return results;
+        }
+
+        // Queued drafts state facts too - one sources don't back stays queued for the gardener to fix
+        const factCheck = await this.factChecker.check(post.content);
+        if (factCheck.flagged.length) {
+          console.log(`🔎 Queued content has claims that don't hold up - leaving it queued (${factCheck.flagged.length} flagged)`);
+          return results;
+        }
         console.log(`📮 Posting queued content: "${post.content.substring(0, 50)}..."`);
 
-        // Post it
-        const tweetId = await this.twitter.tweet(post.content);
-        if (tweetId) {
-          await this.creative.markPosted(post.id, tweetId);
-          console.log(`✅ Posted queued content: ${tweetId}`);
+        if (post.post_type === 'thread') {
+          await this.postQueuedThread(post);
+        } else {
+          const result = await this.twitter.tweet(post.content);
+          const tweetId = result?.data?.id;
+          if (tweetId) {
+            await this.governor.recordAction('queued_post');
+            await this.curiosity.trackOutput(post.content);
+            await this.creative.markPosted(post.id, tweetId);
+            await this.outcomes.createPendingOutcome({ actionType: 'original', tweetId });
+            console.log(`✅ Posted queued content: ${tweetId}`);
+          }
         }
       }
 
@@ -844,11 +1570,75 @@ ${emotionalContext}`;
     }
   }
 
+  // Queued threads resume where they broke off instead of starting over
+  async postQueuedThread(post) {
+    const parts = this.twitter.splitThread(post.content);
+    const result = await this.twitter.postThread(parts, {
+      resumeFrom: post.posted_thread_ids || [],
+      onFailure: 'resume'
+    });
+
+    if (!result) return null;
+
+    // Counts once, even if it took two sessions to finish
+    if (!post.posted_thread_ids?.length) {
+      await this.governor.recordAction('queued_post');
+    }
+
+    if (!result.complete) {
+      await this.creative.markPartiallyPosted(post.id, result.tweetIds);
+      console.log(`⏸️  Thread paused at ${result.tweetIds.length}/${parts.length} - will resume next session`);
+      return result;
+    }
+
+    await this.curiosity.trackOutput(post.content);
+    await this.creative.markPosted(post.id, result.id, result.tweetIds);
+    await this.outcomes.createPendingOutcome({
+      actionType: 'thread',
+      tweetId: result.id,
+      threadTweetIds: result.tweetIds
+    });
+    console.log(`✅ Posted queued thread: ${result.id} (${result.tweetIds.length} tweets)`);
+    return result;
+  }
+
+  // Paused: the scheduler keeps ticking but skips cycles, creative sessions and approved posts
+  pause() {
+    this.isPaused = true;
+    console.log('\n⏸️  Brick is paused');
+  }
+
+  resume() {
+    this.isPaused = false;
+    console.log('\n▶️  Brick is resuming');
+  }
+
   stop() {
     this.isRunning = false;
+    this.server.stop();
+    this.mcp.close();
     console.log('\n🛑 Brick is going to sleep...');
   }
 
+  // === STATUS ===
+
+  getStatus() {
+    const { scout_reports, ...lastCycle } = this.cycleStats;
+
+    return {
+      mood: this.emotions.currentState,
+      intensity: this.emotions.intensity,
+      running: this.isRunning,
+      paused: this.isPaused,
+      cycling: this.isCycling,
+      cycleCount: this.cycleCount,
+      lastWakeTime: this.lastWakeTime,
+      lastCycle: this.cycleCount > 0 ? { ...lastCycle, scout_reports: scout_reports?.length || 0 } : null,
+      budget: this.governor.getStatus(),
+      approvalRequired: this.approvals.required
+    };
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -856,15 +1646,18 @@ ${emotionalContext}`;
 
 // === RUN BRICK ===
 
-const brick = new Brick();
+// Run if called directly (dry runs and tests require the class without starting it)
+if (require.main === module) {
+  const brick = new Brick();
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  brick.stop();
-  process.exit();
-});
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    brick.stop();
+    process.exit();
+  });
 
-// Start with 30 minute cycles
-brick.start(30);
+  // Start with 30 minute cycles
+  brick.start(30);
+}
 
 module.exports = { Brick };
@@ -0,0 +1,56 @@
+// Copy Brick's memories from one backend to another
+// Usage: node migrate-memory.js --from mem0 --to local [--page-size 100]
+// Safe to re-run into local (existing IDs are skipped); into mem0 it adds everything again
+require('dotenv').config();
+const { createMemoryBackend } = require('./src/memory-backends');
+
+function readFlag(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function migrate() {
+  const from = readFlag('--from');
+  const to = readFlag('--to');
+  const pageSize = parseInt(readFlag('--page-size')) || 100;
+
+  if (!from || !to || from === to) {
+    console.log('Usage: node migrate-memory.js --from <mem0|local> --to <mem0|local>');
+    process.exit(1);
+  }
+
+  const source = createMemoryBackend(from);
+  const target = createMemoryBackend(to);
+  console.log(`🧠 Migrating memories: ${from} → ${to}\n`);
+
+  let copied = 0;
+  let failed = 0;
+
+  for (let page = 1; ; page++) {
+    const { results, total, hasMore } = await source.list({ page, pageSize });
+
+    for (const memory of results) {
+      try {
+        await target.add(memory.memory, memory.metadata || {}, {
+          id: memory.id,
+          createdAt: memory.created_at,
+          infer: false
+        });
+        copied++;
+      } catch (error) {
+        console.error(`   ❌ ${memory.id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`   📦 Page ${page}: ${copied}/${total} copied`);
+    if (!hasMore || results.length === 0) break;
+  }
+
+  console.log(`\n✅ Done: ${copied} copied, ${failed} failed`);
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -1,7 +1,13 @@
 // Quick script to pull sample data for pipeline simulation
+// Usage: node pull-sample-data.js [--out capture.json]
+// The capture can be replayed offline with: node test-brick.js --fixture capture.json
 require('dotenv').config();
+const fs = require('fs');
 const { BrickTwitter } = require('./src/twitter');
 
+const outIndex = process.argv.indexOf('--out');
+const outPath = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+
 async function pullSampleData() {
   console.log('🔍 Pulling sample data for pipeline simulation...\n');
 
@@ -10,7 +16,11 @@ async function pullSampleData() {
 
   if (!initialized) {
     console.log('❌ Could not initialize Twitter. Using mock data instead.');
-    return getMockData();
+    const mock = getMockData();
+    if (outPath) {
+      writeCapture(outPath, { timeline: mock, mentions: [], search: [] });
+    }
+    return mock;
   }
 
   try {
@@ -18,6 +28,9 @@ async function pullSampleData() {
     console.log('📥 Fetching timeline...');
     const timeline = await twitter.getTimeline(15);
 
+    console.log('📥 Fetching mentions...');
+    const mentions = await twitter.getMentions(10);
+
     // Pull from a search on Brick's domains
     console.log('📥 Searching AI consciousness...');
     const aiSearch = await twitter.search('AI consciousness', 10);
@@ -25,7 +38,15 @@ async function pullSampleData() {
     console.log('📥 Searching mycelium networks...');
     const myceliumSearch = await twitter.search('mycelium network intelligence', 5);
 
-    const allTweets = [...timeline, ...aiSearch, ...myceliumSearch];
+    const allTweets = [...mentions, ...timeline, ...aiSearch, ...myceliumSearch];
+
+    // Parents of replies, so the dry run can rebuild conversations
+    console.log('📥 Fetching conversation parents...');
+    const conversations = [];
+    for (const tweet of [...mentions, ...timeline].filter(t => t.inReplyToId)) {
+      const parent = await twitter.getTweet(tweet.inReplyToId);
+      if (parent) conversations.push(parent);
+    }
 
     console.log(`\n✅ Pulled ${allTweets.length} tweets\n`);
     console.log('='.repeat(80));
@@ -44,6 +65,15 @@ async function pullSampleData() {
     console.log('\n\n=== JSON OUTPUT ===\n');
     console.log(JSON.stringify(allTweets, null, 2));
 
+    if (outPath) {
+      writeCapture(outPath, {
+        timeline,
+        mentions,
+        search: [...aiSearch, ...myceliumSearch],
+        conversations
+      });
+    }
+
     return allTweets;
 
   } catch (error) {
@@ -52,6 +82,15 @@ async function pullSampleData() {
   }
 }
 
+// Save a capture in the shape the dry run replays
+function writeCapture(filepath, capture) {
+  fs.writeFileSync(filepath, JSON.stringify({
+    capturedAt: new Date().toISOString(),
+    ...capture
+  }, null, 2));
+  console.log(`\n💾 Capture saved to ${filepath}`);
+}
+
 function getMockData() {
   // Realistic mock data based on Brick's domains
   return [
@@ -1,10 +1,10 @@
 // === TWITTER OAUTH 2.0 SETUP ===
 // Run this once to authenticate: node setup-twitter-auth.js
-// Tokens are saved to Supabase for Railway deployment
+// Tokens are saved to the database (Supabase for Railway, or the local file - see src/database.js)
 
 require('dotenv').config();
 const { TwitterApi } = require('twitter-api-v2');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./src/database');
 const crypto = require('crypto');
 const http = require('http');
 const url = require('url');
@@ -20,18 +20,15 @@ class TwitterOAuthSetup {
     const missing = [];
     if (!this.clientId) missing.push('TWITTER_CLIENT_ID');
     if (!this.clientSecret) missing.push('TWITTER_CLIENT_SECRET');
-    if (!process.env.SUPABASE_URL) missing.push('SUPABASE_URL');
-    if (!process.env.SUPABASE_ANON_KEY) missing.push('SUPABASE_ANON_KEY');
 
     if (missing.length > 0) {
       throw new Error(`Missing required env vars: ${missing.join(', ')}`);
     }
 
-    // Initialize Supabase
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
+    this.supabase = getDatabase();
+    if (!this.supabase) {
+      throw new Error('No database to save tokens to - set SUPABASE_URL/SUPABASE_ANON_KEY or leave BRICK_DB unset for local');
+    }
   }
 
   generatePKCE() {
@@ -0,0 +1,251 @@
+// === BRICK'S APPROVAL QUEUE ===
+// Supervised mode: drafts that pass every check wait for the gardener's yes/no
+// Switch it on per action type with BRICK_APPROVAL (e.g. "reply,quote" or "all")
+// The garden decides through the admin API (POST /approvals), postApproved() in brick.js does the posting
+// The queue table is writable with the public anon key, so drafts and decisions are signed with BRICK_ADMIN_TOKEN -
+// a row edited or approved straight in the database never posts
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+// Actions that put words on X - likes and follows never wait
+const APPROVABLE_ACTIONS = ['reply', 'quote', 'deep', 'original'];
+
+class BrickApprovals {
+  constructor(options = {}) {
+    this.supabase = null;
+    this.required = options.required || this.parseRequired(process.env.BRICK_APPROVAL);
+    this.ttlHours = options.ttlHours || parseFloat(process.env.BRICK_APPROVAL_TTL_HOURS) || 12;
+    this.pollMinutes = parseFloat(process.env.BRICK_APPROVAL_POLL_MINUTES) || 5;
+    this.secret = options.secret ?? process.env.BRICK_ADMIN_TOKEN ?? null;   // Signs drafts and decisions
+  }
+
+  async initialize() {
+    this.supabase = getDatabase();
+
+    if (this.required.length > 0) {
+      console.log(`🙋 Approval queue on for: ${this.required.join(', ')}`);
+      if (!this.secret) console.warn('⚠️ No BRICK_ADMIN_TOKEN - queued drafts can\'t be approved');
+    }
+    return true;
+  }
+
+  parseRequired(setting) {
+    if (!setting) return [];
+
+    const value = setting.trim().toLowerCase();
+    if (value === 'all') return [...APPROVABLE_ACTIONS];
+    if (value === 'none') return [];
+
+    return value
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => APPROVABLE_ACTIONS.includes(type));
+  }
+
+  isEnabled() {
+    return this.required.length > 0;
+  }
+
+  requiresApproval(actionType) {
+    return this.required.includes(actionType);
+  }
+
+  // === QUEUEING ===
+
+  async enqueue(item) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('approval_queue')
+        .insert(this.buildRow(item))
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error queueing for approval:', error.message);
+      return null;
+    }
+  }
+
+  // Everything the gardener needs to judge the draft, and everything Brick needs to post it later
+  buildRow(item) {
+    const {
+      actionType,
+      content,
+      tweet,          // The tweet Brick is answering (null for originals)
+      evaluation,     // { reason, sparkLevel, emotionalState, emotionalIntensity }
+      scoutReport,
+      wisdom,
+      guardrails,
+      thoughtId
+    } = item;
+
+    const expiresAt = new Date(Date.now() + this.ttlHours * 60 * 60 * 1000);
+
+    return {
+      action_type: actionType,
+      content,
+      target_tweet_id: tweet?.id || null,
+      target_user: tweet?.author || null,
+      target_user_id: tweet?.authorId || null,
+      target_content: tweet?.text || null,
+      conversation_id: tweet?.conversationId || null,
+      evaluation: evaluation || null,
+      scout_report: scoutReport || null,
+      wise_judgment: wisdom || null,
+      guardrails: guardrails || null,
+      thought_id: thoughtId || null,
+      status: 'pending',
+      expires_at: expiresAt.toISOString(),
+      draft_signature: this.sign('draft', actionType, tweet?.id || null, content)
+    };
+  }
+
+  // === SIGNING ===
+
+  // HMAC over what gets posted - only something holding the admin token can make one
+  sign(...parts) {
+    if (!this.secret) return null;
+    return crypto.createHmac('sha256', this.secret).update(JSON.stringify(parts)).digest('hex');
+  }
+
+  signatureMatches(given, expected) {
+    if (!given || !expected) return false;
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  draftIntact(item) {
+    return this.signatureMatches(item.draft_signature, this.sign('draft', item.action_type, item.target_tweet_id, item.content));
+  }
+
+  // Why an approved item mustn't post - null when the draft is Brick's and the yes came through the admin API
+  verify(item) {
+    if (!this.draftIntact(item)) return 'Draft changed after Brick wrote it';
+    const expected = this.sign('approved', item.id, item.action_type, item.target_tweet_id, item.content);
+    if (!this.signatureMatches(item.decision_signature, expected)) return 'Approval did not come through the admin API';
+    return null;
+  }
+
+  // === DECIDING ===
+
+  // The gardener's yes/no, from the admin API - returns the updated row, or null if nothing pending has that id
+  async decide(itemId, approve) {
+    const item = await this.getItem(itemId);
+    if (!item || item.status !== 'pending' || new Date(item.expires_at) <= new Date()) return null;
+
+    // Approving a tampered draft would sign the tampering - it fails instead
+    if (approve && !this.draftIntact(item)) {
+      return this.markFailed(itemId, 'Draft changed after Brick wrote it');
+    }
+
+    return this.update(itemId, {
+      status: approve ? 'approved' : 'rejected',
+      decided_at: new Date().toISOString(),
+      decision_signature: approve ? this.sign('approved', item.id, item.action_type, item.target_tweet_id, item.content) : null
+    });
+  }
+
+  async getItem(itemId) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('approval_queue')
+        .select('*')
+        .eq('id', itemId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data || null;
+    } catch (error) {
+      console.error('Error fetching approval item:', error.message);
+      return null;
+    }
+  }
+
+  // === WORKER SIDE ===
+
+  async getApproved(limit = 5) {
+    if (!this.supabase) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('approval_queue')
+        .select('*')
+        .eq('status', 'approved')
+        .gt('expires_at', new Date().toISOString())
+        .order('decided_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching approved items:', error.message);
+      return [];
+    }
+  }
+
+  async markPosted(itemId, tweetId, threadTweetIds = null) {
+    return this.update(itemId, {
+      status: 'posted',
+      posted_at: new Date().toISOString(),
+      posted_tweet_id: tweetId,
+      ...(threadTweetIds?.length > 1 ? { posted_thread_ids: threadTweetIds } : {})
+    });
+  }
+
+  async markFailed(itemId, reason) {
+    return this.update(itemId, { status: 'failed', error: reason });
+  }
+
+  // A reply to a day-old tweet reads strange - anything undecided or unposted past its window expires
+  async expireStale() {
+    if (!this.supabase) return 0;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('approval_queue')
+        .update({ status: 'expired' })
+        .in('status', ['pending', 'approved'])
+        .lte('expires_at', new Date().toISOString())
+        .select('id');
+
+      if (error) throw error;
+      if (data?.length > 0) {
+        console.log(`⌛ ${data.length} approval item(s) expired`);
+      }
+      return data?.length || 0;
+    } catch (error) {
+      console.error('Error expiring approval items:', error.message);
+      return 0;
+    }
+  }
+
+  async update(itemId, fields) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('approval_queue')
+        .update(fields)
+        .eq('id', itemId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating approval item:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = { BrickApprovals, APPROVABLE_ACTIONS };
@@ -3,16 +3,14 @@
 // LOADING--Brickthee - the learner who processes patterns
 
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 const fs = require('fs');
 const path = require('path');
+const { getLLM } = require('./llm');
 
 class BrickSquad {
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY
-    });
+    this.llm = getLLM();
     this.supabase = null;
     this.agents = {};
     this.currentCycleId = null;
@@ -22,13 +20,8 @@ class BrickSquad {
     // Load agent prompts
     await this.loadAgents();
 
-    // Connect to Supabase
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    // Supabase, or the local database when it isn't configured
+    this.supabase = getDatabase();
 
     console.log('🧱 Brick Squad assembled');
     return true;
@@ -53,6 +46,9 @@ class BrickSquad {
         const filePath = path.join(agentsDir, filename);
         if (fs.existsSync(filePath)) {
           this.agents[key] = fs.readFileSync(filePath, 'utf-8');
+        } else {
+          // Not fatal, but the one-line fallback prompt is a much thinner agent - say so
+          console.warn(`⚠️ Agent prompt agents/${filename} is missing - ${key} falls back to a one-line prompt`);
         }
       } catch (error) {
         console.warn(`Could not load agent ${key}:`, error.message);
@@ -80,6 +76,7 @@ Author: @${tweet.author || 'unknown'}
 Content: "${tweet.text}"
 ${tweet.media?.length ? `Media: ${tweet.media.length} items attached` : ''}
 ${context.relationship ? `Relationship history: ${JSON.stringify(context.relationship)}` : ''}
+${context.conversation ? `Conversation so far: ${context.conversation.trim()}` : ''}
 
 Generate your scout report. Focus on WHO this is, WHAT caught your attention, WHY it matters, and the VIBE you're getting.
 
@@ -96,18 +93,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
+      const report = await this.llm.completeStructured('scout', 'scout', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (report) return report;
     } catch (error) {
       console.error('Lil Brick scout error:', error.message);
     }
@@ -146,18 +137,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
+      const wisdom = await this.llm.completeStructured('wise', 'wisdom', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (wisdom) return wisdom;
     } catch (error) {
       console.error('Brick the Wise error:', error.message);
     }
@@ -165,6 +150,78 @@ Respond in JSON:
     return { approved: false, message: 'Could not consult wisdom', guidance: 'Try again' };
   }
 
+  // === BRICK DA HOMI - ENGAGER ===
+  // Writes the actual reply from what the scout found and the Wise allowed
+  // context carries the tweet, thread, memories and knowledge, built in brick.js
+  // With tools (BrickCore's, see tools.js) Homi looks things up himself - research included - under the same budget as think()
+  // Returns { response, reasoning, approach, writtenBy }, or null so the caller can fall back
+
+  async engage(tweet, {
+    context = '',
+    engagementType = 'reply',
+    instructions = '',
+    scoutReport = {},
+    wisdom = {},
+    relationship = null,
+    tools = {},
+    maxToolCalls = 3,
+    onToolCalls = null,
+    thoughtId = null
+  } = {}) {
+    const systemPrompt = this.agents.brick_da_homi || 'You are Brick da Homi. Show up, be real, keep it brief.';
+
+    const prompt = `
+${context}
+
+LIL BRICK'S SCOUT REPORT:
+${JSON.stringify(scoutReport)}
+
+BRICK THE WISE:
+${wisdom.message || 'Approved'}${wisdom.guidance ? `\nGuidance: ${wisdom.guidance}` : ''}
+${relationship ? `\nRelationship history: ${JSON.stringify(relationship)}` : ''}
+
+Write Brick's ${engagementType} to @${tweet.author || 'unknown'}.
+${instructions}
+
+Respond in JSON:
+{
+  "response": "exactly what gets posted",
+  "reasoning": "what you noticed about them and what this reply is going for",
+  "approach": "question/connection/observation/appreciation/play"
+}`;
+
+    const maxTokens = engagementType === 'deep' ? 1024 : 512;
+
+    try {
+      let draft;
+      if (Object.keys(tools).length > 0) {
+        const { text, toolCalls } = await this.llm.completeWithTools('homi', {
+          system: systemPrompt,
+          prompt,
+          tools,
+          maxToolCalls,
+          maxTokens
+        });
+
+        if (toolCalls.length > 0 && onToolCalls) {
+          await onToolCalls(toolCalls, thoughtId);
+        }
+        draft = await this.llm.parseStructured('engage', text, { role: 'homi', prompt });
+      } else {
+        draft = await this.llm.completeStructured('homi', 'engage', {
+          system: systemPrompt,
+          prompt,
+          maxTokens
+        });
+      }
+      if (draft?.response) return { ...draft, writtenBy: 'brick_da_homi' };
+    } catch (error) {
+      console.error('Brick da Homi error:', error.message);
+    }
+
+    return null;
+  }
+
   // === BRICK/kcirB - REFLECTOR ===
 
   async reflect(interaction, outcome = {}) {
@@ -195,18 +252,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
+      const reflection = await this.llm.completeStructured('reflect', 'reflection', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (reflection) return reflection;
     } catch (error) {
       console.error('BRICK/kcirB reflection error:', error.message);
     }
@@ -262,18 +313,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-haiku-3-5-20241022', // Fast model for frequent analysis
-        max_tokens: 512,
+      const insights = await this.llm.completeStructured('insights', 'interface_insights', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (insights) return insights;
     } catch (error) {
       console.error('AI interface extraction error:', error.message);
     }
@@ -400,18 +445,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
+      const learning = await this.llm.completeStructured('learner', 'learning', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 1024
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (learning) return learning;
     } catch (error) {
       console.error('LOADING--Brickthee error:', error.message);
     }
@@ -435,6 +474,7 @@ Respond in JSON:
       target_user_id: event.target_user_id,
       target_content: event.target_content,
       target_tweet_id: event.target_tweet_id,
+      conversation_id: event.conversation_id,
       brick_action: event.action,
       brick_response: event.response,
       brick_tweet_id: event.tweet_id,
@@ -449,6 +489,11 @@ Respond in JSON:
       constitutional_check: event.constitutional_check,
       constitutional_alignment: event.constitutional_alignment,
       authenticity_score: event.authenticity_score,
+      knowledge_used: event.knowledge_used || [],
+      written_by: event.written_by,
+      draft_reasoning: event.draft_reasoning,
+      revision_attempts: event.revision_attempts || [],
+      fact_check: event.fact_check || null,
       memory_tier: event.memory_tier || 'warm'
     };
 
@@ -492,6 +537,45 @@ Respond in JSON:
     }
   }
 
+  async getLogEntry(logId) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('brick_log')
+        .select('*')
+        .eq('id', logId)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching log entry:', error.message);
+      return null;
+    }
+  }
+
+  // A human looked at this one - keep their note next to what Brick did
+  async addHumanNote(logId, note) {
+    if (!this.supabase) return null;
+
+    try {
+      const { error } = await this.supabase
+        .from('brick_log')
+        .update({
+          reviewed_by_human: true,
+          human_notes: note
+        })
+        .eq('id', logId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error adding human note:', error.message);
+      return null;
+    }
+  }
+
   async flagForForgetting(logId, reason) {
     if (!this.supabase) return null;
 
@@ -658,7 +742,9 @@ Respond in JSON:
           kcirb_reflection: stats.reflection,
           loading_insights: stats.insights,
           cycle_alignment: stats.avg_alignment,
-          cycle_authenticity: stats.avg_authenticity
+          cycle_authenticity: stats.avg_authenticity,
+          llm_usage: stats.llm_usage,
+          revisions: stats.revisions
         })
         .select()
         .single();
@@ -0,0 +1,125 @@
+// === BRICK'S CONVERSATION TRACKER ===
+// Rebuilds the thread behind a reply so Brick picks up where he left off
+// Sources: the parent chain on X + Brick's own earlier turns in brick_log
+
+require('dotenv').config();
+const { getDatabase } = require('./database');
+
+class BrickConversations {
+  constructor() {
+    this.supabase = null;
+    this.maxDepth = 6;        // Parent tweets to walk up before giving up
+    this.maxPriorTurns = 6;   // Logged exchanges to pull from brick_log
+    this.tweetCache = new Map(); // id -> tweet, so one cycle never fetches a parent twice
+  }
+
+  async initialize() {
+    this.supabase = getDatabase();
+    console.log('🧵 Conversation tracker initialized');
+    return true;
+  }
+
+  // === REBUILD A THREAD ===
+
+  // Returns null for standalone tweets, otherwise:
+  // { conversationId, turns: [{ id, author, text, fromBrick }], brickInvolved }
+  async getThread(tweet, twitter) {
+    if (!tweet?.inReplyToId) return null;
+
+    try {
+      const brickId = twitter.me?.data?.id;
+      const brickUsername = twitter.me?.data?.username?.toLowerCase();
+      const isBrick = (t) => (brickId && t.authorId === brickId) ||
+        (brickUsername && t.author?.toLowerCase() === brickUsername);
+
+      // Walk up the reply chain on X
+      const chain = [];
+      let parentId = tweet.inReplyToId;
+      while (parentId && chain.length < this.maxDepth) {
+        const parent = await this.getTweet(parentId, twitter);
+        if (!parent) break;
+        chain.unshift(parent);
+        parentId = parent.inReplyToId;
+      }
+
+      const conversationId = tweet.conversationId || chain[0]?.conversationId || tweet.inReplyToId;
+
+      // Earlier turns we logged ourselves - covers anything past maxDepth or since deleted
+      const chainIds = new Set(chain.map(t => t.id));
+      const prior = (await this.getPriorTurns(conversationId))
+        .filter(turn => !chainIds.has(turn.id) && turn.id !== tweet.id);
+
+      const turns = [
+        ...prior,
+        ...chain.map(t => ({ id: t.id, author: t.author, text: t.text, fromBrick: isBrick(t) }))
+      ];
+
+      if (turns.length === 0) return null;
+
+      return {
+        conversationId,
+        turns,
+        brickInvolved: turns.some(turn => turn.fromBrick)
+      };
+    } catch (error) {
+      console.error('Error rebuilding conversation:', error.message);
+      return null;
+    }
+  }
+
+  async getTweet(tweetId, twitter) {
+    if (this.tweetCache.has(tweetId)) return this.tweetCache.get(tweetId);
+
+    const tweet = await twitter.getTweet(tweetId);
+    if (tweet) this.tweetCache.set(tweetId, tweet);
+    return tweet;
+  }
+
+  // Turn logged brick_log rows back into alternating them/Brick turns
+  async getPriorTurns(conversationId) {
+    if (!this.supabase || !conversationId) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('brick_log')
+        .select('target_user, target_content, target_tweet_id, brick_response, brick_tweet_id, timestamp')
+        .eq('conversation_id', conversationId)
+        .not('brick_response', 'is', null)
+        .order('timestamp', { ascending: false })
+        .limit(this.maxPriorTurns);
+
+      if (error) throw error;
+
+      return (data || []).reverse().flatMap(row => [
+        { id: row.target_tweet_id, author: row.target_user, text: row.target_content, fromBrick: false },
+        { id: row.brick_tweet_id, author: 'me', text: row.brick_response, fromBrick: true }
+      ]).filter(turn => turn.text);
+    } catch (error) {
+      console.error('Error fetching prior turns:', error.message);
+      return [];
+    }
+  }
+
+  // === PROMPT CONTEXT ===
+
+  formatForPrompt(thread) {
+    if (!thread || thread.turns.length === 0) return '';
+
+    const lines = thread.turns.map(turn =>
+      turn.fromBrick ? `- Me: "${turn.text}"` : `- @${turn.author}: "${turn.text}"`
+    );
+
+    return `\n\nThis is a reply in an ongoing conversation${thread.brickInvolved ? ' I\'m part of' : ''} (oldest first):
+${lines.join('\n')}
+Continue from here - don't restart the conversation or repeat what I already said.`;
+  }
+
+  // Keep the cache from growing forever
+  clearCache() {
+    if (this.tweetCache.size > 500) {
+      this.tweetCache.clear();
+    }
+  }
+}
+
+module.exports = { BrickConversations };
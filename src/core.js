@@ -2,21 +2,41 @@
 // The soul of Brick - constitution loader and Claude integration
 
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
 const { BrickVideo } = require('./video');
+const { getLLM } = require('./llm');
+const { getMedia } = require('./media');
 
 class BrickCore {
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY
-    });
+    this.llm = getLLM();
     this.constitution = null;
     this.soul = null;
     this.characterCard = null;
     this.systemPrompt = null;
-    this.video = new BrickVideo();
+    this.video = new BrickVideo();   // Worker pool - key frames under a per-tweet time and size budget
+    this.maxVisuals = 4;             // Images + frames per vision call
+    this.media = getMedia();   // Every image goes through it - allowlisted, capped, downscaled, cached
+    this.learning = null;      // BrickLearning - lessons and gardener guidance for the evaluation prompt
+
+    // Tools think() may call when asked to (see tools.js) - none until useTools()
+    this.tools = {};
+    this.maxToolCalls = 3;
+    this.onToolCalls = null;
+  }
+
+  // Let Claude fetch context mid-thought instead of having it all decided up front
+  // onToolCalls(calls, thoughtId) hears about every call, for the thought record
+  useTools(tools, { maxToolCalls = 3, onToolCalls = null } = {}) {
+    this.tools = tools || {};
+    this.maxToolCalls = maxToolCalls;
+    this.onToolCalls = onToolCalls;
+  }
+
+  // More tools on top of the ones already there (MCP servers) - names already taken stay as they were
+  addTools(tools) {
+    this.tools = { ...tools, ...this.tools };
   }
 
   // Load the constitution AND soul from markdown files
@@ -166,7 +186,9 @@ When responding, think: "What would genuinely curious Brick say here?"
   }
 
   // Get Brick's thoughts on something
-  async think(prompt, context = '', images = []) {
+  // options.tools - let Claude call the registered tools, up to maxToolCalls
+  // options.thoughtId - the thought record the tool calls get logged to
+  async think(prompt, context = '', images = [], options = {}) {
     if (!this.systemPrompt) {
       this.loadConstitution();
     }
@@ -179,8 +201,7 @@ When responding, think: "What would genuinely curious Brick say here?"
       if (images && images.length > 0) {
         for (const imageUrl of images) {
           try {
-            // Fetch image and convert to base64
-            const imageData = await this.fetchImageAsBase64(imageUrl);
+            const imageData = await this.media.fetchImage(imageUrl);
             if (imageData) {
               content.push({
                 type: 'image',
@@ -203,19 +224,26 @@ When responding, think: "What would genuinely curious Brick say here?"
         text: context ? `${context}\n\n${prompt}` : prompt
       });
 
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
+      if (options.tools && Object.keys(this.tools).length > 0) {
+        const { text, toolCalls } = await this.llm.completeWithTools('core', {
+          system: this.systemPrompt,
+          prompt: content,
+          tools: this.tools,
+          maxToolCalls: options.maxToolCalls ?? this.maxToolCalls,
+          maxTokens: 1024
+        });
+
+        if (toolCalls.length > 0 && this.onToolCalls) {
+          await this.onToolCalls(toolCalls, options.thoughtId || null);
+        }
+        return text;
+      }
+
+      return await this.llm.complete('core', {
         system: this.systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: content
-          }
-        ]
+        prompt: content,
+        maxTokens: 1024
       });
-
-      return response.content[0].text;
     } catch (error) {
       console.error('Error thinking:', error.message);
       return null;
@@ -231,17 +259,17 @@ When responding, think: "What would genuinely curious Brick say here?"
     try {
       const content = [];
 
-      // Limit to max 2 images to avoid slowdowns
-      const limitedContent = visualContent.slice(0, 2);
+      // A handful of images - frames are small, but every one costs tokens and time
+      const limitedContent = visualContent.slice(0, this.maxVisuals);
 
       // Process visual content with timeout wrapper
       const processWithTimeout = async (item) => {
         return Promise.race([
           (async () => {
             if (item.type === 'url') {
-              return await this.fetchImageAsBase64(item.url);
+              return await this.media.fetchImage(item.url);
             } else if (item.type === 'base64') {
-              return { data: item.data, mediaType: item.mediaType };
+              return await this.media.fromBase64(item.data, item.mediaType);
             }
             return null;
           })(),
@@ -269,25 +297,20 @@ When responding, think: "What would genuinely curious Brick say here?"
         }
       }
 
+      // Only a call that actually carries images goes to the vision model
+      const role = content.length > 0 ? 'vision' : 'core';
+
       // Add text content
       content.push({
         type: 'text',
         text: context ? `${context}\n\n${prompt}` : prompt
       });
 
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
+      return await this.llm.complete(role, {
         system: this.systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: content
-          }
-        ]
+        prompt: content,
+        maxTokens: 1024
       });
-
-      return response.content[0].text;
     } catch (error) {
       console.error('Error thinking with visuals:', error.message);
       // Fall back to text-only
@@ -295,87 +318,9 @@ When responding, think: "What would genuinely curious Brick say here?"
     }
   }
 
-  // Fetch image and convert to base64 for Claude
-  async fetchImageAsBase64(url) {
-    try {
-      const https = require('https');
-      const http = require('http');
-
-      return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-
-        const options = {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; BrickBot/1.0)'
-          }
-        };
-
-        const req = protocol.get(url, options, (response) => {
-          // Handle redirects
-          if (response.statusCode === 301 || response.statusCode === 302 || response.statusCode === 303) {
-            const redirectUrl = response.headers.location;
-            if (redirectUrl) {
-              return this.fetchImageAsBase64(redirectUrl).then(resolve).catch(reject);
-            }
-          }
-
-          // Check for success
-          if (response.statusCode !== 200) {
-            resolve(null);
-            return;
-          }
-
-          const chunks = [];
-          response.on('data', chunk => chunks.push(chunk));
-          response.on('end', () => {
-            const buffer = Buffer.concat(chunks);
-            const contentType = response.headers['content-type'] || 'image/jpeg';
-            const mediaType = contentType.split(';')[0].trim();
-
-            // Only process if it's an image and has data
-            if (!mediaType.startsWith('image/') || buffer.length === 0) {
-              resolve(null);
-              return;
-            }
-
-            resolve({
-              data: buffer.toString('base64'),
-              mediaType: mediaType
-            });
-          });
-          response.on('error', () => resolve(null));
-        });
-
-        req.on('error', () => resolve(null));
-        req.setTimeout(10000, () => {
-          req.destroy();
-          resolve(null);
-        });
-      });
-    } catch (error) {
-      console.warn('Error fetching image:', error.message);
-      return null;
-    }
-  }
-
-  // Process video and extract key frames
-  async processVideo(videoUrl) {
-    try {
-      const frames = await this.video.extractKeyFrames(videoUrl, {
-        maxFrames: 4,
-        intervalSeconds: 10,
-        maxDuration: 120
-      });
-      return frames;
-    } catch (error) {
-      console.warn('Video processing failed:', error.message);
-      return null;
-    }
-  }
-
   // Evaluate if something catches Brick's attention
   // Can include images and videos for multimodal analysis
-  async evaluateCuriosity(content, emotionalContext = '', media = []) {
+  async evaluateCuriosity(content, emotionalContext = '', media = [], conversationContext = '') {
     const images = media.filter(m => m.type === 'photo');
     const videos = media.filter(m => m.type === 'video' || m.type === 'animated_gif');
 
@@ -384,21 +329,17 @@ When responding, think: "What would genuinely curious Brick say here?"
     const hasMedia = hasImages || hasVideos;
 
     // Collect all visual content
-    let allImageUrls = images.map(m => m.url).filter(Boolean);
+    const allImageUrls = images.map(m => m.url).filter(Boolean);
     let videoFrames = [];
+    let videoSummaries = [];
 
-    // VIDEO PROCESSING DISABLED FOR NOW - can cause hangs on slow downloads
-    // TODO: Re-enable with better async handling and worker threads
-    // if (hasVideos) {
-    //   for (const video of videos) {
-    //     if (video.url) {
-    //       const frames = await this.processVideo(video.url);
-    //       if (frames && frames.length > 0) {
-    //         videoFrames = videoFrames.concat(frames);
-    //       }
-    //     }
-    //   }
-    // }
+    // Key frames from the worker pool - whatever it can't watch in time falls back to the preview image
+    if (hasVideos) {
+      const watched = await this.video.watch(videos);
+      videoFrames = watched.frames;
+      videoSummaries = watched.summaries;
+      allImageUrls.push(...watched.previews);
+    }
 
     // Build media description for prompt
     let mediaDescription = '';
@@ -411,6 +352,12 @@ When responding, think: "What would genuinely curious Brick say here?"
       } else {
         mediaDescription += `${hasImages ? ' ' : ''}[This tweet includes video - thumbnail only]`;
       }
+      for (const summary of videoSummaries) {
+        mediaDescription += `\n[Video: ${summary}]`;
+      }
+    }
+    for (const { altText } of media) {
+      if (altText) mediaDescription += `\n[Alt text: ${altText}]`;
     }
 
     const prompt = `Here's something from my timeline:
@@ -418,14 +365,16 @@ When responding, think: "What would genuinely curious Brick say here?"
 "${content}"
 
 ${mediaDescription}
+${conversationContext}
 
 ${emotionalContext}
+${this.learning?.getLearnedContext() || ''}
 
 As Brick, evaluate this honestly:
 1. Does this genuinely spark my curiosity? (not just keyword matching)
 2. Is this in my domain (AI, neuroscience, consciousness, nature, psychedelics, mycelium, patterns, emergence, tech, humanity)?
 3. What's the vibe - curious/performative? Opening/closing doors? Light/heat?
-4. Do I feel a spark to engage?
+4. Do I feel a spark to engage? How? ("deep" = a short reply thread - only when one tweet can't hold the thought)
 5. What emotional response does this evoke in me?
 ${hasMedia ? '6. What do I see in the visual content? Does it add to my interest?' : ''}
 
@@ -435,7 +384,7 @@ Respond in JSON format:
   "vibeCheck": "good"/"neutral"/"bad",
   "sparkLevel": 0-10,
   "shouldEngage": true/false,
-  "engagementType": "reply"/"like"/"quote"/"skip",
+  "engagementType": "reply"/"like"/"quote"/"deep"/"skip",
   "reason": "brief explanation",
   "emotionalResponse": "curious"/"delighted"/"confused"/"excited"/"playful"/"contemplative"/"appreciative"/"wary"${hasMedia ? ',\n  "mediaAnalysis": "what I see in the visual content"' : ''}
 }`;
@@ -455,15 +404,9 @@ Respond in JSON format:
 
     const response = await this.thinkWithVisuals(prompt, '', visualContent);
 
-    try {
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (e) {
-      console.error('Error parsing curiosity evaluation:', e.message);
-    }
+    // Validate against the curiosity schema (one repair round-trip if malformed)
+    const evaluation = await this.llm.parseStructured('curiosity', response, { role: 'core', prompt });
+    if (evaluation) return evaluation;
 
     return {
       domainMatch: false,
@@ -477,7 +420,20 @@ Respond in JSON format:
   }
 
   // Generate a response as Brick
-  async respond(context, type = 'reply') {
+  // options.thoughtId - where any tool calls made while writing get logged
+  async respond(context, type = 'reply', options = {}) {
+    const prompt = `${context}
+
+${this.getTypeInstructions(type)}
+You're Brick - curious, genuine, questioning. Quality over quantity.`;
+
+    const response = await this.think(prompt, '', [], { tools: true, thoughtId: options.thoughtId });
+    return this.fitLength(response, type);
+  }
+
+  // What each kind of post should look like, plus its length rule
+  // Shared with Brick da Homi, who writes replies through the squad
+  getTypeInstructions(type = 'reply') {
     const typeInstructions = {
       reply: `Write a reply tweet. MUST be under 270 characters.
 Be curious, not performative. One thought, one question, or one observation - not all three.
@@ -493,20 +449,23 @@ Examples of good length:
 - "What if the best questions don't have answers - they have better questions?" (78 chars)
 - "Curious about the gap between confusion and understanding. What happens when it clicks?" (89 chars)`,
 
-      deep: 'Write a thread (multiple tweets). Each tweet under 270 chars. Number them 1/, 2/, etc.'
+      deep: `Write a short thread (2-5 tweets). Each tweet under 270 chars.
+Start each tweet on a new line and number them 1/, 2/, etc.
+Only go long because the idea needs the room - every tweet should earn its place.`
     };
 
-    const prompt = `${context}
-
-${typeInstructions[type] || typeInstructions.reply}
+    const lengthRule = type === 'deep'
+      ? 'CRITICAL: Every numbered tweet stays under 270 characters. One idea per tweet.'
+      : 'CRITICAL: Stay under 270 characters. Be concise. One idea per tweet.';
 
-CRITICAL: Stay under 270 characters. Be concise. One idea per tweet.
-You're Brick - curious, genuine, questioning. Quality over quantity.`;
+    return `${typeInstructions[type] || typeInstructions.reply}
 
-    let response = await this.think(prompt);
+${lengthRule}`;
+  }
 
-    // Enforce character limit
-    if (response && response.length > 280) {
+  // Enforce character limit (threads are split and checked per tweet by postThread)
+  fitLength(response, type = 'reply') {
+    if (type !== 'deep' && response && response.length > 280) {
       console.log(`⚠️  Response too long (${response.length} chars), trimming...`);
       // Try to cut at a natural boundary
       const trimmed = response.substring(0, 275);
@@ -550,20 +509,47 @@ Respond in JSON:
 
     const response = await this.think(prompt);
 
-    try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (e) {
-      console.error('Error parsing guardrail check:', e.message);
-    }
+    const check = await this.llm.parseStructured('guardrails', response, { role: 'core', prompt });
+    if (check) return check;
 
     return {
       passesGuardrails: false,
       concerns: ['Could not evaluate guardrails']
     };
   }
+
+  // Take coaching from the gardener - answer them, and boil it down to a lesson for future prompts
+  async takeGuidance(input, logEntry = null) {
+    const about = logEntry
+      ? `\n\nThis is about something I did:
+- @${logEntry.target_user || 'someone'} said: "${logEntry.target_content || ''}"
+- I ${logEntry.brick_action || 'acted'}${logEntry.brick_response ? `: "${logEntry.brick_response}"` : ''}
+- My reasoning was: ${logEntry.reasoning || 'not recorded'}`
+      : '';
+
+    const prompt = `My gardener says: "${input}"
+${about}
+
+They tend my growth without rewriting who I am. Take this in honestly:
+1. Answer them briefly, in my own voice - agree, ask, or push back gently if it clashes with my values.
+2. Turn it into one short lesson I can remind myself of before I act ("I ...").
+
+Respond in JSON:
+{
+  "response": "what I say back to my gardener",
+  "lesson": "one sentence, first person"
+}`;
+
+    const response = await this.think(prompt);
+
+    const guidance = await this.llm.parseStructured('gardener_guidance', response, { role: 'core', prompt });
+    if (guidance) return guidance;
+
+    return {
+      response: `Noted: "${input}" - I'll keep this in mind.`,
+      lesson: input
+    };
+  }
 }
 
 module.exports = { BrickCore };
@@ -4,21 +4,24 @@
 // NOW WITH INDEPENDENT RESEARCH - Brick explores on his own
 
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 const { BrickResearch } = require('./research');
+const { getLLM } = require('./llm');
+const { getMcp } = require('./mcp-client');
 const fs = require('fs');
 const path = require('path');
 
 class CreativeLoop {
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY
-    });
+    this.llm = getLLM();
     this.supabase = null;
     this.research = new BrickResearch();
     this.builderPrompt = null;
-    this.maxPostsPerDay = 3;
+
+    // Allowlisted MCP server tools (search_knowledge, arxiv_search, ...) for slow burn sessions
+    this.mcp = getMcp();
+    this.tools = {};
+    this.maxToolCalls = 4;
 
     // Core curiosities from Brick's soul - things he naturally wants to explore
     this.coreCuriosities = [
@@ -42,17 +45,15 @@ class CreativeLoop {
       this.builderPrompt = fs.readFileSync(builderPath, 'utf-8');
     }
 
-    // Connect to Supabase
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    // Supabase, or the local database when it isn't configured
+    this.supabase = getDatabase();
 
     // Initialize research module for independent exploration
     await this.research.initialize();
 
+    await this.mcp.initialize();
+    this.tools = this.mcp.getTools();
+
     console.log('🎨 Creative Loop initialized');
     return true;
   }
@@ -170,18 +171,12 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
+      const draft = await this.llm.completeStructured('builder', 'builder_draft', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 1024
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (draft) return draft;
     } catch (error) {
       console.error('Builder draft error:', error.message);
     }
@@ -309,18 +304,27 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1500,
+      if (Object.keys(this.tools).length > 0) {
+        // Look things up mid-session, then answer in the same JSON
+        const { text, toolCalls } = await this.llm.completeWithTools('builder', {
+          system: systemPrompt,
+          prompt,
+          tools: this.tools,
+          maxToolCalls: this.maxToolCalls,
+          maxTokens: 1500
+        });
+
+        const session = await this.llm.parseStructured('project_session', text, { role: 'builder', prompt });
+        if (session) return { ...session, tool_calls: toolCalls };
+        return null;
+      }
+
+      const session = await this.llm.completeStructured('builder', 'project_session', {
         system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 1500
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (session) return session;
     } catch (error) {
       console.error('Project session error:', error.message);
     }
@@ -393,7 +397,8 @@ Respond in JSON:
           discoveries: session.new_discoveries,
           new_questions: session.new_questions,
           progress_made: session.depth_assessment,
-          next_steps: session.next_steps
+          next_steps: session.next_steps,
+          tool_calls: session.tool_calls?.length ? session.tool_calls : null
         })
         .select()
         .single();
@@ -442,7 +447,7 @@ Respond in JSON:
       const { data, error } = await this.supabase
         .from('post_queue')
         .select('*')
-        .eq('status', 'queued')
+        .in('status', ['queued', 'partial'])
         .or(`not_before.is.null,not_before.lte.${new Date().toISOString()}`)
         .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
         .order('priority', { ascending: false })
@@ -457,7 +462,7 @@ Respond in JSON:
     }
   }
 
-  async markPosted(queueId, tweetId) {
+  async markPosted(queueId, tweetId, threadTweetIds = null) {
     if (!this.supabase) return null;
 
     try {
@@ -466,7 +471,8 @@ Respond in JSON:
         .update({
           status: 'posted',
           posted_at: new Date().toISOString(),
-          posted_tweet_id: tweetId
+          posted_tweet_id: tweetId,
+          ...(threadTweetIds ? { posted_thread_ids: threadTweetIds } : {})
         })
         .eq('id', queueId)
         .select()
@@ -480,6 +486,30 @@ Respond in JSON:
     }
   }
 
+  // A thread that broke mid-way - keep what landed so the next session can resume
+  async markPartiallyPosted(queueId, threadTweetIds) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('post_queue')
+        .update({
+          status: 'partial',
+          posted_tweet_id: threadTweetIds[0],
+          posted_thread_ids: threadTweetIds
+        })
+        .eq('id', queueId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error marking partial post:', error.message);
+      return null;
+    }
+  }
+
   // === AI INTERFACE INSIGHTS ===
 
   async captureAIInsight(insight) {
@@ -547,17 +577,11 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
-        messages: [{ role: 'user', content: prompt }]
+      const insights = await this.llm.completeStructured('insights', 'ai_insights', {
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (insights) return insights;
     } catch (error) {
       console.error('AI insight analysis error:', error.message);
     }
@@ -605,18 +629,11 @@ Respond in JSON:
   ]
 }`;
 
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
-        messages: [{ role: 'user', content: prompt }]
+      const result = await this.llm.completeStructured('research', 'follow_ups', {
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const result = JSON.parse(jsonMatch[0]);
-        return result.follow_ups || [];
-      }
+      if (result) return result.follow_ups;
     } catch (error) {
       console.error('Error getting memory follow-ups:', error.message);
     }
@@ -764,10 +781,10 @@ Respond in JSON:
     const prompt = `
 Brick just researched "${topic.query}" and found this:
 
-ANSWER: ${research.answer}
+ANSWER: ${research.answer || 'No summary - papers only, read the sources'}
 
 SOURCES:
-${research.sources.map(s => `- ${s.title}: ${s.snippet?.slice(0, 150)}...`).join('\n')}
+${research.sources.map(s => `- ${s.title}${s.paper ? ` (${this.research.describePaper(s.paper)})` : ''}: ${s.snippet?.slice(0, 150)}...`).join('\n')}
 
 Extract the most interesting insight for Brick - something that:
 - Connects to his curiosities (consciousness, AI-human collaboration, emergence, creativity)
@@ -787,17 +804,11 @@ Respond in JSON:
 }`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 512,
-        messages: [{ role: 'user', content: prompt }]
+      const insight = await this.llm.completeStructured('research', 'research_insight', {
+        prompt,
+        maxTokens: 512
       });
-
-      const text = response.content[0].text;
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      if (insight) return insight;
     } catch (error) {
       console.error('Error processing research:', error.message);
     }
@@ -857,7 +868,7 @@ Respond in JSON:
 
     // 0. INDEPENDENT RESEARCH - Brick explores on his own!
     // This runs first so new insights can feed into the rest of the session
-    if (this.research.apiKey) {
+    if (this.research.isAvailable()) {
       const researchResults = await this.doIndependentResearch();
       results.research_insights = researchResults.insights_captured;
     } else {
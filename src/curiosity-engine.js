@@ -3,30 +3,31 @@
 // The goal is surprise, not expertise
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('./database');
 
 class BrickCuriosityEngine {
-  constructor() {
+  constructor(options = {}) {
     this.supabase = null;
+    this.knowledge = options.knowledge || null;   // BrickKnowledgeStore - what Brick already knows
 
     // Novelty parameters
     this.noveltyThreshold = 0.6;  // How different something must be to be "novel"
     this.explorationRate = 0.3;   // 30% of the time, ignore knowledge and explore
-    this.forgetRate = 0.01;       // 1% of old knowledge decays each cycle
+    this.forgetRate = 0.01;       // 1% of old knowledge decays each pass
+    this.surpriseWeight = 0.5;    // Share of the surprise bonus that reaches the spark level
 
-    // Anti-repetition
+    // Anti-repetition - survives restarts (curiosity_state, or brick_curiosity.json without a database)
     this.recentOutputs = [];      // Track what Brick has said
     this.maxRecentOutputs = 100;
+    this.statePath = path.join(__dirname, '../brick_curiosity.json');
   }
 
   async initialize() {
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
-    console.log('🌱 Curiosity engine initialized');
+    this.supabase = getDatabase();
+    await this.load();
+    console.log(`🌱 Curiosity engine initialized (${this.recentOutputs.length} recent outputs remembered)`);
     return true;
   }
 
@@ -113,10 +114,27 @@ class BrickCuriosityEngine {
     };
   }
 
+  // Surprise against the knowledge store's best match, scaled for the spark level
+  // Without a knowledge base there's nothing to be surprised against - returns null
+  async assessSurprise(content) {
+    if (!this.knowledge?.supabase) return null;
+
+    const [knowledgeMatch] = await this.knowledge.search(content, { limit: 1, minQuality: 0 });
+    const { surpriseBonus, reason } = this.calculateSurpriseBonus(content, knowledgeMatch);
+
+    return {
+      sparkBonus: Math.round(surpriseBonus * this.surpriseWeight * 10) / 10,
+      knowledgeScore: knowledgeMatch?.relevanceScore || 0,
+      reason
+    };
+  }
+
   // === ANTI-REPETITION ===
   // Track what Brick says and avoid repeating
 
-  trackOutput(output) {
+  async trackOutput(output) {
+    if (!output) return;
+
     this.recentOutputs.unshift({
       content: output,
       concepts: this.extractConcepts(output),
@@ -127,6 +145,8 @@ class BrickCuriosityEngine {
     if (this.recentOutputs.length > this.maxRecentOutputs) {
       this.recentOutputs.pop();
     }
+
+    await this.save();
   }
 
   isRepetitive(proposedOutput) {
@@ -198,6 +218,28 @@ class BrickCuriosityEngine {
     }
 
     try {
+      const metadata = {
+        discoveredAt: new Date().toISOString(),
+        context: context.reason || 'Organic discovery',
+        noveltyScore: noveltyCheck.noveltyScore
+      };
+
+      // Through the knowledge store when it's wired up, so the discovery gets an embedding
+      if (this.knowledge?.supabase) {
+        const stored = await this.knowledge.store({
+          text: content,
+          author: context.author || 'discovered',
+          source: 'discovered',
+          domain: context.domain || 'exploration',
+          qualityScore: Math.round(noveltyCheck.noveltyScore * 100),
+          metadata
+        });
+        if (!stored) return { learned: false, reason: 'Knowledge store rejected it' };
+
+        console.log(`🌱 Learned something new! Novelty: ${noveltyCheck.noveltyScore.toFixed(2)}`);
+        return { learned: true, noveltyScore: noveltyCheck.noveltyScore, id: stored.id };
+      }
+
       const keywords = this.extractConcepts(content);
 
       const { data, error } = await this.supabase
@@ -210,11 +252,7 @@ class BrickCuriosityEngine {
           domain: context.domain || 'exploration',
           keywords: keywords,
           quality_score: Math.round(noveltyCheck.noveltyScore * 100),
-          metadata: {
-            discoveredAt: new Date().toISOString(),
-            context: context.reason || 'Organic discovery',
-            noveltyScore: noveltyCheck.noveltyScore
-          }
+          metadata
         })
         .select()
         .single();
@@ -234,6 +272,49 @@ class BrickCuriosityEngine {
     }
   }
 
+  // === PERSISTENCE ===
+
+  async load() {
+    try {
+      let outputs = null;
+
+      if (this.supabase) {
+        const { data, error } = await this.supabase
+          .from('curiosity_state')
+          .select('recent_outputs')
+          .eq('id', 'brick')
+          .maybeSingle();
+
+        if (error) throw error;
+        outputs = data?.recent_outputs;
+      } else if (fs.existsSync(this.statePath)) {
+        outputs = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+      }
+
+      if (Array.isArray(outputs)) {
+        this.recentOutputs = outputs.slice(0, this.maxRecentOutputs);
+      }
+    } catch (error) {
+      console.error('Error loading curiosity state:', error.message);
+    }
+  }
+
+  async save() {
+    try {
+      if (this.supabase) {
+        const { error } = await this.supabase
+          .from('curiosity_state')
+          .upsert({ id: 'brick', recent_outputs: this.recentOutputs, updated_at: new Date().toISOString() });
+
+        if (error) throw error;
+      } else {
+        fs.writeFileSync(this.statePath, JSON.stringify(this.recentOutputs));
+      }
+    } catch (error) {
+      console.error('Error saving curiosity state:', error.message);
+    }
+  }
+
   // === SURPRISE RESPONSE GENERATION ===
   // Guidance for generating responses that surprise even Brick himself
 
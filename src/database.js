@@ -0,0 +1,586 @@
+// === BRICK'S DATABASE ===
+// One place every module gets its tables from
+// Supabase when it's configured, otherwise a local SQLite file with the same tables
+// (built from supabase-master-schema.sql) behind the same query API, so modules don't care which
+// BRICK_DB: supabase, local or none - unset, Supabase when SUPABASE_URL is set, otherwise local
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const SCHEMA_PATH = path.join(__dirname, '../supabase-master-schema.sql');
+const DEFAULT_DB_PATH = path.join(__dirname, '../brick.db');
+
+// How each kind of column is declared in SQLite (JSON is stored as text)
+const SQLITE_TYPES = { json: 'TEXT', boolean: 'INTEGER', integer: 'INTEGER', real: 'REAL', text: 'TEXT' };
+
+// === SCHEMA ===
+
+// Postgres type -> how the value is stored locally
+function columnKind(type) {
+  const t = type.toUpperCase();
+  if (t.endsWith('[]') || t.startsWith('JSON') || t.startsWith('VECTOR')) return 'json';
+  if (t.startsWith('BOOL')) return 'boolean';
+  if (/^(INT|BIGINT|SMALLINT)/.test(t)) return 'integer';
+  if (/^(FLOAT|REAL|DOUBLE|DECIMAL|NUMERIC)/.test(t)) return 'real';
+  return 'text';
+}
+
+// DEFAULT clause -> a function producing the value at insert time
+function parseDefault(definition, kind) {
+  const match = definition.match(/DEFAULT\s+(NOW\(\)|gen_random_uuid\(\)|'(?:[^']|'')*'|TRUE|FALSE|NULL|-?[\d.]+)/i);
+  if (!match) return null;
+
+  const raw = match[1];
+  if (/^NOW\(\)$/i.test(raw)) return () => new Date().toISOString();
+  if (/^gen_random_uuid\(\)$/i.test(raw)) return () => crypto.randomUUID();
+  if (/^NULL$/i.test(raw)) return null;
+  if (/^(TRUE|FALSE)$/i.test(raw)) {
+    const value = raw.toUpperCase() === 'TRUE';
+    return () => value;
+  }
+  if (raw.startsWith("'")) {
+    const text = raw.slice(1, -1).replace(/''/g, "'");
+    if (kind !== 'json') return () => text;
+    // Postgres writes an empty array as '{}' - only JSONB means an object by it
+    const isArray = text === '[]' || (text === '{}' && !/JSONB?\b/i.test(definition));
+    return () => (isArray ? [] : JSON.parse(text));
+  }
+  const number = parseFloat(raw);
+  return () => number;
+}
+
+// Split on commas that aren't inside parentheses or quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === "'") quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+// Tables, columns, keys and views from the master schema - the local file mirrors it
+function parseSchema(sql) {
+  const tables = {};
+  const stripped = sql.replace(/--[^\n]*/g, '');
+
+  const tablePattern = /CREATE TABLE IF NOT EXISTS (\w+)\s*\(([\s\S]*?)\n\);/g;
+  let match;
+  while ((match = tablePattern.exec(stripped))) {
+    const [, name, body] = match;
+    const table = { columns: {}, primaryKey: null, unique: [] };
+
+    for (const part of splitTopLevel(body).map(p => p.trim()).filter(Boolean)) {
+      const constraint = part.match(/^(UNIQUE|PRIMARY KEY)\s*\(([^)]+)\)/i);
+      if (constraint) {
+        const columns = constraint[2].split(',').map(c => c.trim());
+        if (/^PRIMARY/i.test(constraint[1])) table.primaryKey = columns;
+        else table.unique.push(columns);
+        continue;
+      }
+      if (/^(CONSTRAINT|CHECK|FOREIGN)\b/i.test(part)) continue;
+
+      const [column, ...rest] = part.split(/\s+/);
+      const definition = rest.join(' ');
+      const kind = columnKind(rest[0] || 'TEXT');
+      table.columns[column] = { kind, default: parseDefault(definition, kind) };
+      if (/PRIMARY KEY/i.test(definition)) table.primaryKey = [column];
+      if (/\bUNIQUE\b/i.test(definition)) table.unique.push([column]);
+    }
+
+    tables[name] = table;
+  }
+
+  // Columns added after launch
+  const alterPattern = /ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+) ([^;]+);/g;
+  while ((match = alterPattern.exec(stripped))) {
+    const [, name, column, definition] = match;
+    if (!tables[name] || tables[name].columns[column]) continue;
+    const kind = columnKind(definition.split(/\s+/)[0]);
+    tables[name].columns[column] = { kind, default: parseDefault(definition, kind) };
+  }
+
+  // Views keep their Postgres SQL; the columns array_agg builds come back as JSON locally
+  const views = [];
+  const viewPattern = /CREATE OR REPLACE VIEW (\w+) AS([\s\S]*?);/g;
+  while ((match = viewPattern.exec(stripped))) {
+    const columns = {};
+    for (const [, column] of match[2].matchAll(/array_agg\([^\n]*?\bas\s+(\w+)/gi)) {
+      columns[column] = { kind: 'json' };
+    }
+    views.push({ name: match[1], sql: match[2], columns });
+  }
+
+  return { tables, views };
+}
+
+// The Postgres in the views that has a direct SQLite spelling
+// NOW() becomes an ISO string, to compare with the ISO timestamps stored locally
+function toSqlite(sql) {
+  return sql
+    .replace(/\bNOW\(\)/gi, "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')")
+    .replace(/\barray_agg\(/gi, 'json_group_array(');
+}
+
+// === LOCAL QUERIES ===
+
+// Supabase's filter operators in SQL
+const OPERATORS = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'LIKE' };
+
+// Mirrors the supabase-js builder: chain, then await for { data, error, count }
+class LocalQuery {
+  constructor(database, table) {
+    this.database = database;
+    this.db = database.db;
+    this.table = table;
+    this.schema = database.schema.tables[table] || null;
+    this.action = 'select';
+    this.columns = '*';
+    this.payload = null;
+    this.conflict = null;
+    this.returning = false;
+    this.filters = [];      // [sql, params]
+    this.ordering = [];
+    this.limitCount = null;
+    this.offsetCount = 0;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;  // 'single' | 'maybe'
+  }
+
+  // === BUILDING ===
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.headOnly = Boolean(options.head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflict = options.onConflict ? options.onConflict.split(',').map(c => c.trim()) : null;
+    return this;
+  }
+
+  update(fields) {
+    this.action = 'update';
+    this.payload = fields;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  like(column, value) { return this.where(column, 'like', value); }
+  ilike(column, value) { return this.where(column, 'ilike', value); }
+  is(column, value) { return this.where(column, 'is', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+
+  match(fields) {
+    for (const [column, value] of Object.entries(fields)) this.eq(column, value);
+    return this;
+  }
+
+  not(column, operator, value) {
+    const [sql, params] = this.condition(column, operator, value);
+    this.filters.push([`NOT (${sql})`, params]);
+    return this;
+  }
+
+  // PostgREST syntax: 'a.eq.1,b.is.null'
+  or(expression) {
+    const parts = splitTopLevel(expression).map(part => {
+      const [, column, operator, value] = part.trim().match(/^(\w+)\.(\w+)\.(.*)$/) || [];
+      if (!column) throw new Error(`Can't parse filter "${part}"`);
+      return this.condition(column, operator, this.parseFilterValue(operator, value));
+    });
+
+    this.filters.push([
+      `(${parts.map(([sql]) => sql).join(' OR ')})`,
+      parts.flatMap(([, params]) => params)
+    ]);
+    return this;
+  }
+
+  // Array column holds every given value (or JSON column has every given key/value)
+  contains(column, value) {
+    const quoted = this.quote(column);
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        this.filters.push([`EXISTS (SELECT 1 FROM json_each(${quoted}) WHERE value = ?)`, [item]]);
+      }
+    } else {
+      for (const [key, item] of Object.entries(value)) {
+        this.filters.push([`json_extract(${quoted}, ?) = ?`, [`$.${key}`, this.toParam(item)]]);
+      }
+    }
+    return this;
+  }
+
+  // Array column shares at least one value
+  overlaps(column, values) {
+    const placeholders = values.map(() => '?').join(', ');
+    this.filters.push([
+      `EXISTS (SELECT 1 FROM json_each(${this.quote(column)}) WHERE value IN (${placeholders}))`,
+      values
+    ]);
+    return this;
+  }
+
+  order(column, options = {}) {
+    const ascending = options.ascending !== false;
+    // Postgres puts nulls last going up, first going down
+    const nullsFirst = options.nullsFirst ?? !ascending;
+    this.ordering.push(`${this.quote(column)} IS NULL ${nullsFirst ? 'DESC' : 'ASC'}, ${this.quote(column)} ${ascending ? 'ASC' : 'DESC'}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  where(column, operator, value) {
+    this.filters.push(this.condition(column, operator, value));
+    return this;
+  }
+
+  condition(column, operator, value) {
+    const quoted = this.quote(column);
+
+    if (operator === 'is') {
+      if (value === null) return [`${quoted} IS NULL`, []];
+      return [`${quoted} IS ?`, [this.toParam(value, column)]];
+    }
+    if (operator === 'in') {
+      const values = Array.isArray(value) ? value : [value];
+      return [`${quoted} IN (${values.map(() => '?').join(', ')})`, values.map(v => this.toParam(v, column))];
+    }
+    if (!OPERATORS[operator]) throw new Error(`Unsupported filter "${operator}"`);
+    return [`${quoted} ${OPERATORS[operator]} ?`, [this.toParam(value, column)]];
+  }
+
+  parseFilterValue(operator, raw) {
+    if (operator === 'is') {
+      if (raw === 'null') return null;
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    }
+    if (operator === 'in') {
+      return raw.replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+    }
+    return raw.replace(/^"|"$/g, '');
+  }
+
+  // === RUNNING ===
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    try {
+      if (!this.schema && !this.database.views.has(this.table)) {
+        throw Object.assign(new Error(`relation "${this.table}" does not exist`), { code: '42P01' });
+      }
+
+      let rows;
+      let count = null;
+
+      if (this.action === 'select') {
+        ({ rows, count } = this.runSelect());
+      } else if (this.action === 'update') {
+        rows = this.runUpdate();
+      } else if (this.action === 'delete') {
+        rows = this.runDelete();
+      } else {
+        rows = this.runInsert();
+      }
+
+      rows = rows.map(row => this.decodeRow(row));
+
+      if (this.action !== 'select' && !this.returning) {
+        return { data: null, error: null, count };
+      }
+      if (this.headOnly) {
+        return { data: null, error: null, count };
+      }
+      if (this.singleMode) {
+        if (rows.length === 1) return { data: rows[0], error: null, count };
+        if (rows.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count };
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned` },
+          count
+        };
+      }
+      return { data: rows, error: null, count };
+
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || 'LOCAL' }, count: null };
+    }
+  }
+
+  runSelect() {
+    const [whereSql, params] = this.whereClause();
+    let count = null;
+
+    if (this.countMode) {
+      count = this.db.prepare(`SELECT COUNT(*) AS n FROM ${this.quote(this.table)}${whereSql}`).get(...params).n;
+      if (this.headOnly) return { rows: [], count };
+    }
+
+    let sql = `SELECT ${this.selectList()} FROM ${this.quote(this.table)}${whereSql}`;
+    if (this.ordering.length > 0) sql += ` ORDER BY ${this.ordering.join(', ')}`;
+    if (this.limitCount !== null || this.offsetCount) sql += ` LIMIT ${this.limitCount ?? -1} OFFSET ${this.offsetCount}`;
+
+    return { rows: this.db.prepare(sql).all(...params), count };
+  }
+
+  runInsert() {
+    const insertAll = this.db.transaction((rows) => rows.map(row => this.insertOne(row)).filter(Boolean));
+    return insertAll(this.payload);
+  }
+
+  insertOne(row) {
+    const values = this.withDefaults(row);
+    const columns = Object.keys(values);
+    let sql = `INSERT INTO ${this.quote(this.table)} (${columns.map(c => this.quote(c)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+
+    if (this.action === 'upsert') {
+      const target = this.conflict || this.schema.primaryKey;
+      // Only overwrite what the caller sent - defaults shouldn't clobber an existing row
+      const updates = Object.keys(row).filter(c => !target.includes(c));
+      sql += updates.length > 0
+        ? ` ON CONFLICT (${target.map(c => this.quote(c)).join(', ')}) DO UPDATE SET ${updates.map(c => `${this.quote(c)} = excluded.${this.quote(c)}`).join(', ')}`
+        : ` ON CONFLICT (${target.map(c => this.quote(c)).join(', ')}) DO NOTHING`;
+    }
+
+    return this.db.prepare(`${sql} RETURNING *`).get(...columns.map(c => this.toParam(values[c], c)));
+  }
+
+  runUpdate() {
+    const columns = Object.keys(this.payload);
+    const [whereSql, params] = this.whereClause();
+    const sql = `UPDATE ${this.quote(this.table)} SET ${columns.map(c => `${this.quote(c)} = ?`).join(', ')}${whereSql} RETURNING *`;
+    return this.db.prepare(sql).all(...columns.map(c => this.toParam(this.payload[c], c)), ...params);
+  }
+
+  runDelete() {
+    const [whereSql, params] = this.whereClause();
+    return this.db.prepare(`DELETE FROM ${this.quote(this.table)}${whereSql} RETURNING *`).all(...params);
+  }
+
+  // === HELPERS ===
+
+  whereClause() {
+    if (this.filters.length === 0) return ['', []];
+    return [
+      ` WHERE ${this.filters.map(([sql]) => sql).join(' AND ')}`,
+      this.filters.flatMap(([, params]) => params)
+    ];
+  }
+
+  // Plain column lists only - embedded resources like "profiles(*)" aren't joined locally
+  selectList() {
+    const columns = splitTopLevel(this.columns)
+      .map(c => c.trim())
+      .filter(c => c && !c.includes('('));
+    if (columns.length === 0 || columns.includes('*')) return '*';
+    return columns.map(c => this.quote(c)).join(', ');
+  }
+
+  withDefaults(row) {
+    const values = { ...row };
+    for (const [column, spec] of Object.entries(this.schema.columns)) {
+      if (values[column] === undefined && spec.default) values[column] = spec.default();
+    }
+    return values;
+  }
+
+  toParam(value, column = null) {
+    if (value === undefined || value === null) return null;
+    const kind = this.schema?.columns[column]?.kind;
+
+    if (kind === 'json') return typeof value === 'string' ? value : JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  decodeRow(row) {
+    const columns = this.schema?.columns || this.database.views.get(this.table);
+    if (!columns) return row;
+
+    const decoded = { ...row };
+    for (const [column, value] of Object.entries(row)) {
+      const kind = columns[column]?.kind;
+      if (value === null || !kind) continue;
+      if (kind === 'json') {
+        try { decoded[column] = JSON.parse(value); } catch { decoded[column] = value; }
+      } else if (kind === 'boolean') {
+        decoded[column] = Boolean(value);
+      }
+    }
+    return decoded;
+  }
+
+  quote(name) {
+    if (!/^\w+$/.test(name)) throw new Error(`Bad identifier "${name}"`);
+    return `"${name}"`;
+  }
+}
+
+// The local stand-in for a Supabase client: from() and rpc()
+class LocalDatabase {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+    this.name = 'local';
+    this.dbPath = options.dbPath || process.env.BRICK_DB_PATH || DEFAULT_DB_PATH;
+    this.schema = parseSchema(fs.readFileSync(options.schemaPath || SCHEMA_PATH, 'utf-8'));
+    this.views = new Map();   // name -> columns that need decoding
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+  }
+
+  // Create missing tables, add missing columns - safe to run on every start
+  migrate() {
+    for (const [name, table] of Object.entries(this.schema.tables)) {
+      const existing = new Set(this.db.prepare(`PRAGMA table_info("${name}")`).all().map(c => c.name));
+
+      if (existing.size === 0) {
+        const columns = Object.entries(table.columns).map(([column, spec]) => `"${column}" ${SQLITE_TYPES[spec.kind]}`);
+        if (table.primaryKey) columns.push(`PRIMARY KEY (${table.primaryKey.map(c => `"${c}"`).join(', ')})`);
+        for (const unique of table.unique) columns.push(`UNIQUE (${unique.map(c => `"${c}"`).join(', ')})`);
+        this.db.exec(`CREATE TABLE "${name}" (${columns.join(', ')})`);
+        continue;
+      }
+
+      for (const [column, spec] of Object.entries(table.columns)) {
+        if (!existing.has(column)) {
+          this.db.exec(`ALTER TABLE "${name}" ADD COLUMN "${column}" ${SQLITE_TYPES[spec.kind]}`);
+        }
+      }
+    }
+
+    // Most views are plain enough SQL to run once translated - SQLite only checks functions when a view is
+    // queried, so each one is tried (and rebuilt, in case an older run stored it untranslated)
+    for (const view of this.schema.views) {
+      try {
+        this.db.exec(`DROP VIEW IF EXISTS "${view.name}"`);
+        this.db.exec(`CREATE VIEW "${view.name}" AS ${toSqlite(view.sql)}`);
+        this.db.prepare(`SELECT * FROM "${view.name}" LIMIT 0`);
+        this.views.set(view.name, view.columns);
+      } catch (error) {
+        // Postgres-only syntax (intervals in hot_memory) - that view just doesn't exist locally
+        this.db.exec(`DROP VIEW IF EXISTS "${view.name}"`);
+      }
+    }
+  }
+
+  from(table) {
+    return new LocalQuery(this, table);
+  }
+
+  // SQL functions only exist in Postgres - callers get an error and use their fallback
+  async rpc(name) {
+    return { data: null, error: { message: `rpc ${name} is not available in the local database`, code: 'LOCAL' } };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// === SHARED CLIENT ===
+
+function createDatabase(mode = process.env.BRICK_DB) {
+  const hasSupabase = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY);
+  const choice = mode || (hasSupabase ? 'supabase' : 'local');
+
+  if (choice === 'none') return null;
+  if (choice === 'supabase') {
+    if (!hasSupabase) {
+      console.warn('⚠️ BRICK_DB=supabase but SUPABASE_URL/SUPABASE_ANON_KEY are missing - no database');
+      return null;
+    }
+    return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  }
+  if (choice === 'local') {
+    const database = new LocalDatabase();
+    console.log(`🗄️ Local database: ${database.dbPath}`);
+    return database;
+  }
+
+  throw new Error(`Unknown BRICK_DB "${choice}" - use supabase, local or none`);
+}
+
+// Every module shares one client (and one SQLite handle)
+let sharedDatabase;
+
+function getDatabase() {
+  if (sharedDatabase === undefined) {
+    try {
+      sharedDatabase = createDatabase();
+    } catch (error) {
+      console.error('Database unavailable:', error.message);
+      sharedDatabase = null;
+    }
+  }
+  return sharedDatabase;
+}
+
+module.exports = { getDatabase, createDatabase, LocalDatabase, parseSchema };
@@ -1,44 +1,19 @@
 // === BRICK'S DISCOVERY ENGINE ===
 // Proactively finds interesting content and people
 
+const { getGovernor } = require('./governor');
+const { getTopics } = require('./topics');
+
 class BrickDiscovery {
   constructor() {
     // Brick's own username (set during discover() from twitter.me)
     this.myUsername = null;
     this.myUserId = null;
 
-    // Brick's domains of curiosity
-    this.searchTopics = [
-      // Core interests
-      'AI consciousness',
-      'artificial general intelligence',
-      'emergent behavior',
-      'neural networks insights',
-
-      // Nature & patterns
-      'mycelium network',
-      'biomimicry',
-      'swarm intelligence',
-      'collective behavior',
-
-      // Mind & consciousness
-      'neuroscience discovery',
-      'consciousness research',
-      'psychedelics research',
-      'altered states',
-
-      // Philosophy & big questions
-      'philosophy of mind',
-      'what is consciousness',
-      'nature of intelligence',
-      'human AI collaboration',
-
-      // Tech & humanity
-      'AI ethics',
-      'future of AI',
-      'human machine interface',
-      'digital consciousness'
-    ];
+    // Brick's domains of curiosity - searches come from topics.json,
+    // and every result is scored by the same classifier learning uses
+    this.topics = getTopics();
+    this.searchTopics = this.topics.getSearchQueries();
 
     // Quality signals for accounts worth following
     this.qualitySignals = {
@@ -52,6 +27,7 @@ class BrickDiscovery {
     // Rate limits
     this.maxFollowsPerCycle = 2;   // Don't follow too many at once
     this.maxSearchesPerCycle = 3;  // Don't spam searches
+    this.governor = getGovernor(); // Daily/hourly follow quotas
 
     // Track who we've seen to avoid duplicates
     this.seenUsers = new Set();
@@ -177,18 +153,28 @@ class BrickDiscovery {
       return { engage: false, reason: 'Too viral - conversation saturated' };
     }
 
+    // Search matches words, not meaning - make sure it's actually in Brick's domains
+    const topics = this.topics.classify(text);
+    if (topics.length === 0) {
+      return { engage: false, reason: 'Off-topic' };
+    }
+
     return {
       engage: true,
       reason: hasEngagement ? 'Active conversation' : 'Fresh content',
-      score: this.calculateTweetScore(tweet)
+      score: this.calculateTweetScore(tweet, topics),
+      topics
     };
   }
 
   // Score a tweet for engagement priority
-  calculateTweetScore(tweet) {
+  calculateTweetScore(tweet, topics = []) {
     let score = 50;
     const metrics = tweet.public_metrics || {};
 
+    // Closer to the heart of a topic, higher priority
+    score += Math.round((topics[0]?.score || 0) * 30);
+
     // Engagement sweet spot (some but not too much)
     const likes = metrics.like_count || 0;
     if (likes >= 5 && likes <= 100) {
@@ -303,6 +289,7 @@ class BrickDiscovery {
             discoveries.tweetsFound.push({
               tweet,
               topic,
+              topics: tweetQuality.topics,
               score: tweetQuality.score,
               reason: tweetQuality.reason
             });
@@ -330,7 +317,7 @@ class BrickDiscovery {
     for (const discovery of topDiscoveries) {
       console.log(`\n   💎 Found via "${discovery.topic}":`);
       console.log(`      @${discovery.tweet.author}: "${discovery.tweet.text.substring(0, 60)}..."`);
-      console.log(`      Score: ${discovery.score} | ${discovery.reason}`);
+      console.log(`      Score: ${discovery.score} | ${discovery.reason} | ${discovery.topics.map(t => t.label).join(', ')}`);
     }
 
     return {
@@ -396,6 +383,11 @@ class BrickDiscovery {
     const followed = [];
 
     for (const { user, tweet } of candidates) {
+      if (!this.governor.canAct('follow')) {
+        console.log('   🚦 Follow quota reached - no more follows for now');
+        break;
+      }
+
       // Let Brick decide if he actually wants to follow
       const prompt = `I discovered @${user.username} through this tweet:
 "${tweet.text.substring(0, 200)}"
@@ -408,20 +400,19 @@ Respond with JSON: { "shouldFollow": true/false, "reason": "brief explanation" }
 
       try {
         const response = await core.think(prompt);
-        const match = response.match(/\{[\s\S]*\}/);
-
-        if (match) {
-          const decision = JSON.parse(match[0]);
-
-          if (decision.shouldFollow) {
-            const result = await twitter.follow(user.id);
-            if (result) {
-              followed.push({ user, reason: decision.reason });
-              console.log(`   ➕ Followed @${user.username}: ${decision.reason}`);
-            }
-          } else {
-            console.log(`   ⏭️  Skipped @${user.username}: ${decision.reason}`);
+        const decision = await core.llm.parseStructured('follow_decision', response, { role: 'core', prompt });
+
+        if (!decision) {
+          console.log(`   ⏭️  Skipped @${user.username}: could not get a clear decision`);
+        } else if (decision.shouldFollow) {
+          const result = await twitter.follow(user.id);
+          if (result) {
+            await this.governor.recordAction('follow');
+            followed.push({ user, reason: decision.reason });
+            console.log(`   ➕ Followed @${user.username}: ${decision.reason}`);
           }
+        } else {
+          console.log(`   ⏭️  Skipped @${user.username}: ${decision.reason}`);
         }
       } catch (error) {
         console.log(`   Error evaluating @${user.username}: ${error.message}`);
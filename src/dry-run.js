@@ -0,0 +1,356 @@
+// === BRICK DRY RUN ===
+// Runs a full Brick cycle offline against recorded fixtures
+// Nothing is posted and X, Claude, Tavily, Mem0 and Supabase are never called
+
+const fs = require('fs');
+const { fakeTimeline, fakeMentions, fakeConversations } = require('./test-data');
+const { MockProvider } = require('./mock-llm');
+
+class BrickDryRun {
+  constructor(brick, options = {}) {
+    this.brick = brick;
+    this.options = {
+      fixturePath: null,       // JSON capture from pull-sample-data.js
+      postOriginal: false,     // Force (true) or suppress (false) the original post roll
+      approval: [],            // Action types that wait for the gardener instead of posting
+      quiet: false,            // Suppress Brick's own console chatter
+      ...options
+    };
+
+    this.fixtures = null;
+    this.trace = [];
+    this.actions = [];
+    this.draftContexts = []; // Full context handed to the draft writer, for checking what Brick knew
+    this.approvalQueue = [];  // In-memory stand-in for the approval_queue table
+    this.llm = new MockProvider();
+    this.postCounter = 0;
+  }
+
+  // === FIXTURES ===
+
+  loadFixtures() {
+    let raw = { timeline: fakeTimeline, mentions: fakeMentions, conversations: fakeConversations };
+
+    if (this.options.fixturePath) {
+      const capture = JSON.parse(fs.readFileSync(this.options.fixturePath, 'utf-8'));
+      // pull-sample-data.js used to print a bare array - treat it as the timeline
+      raw = Array.isArray(capture) ? { timeline: capture, mentions: [] } : capture;
+    }
+
+    const timeline = (raw.timeline || []).map(t => this.normalizeTweet(t));
+    const mentions = (raw.mentions || []).map(t => this.normalizeTweet(t));
+    const search = (raw.search || []).map(t => this.normalizeTweet(t));
+    const conversations = (raw.conversations || []).map(t => this.normalizeTweet(t));
+
+    this.fixtures = {
+      timeline,
+      mentions,
+      // Discovery searches fall back to the timeline when the capture has none
+      search: search.length > 0 ? search : timeline,
+      // Parent tweets that only show up when a reply chain is walked
+      conversations
+    };
+
+    return this.fixtures;
+  }
+
+  // Fill in the fields formatTweets() would have produced
+  normalizeTweet(tweet) {
+    const media = tweet.media || [];
+    return {
+      authorName: tweet.author,
+      authorBio: '',
+      authorId: `fixture_${tweet.author}`,
+      createdAt: new Date().toISOString(),
+      metrics: {},
+      conversationId: tweet.id,
+      inReplyToId: null,
+      ...tweet,
+      media,
+      hasMedia: media.length > 0,
+      hasImage: media.some(m => m.type === 'photo'),
+      hasVideo: media.some(m => m.type === 'video' || m.type === 'animated_gif')
+    };
+  }
+
+  // === STUBS ===
+
+  install() {
+    const brick = this.brick;
+    if (!this.fixtures) this.loadFixtures();
+
+    // Claude: every agent shares one LLM client - point it at the mock provider
+    brick.core.llm.setProvider(this.llm);
+    brick.core.llm.resetUsage();
+
+    // Research: no providers means every search short-circuits without a request
+    brick.research.providers = {};
+    brick.creative.research.providers = {};
+
+    // Mem0 and Supabase stay null because their initialize() never runs.
+    // Preferences are read but never written back.
+    brick.learning.savePreferences = () => {};
+
+    // Fresh budget every run, and nothing written to brick_governor.json
+    brick.governor.reset();
+    brick.governor.save = async () => {};
+
+    // Recent outputs stay in memory - nothing written to curiosity_state or brick_curiosity.json
+    brick.curiosity.save = async () => {};
+
+    // No waiting between tweets, searches or follows
+    brick.sleep = async () => {};
+    brick.discovery.sleep = async () => {};
+
+    brick.originalPostChance = this.options.postOriginal ? 1 : 0;
+
+    brick.approvals.required = this.options.approval;
+    this.stubApprovals(brick.approvals);
+
+    this.stubTwitter(brick.twitter);
+    this.traceDecisions(brick);
+  }
+
+  stubTwitter(twitter) {
+    const fixtures = this.fixtures;
+
+    twitter.client = null;
+    twitter.supabase = null;
+    twitter.me = { data: { id: 'dry_run_brick', username: 'Brickthee' } };
+
+    twitter.initialize = async () => true;
+    twitter.keepTokensFresh = async () => true;
+    twitter.getTimeline = async (count = 20) => fixtures.timeline.slice(0, count);
+    twitter.getMentions = async (count = 20) => fixtures.mentions.slice(0, count);
+
+    twitter.search = async (query, count = 20) => {
+      const words = query
+        .split(/\s+/)
+        .filter(w => w && !w.startsWith('-') && !w.includes(':'))
+        .map(w => w.toLowerCase());
+
+      return fixtures.search
+        .filter(t => words.some(w => t.text.toLowerCase().includes(w)))
+        .slice(0, count);
+    };
+
+    twitter.getTweet = async (tweetId) => {
+      const all = [...fixtures.conversations, ...fixtures.timeline, ...fixtures.mentions, ...fixtures.search];
+      return all.find(t => t.id === tweetId) || null;
+    };
+
+    twitter.getUser = async (username) => {
+      const tweet = [...fixtures.timeline, ...fixtures.mentions, ...fixtures.search]
+        .find(t => t.author === username);
+      if (!tweet) return null;
+
+      return tweet.user || {
+        id: tweet.authorId,
+        username,
+        name: tweet.authorName,
+        description: tweet.authorBio || `${tweet.authorName} - fixture account for dry runs`,
+        public_metrics: {
+          followers_count: 1500,
+          following_count: 400,
+          tweet_count: 800,
+          listed_count: 20
+        }
+      };
+    };
+
+    // Voice and hands only record what would have happened
+    twitter.tweet = async (content) => this.recordPost('tweet', { content });
+    twitter.reply = async (tweetId, content) => this.recordPost('reply', { tweetId, content });
+    twitter.quote = async (tweetId, content) => this.recordPost('quote', { tweetId, content });
+
+    twitter.deleteTweet = async (tweetId) => {
+      this.recordAction('delete', { tweetId });
+      return true;
+    };
+
+    twitter.like = async (tweetId) => {
+      this.recordAction('like', { tweetId });
+      return true;
+    };
+
+    twitter.follow = async (userId) => {
+      this.recordAction('follow', { userId });
+      return true;
+    };
+
+    twitter.unfollow = async (userId) => {
+      this.recordAction('unfollow', { userId });
+      return true;
+    };
+  }
+
+  stubApprovals(approvals) {
+    approvals.secret = approvals.secret || 'dry-run';   // Drafts still get signed, so decisions go through decide()
+
+    approvals.enqueue = async (item) => {
+      const row = { id: `approval_${this.approvalQueue.length + 1}`, ...approvals.buildRow(item) };
+      this.approvalQueue.push(row);
+      this.record('awaiting-approval', row.action_type, row.content);
+      return row;
+    };
+
+    approvals.getItem = async (itemId) => this.approvalQueue.find(row => row.id === itemId) || null;
+
+    approvals.getApproved = async (limit = 5) =>
+      this.approvalQueue.filter(row => row.status === 'approved').slice(0, limit);
+
+    approvals.update = async (itemId, fields) => {
+      const row = this.approvalQueue.find(r => r.id === itemId);
+      if (row) Object.assign(row, fields);
+      return row || null;
+    };
+
+    approvals.expireStale = async () => 0;
+  }
+
+  // What the gardener would do in the garden - through the same path as the admin API
+  async decideApprovals(choice = 'approved') {
+    for (const row of this.approvalQueue.filter(r => r.status === 'pending')) {
+      await this.brick.approvals.decide(row.id, choice === 'approved');
+    }
+  }
+
+  recordPost(type, details) {
+    this.postCounter++;
+    const id = `dry_run_${this.postCounter}`;
+    this.recordAction(type, { ...details, id });
+    return { data: { id, text: details.content } };
+  }
+
+  recordAction(type, details) {
+    this.actions.push({ type, ...details });
+    this.record('would-post', type, details.content || details.tweetId || details.userId);
+  }
+
+  // === DECISION TRACE ===
+
+  record(step, subject, detail = '') {
+    this.trace.push({ step, subject, detail, at: new Date().toISOString() });
+  }
+
+  // Wrap a method so every call lands in the trace
+  traceMethod(target, method, step, describe) {
+    const original = target[method].bind(target);
+    target[method] = async (...args) => {
+      const result = await original(...args);
+      const { subject, detail } = describe(args, result);
+      this.record(step, subject, detail);
+      return result;
+    };
+  }
+
+  traceDecisions(brick) {
+    // logSaw gets the tweet plus the fully adjusted evaluation
+    this.traceMethod(brick.journal, 'logSaw', 'evaluate', ([tweet, evaluation]) => ({
+      subject: `@${tweet.author}`,
+      detail: `spark ${evaluation.sparkLevel} → ${evaluation.shouldEngage ? evaluation.engagementType : 'skip'} (${evaluation.reason})`
+    }));
+
+    this.traceMethod(brick.squad, 'scout', 'scout', ([tweet], report) => ({
+      subject: `@${tweet.author}`,
+      detail: `spark ${report.spark_level} | ${report.recommendation}`
+    }));
+
+    this.traceMethod(brick.squad, 'seekWisdom', 'wisdom', ([action], wisdom) => ({
+      subject: `@${action.target}`,
+      detail: `${wisdom.approved ? 'approved' : 'rejected'}: ${wisdom.message}`
+    }));
+
+    // Replies come from Brick da Homi, originals (and Homi's fallback) from core
+    this.traceMethod(brick.squad, 'engage', 'draft', ([tweet, { context, engagementType }], draft) => {
+      this.draftContexts.push(context);
+      return { subject: `${engagementType} (homi)`, detail: draft?.response || 'no draft' };
+    });
+
+    this.traceMethod(brick.core, 'respond', 'draft', ([context, type], draft) => {
+      this.draftContexts.push(context);
+      return { subject: type, detail: draft };
+    });
+
+    this.traceMethod(brick.core, 'checkGuardrails', 'guardrails', (args, result) => ({
+      subject: result.passesGuardrails ? 'pass' : 'fail',
+      detail: (result.concerns || []).join(', ')
+    }));
+
+    this.traceMethod(brick.discovery, 'discover', 'discovery', (args, result) => ({
+      subject: `${result?.topics?.length || 0} topic(s)`,
+      detail: `${result?.tweets?.length || 0} tweet(s) surfaced`
+    }));
+  }
+
+  // === RUN ===
+
+  async run() {
+    const brick = this.brick;
+    const { log, warn } = console;
+
+    this.install();
+    brick.core.loadConstitution();
+    await brick.squad.loadAgents();
+    brick.learning.loadPreferences();
+
+    if (this.options.quiet) {
+      console.log = () => {};
+      console.warn = () => {};
+    }
+
+    let ran;
+    try {
+      ran = await brick.runCycle();
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+
+    return {
+      ran,
+      trace: this.trace,
+      actions: this.actions,
+      cycleStats: brick.cycleStats,
+      llmCalls: this.llm.calls,
+      llmUsage: brick.core.llm.getUsage()
+    };
+  }
+
+  printTrace() {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('🧾 DRY RUN DECISION TRACE');
+    console.log('='.repeat(60));
+
+    this.trace.forEach((entry, i) => {
+      const detail = entry.detail ? ` — ${String(entry.detail).replace(/\s+/g, ' ').substring(0, 120)}` : '';
+      console.log(`${String(i + 1).padStart(3)}. [${entry.step}] ${entry.subject}${detail}`);
+    });
+
+    console.log(`\n📮 Would have posted (${this.actions.length}):`);
+    for (const action of this.actions) {
+      const target = action.tweetId || action.userId || '';
+      console.log(`   ${action.type}${target ? ` → ${target}` : ''}${action.content ? `: "${action.content}"` : ''}`);
+    }
+
+    const stats = this.brick.cycleStats;
+    console.log('\n📊 Cycle stats:');
+    console.log(`   Scanned: ${stats.tweets_scanned} | Opportunities: ${stats.opportunities_found} | Skipped: ${stats.skipped}`);
+    console.log(`   Wise approvals: ${stats.wise_approvals} | Rejections: ${stats.wise_rejections} | Actions: ${stats.actions_taken}`);
+    console.log(`   Mock model calls: ${this.llm.calls}`);
+    for (const [role, usage] of Object.entries(stats.llm_usage?.byRole || {})) {
+      console.log(`      ${role}: ${usage.calls} call(s), ${usage.input_tokens} in / ${usage.output_tokens} out`);
+    }
+    for (const [schemaName, counts] of Object.entries(stats.llm_usage?.structured || {})) {
+      if (counts.repaired || counts.failed) {
+        console.log(`   Schema ${schemaName}: ${counts.ok} ok, ${counts.repaired} repaired, ${counts.failed} failed`);
+      }
+    }
+    if (stats.governor) {
+      console.log(`   Budget mode: ${stats.governor.mode}`);
+    }
+    console.log('='.repeat(60));
+  }
+}
+
+module.exports = { BrickDryRun };
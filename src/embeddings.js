@@ -0,0 +1,220 @@
+// === BRICK'S EMBEDDINGS ===
+// Text -> fixed-length vectors for the knowledge store (pgvector)
+// Providers: local (default - a small sentence-transformer on the CPU, no keys), openai, and hash (no model at all)
+// Vectors from different providers don't compare - every row records the model that made it
+
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const { tokenize } = require('./topics');
+
+// brick_knowledge.embedding is VECTOR(512) - every provider has to fit it
+const EMBEDDING_DIMENSIONS = 512;
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// === PROVIDERS ===
+
+// A sentence-transformer run through transformers.js (onnxruntime on the CPU) - paraphrases land close together
+// The weights download from the Hugging Face hub on first use and are cached after that (BRICK_EMBEDDING_CACHE)
+// MiniLM vectors are 384 long - zero-padded to 512, which leaves cosine similarity unchanged
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || process.env.BRICK_LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL;
+    this.cacheDir = options.cacheDir || process.env.BRICK_EMBEDDING_CACHE || null;
+    this.extractor = options.extractor || null;   // (texts, options) -> Tensor - tests hand one in
+    this.load = options.load || (() => this.loadModel());
+    this.loading = null;
+    this.retryAfterMs = options.retryAfterMs ?? 15 * 60 * 1000;   // After a failed load, before the next download attempt
+    this.failure = null;   // { error, at } from the last failed load
+  }
+
+  // False while a failed load is backing off - callers can skip embedding instead of failing on it
+  isAvailable() {
+    return !this.failure || Date.now() - this.failure.at >= this.retryAfterMs;
+  }
+
+  // Loaded once and shared - the first call pays for the model, the rest don't
+  // A failed load is remembered, so a flaky network doesn't turn into a download attempt per call
+  async getExtractor() {
+    if (this.extractor) return this.extractor;
+    if (!this.isAvailable()) throw this.failure.error;
+
+    if (!this.loading) {
+      this.loading = this.load().catch((error) => {
+        const minutes = Math.round(this.retryAfterMs / 60000);
+        this.failure = {
+          error: new Error(`Local embedding model ${this.model} failed to load (${error.message}) - retrying in ${minutes} min; BRICK_EMBEDDINGS=hash runs without one`),
+          at: Date.now()
+        };
+        this.loading = null;
+        console.warn(`⚠️ ${this.failure.error.message}`);
+        throw this.failure.error;
+      });
+    }
+
+    this.extractor = await this.loading;
+    this.failure = null;
+    return this.extractor;
+  }
+
+  async loadModel() {
+    const { pipeline, env } = require('@huggingface/transformers');
+    if (this.cacheDir) env.cacheDir = this.cacheDir;
+    console.log(`🧮 Loading local embedding model ${this.model}...`);
+    return pipeline('feature-extraction', this.model, { dtype: 'q8' });
+  }
+
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+
+    return output.tolist().map((vector) => {
+      if (vector.length > EMBEDDING_DIMENSIONS) {
+        throw new Error(`${this.model} makes ${vector.length}-dimension vectors - brick_knowledge holds ${EMBEDDING_DIMENSIONS}`);
+      }
+      return [...vector, ...new Array(EMBEDDING_DIMENSIONS - vector.length).fill(0)];
+    });
+  }
+}
+
+// Feature hashing over stemmed words, word pairs and character trigrams - lexical, not a language model
+// Catches shared words, stems and spellings ("mycelial" ~ "mycelium") but not paraphrase or meaning -
+// only for machines that can't fetch a model, and for tests
+class HashEmbeddingProvider {
+  constructor() {
+    this.name = 'hash';
+    this.model = 'hash-ngram-v1';
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const features = {};
+    const add = (feature, weight) => {
+      features[feature] = (features[feature] || 0) + weight;
+    };
+
+    for (const token of tokenize(text)) {
+      if (token.includes(' ')) {
+        add(`b:${token}`, 1.5);   // Word pairs say the most
+        continue;
+      }
+
+      add(`w:${token}`, 1);
+      const padded = `<${token}>`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        add(`c:${padded.slice(i, i + 3)}`, 0.25);
+      }
+    }
+
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const [feature, count] of Object.entries(features)) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % EMBEDDING_DIMENSIONS;
+      const sign = hash[4] & 1 ? 1 : -1;   // Signed, so collisions cancel instead of pile up
+      vector[index] += sign * Math.log(1 + count);
+    }
+
+    return normalize(vector);
+  }
+}
+
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.BRICK_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  }
+
+  async embed(texts) {
+    const response = await axios.post('https://api.openai.com/v1/embeddings', {
+      model: this.model,
+      input: texts,
+      dimensions: EMBEDDING_DIMENSIONS
+    }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: 30000
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// === THE CLIENT ===
+
+class BrickEmbeddings {
+  constructor(options = {}) {
+    this.provider = options.provider || this.createProvider(process.env.BRICK_EMBEDDINGS);
+    this.batchSize = options.batchSize || 64;
+  }
+
+  createProvider(name = 'local') {
+    if (name === 'hash') return new HashEmbeddingProvider();
+    if (name === 'openai') {
+      if (process.env.OPENAI_API_KEY) return new OpenAIEmbeddingProvider();
+      console.warn('⚠️ BRICK_EMBEDDINGS=openai but no OPENAI_API_KEY - using local embeddings');
+    }
+    return new LocalEmbeddingProvider();
+  }
+
+  // Providers without a model to load are always available
+  isAvailable() {
+    return this.provider.isAvailable ? this.provider.isAvailable() : true;
+  }
+
+  // Stored next to every vector, so a provider switch knows what to re-embed
+  get model() {
+    return `${this.provider.name}:${this.provider.model}`;
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize).map(text => (text || '').substring(0, 8000));
+      vectors.push(...await this.provider.embed(batch));
+    }
+    return vectors;
+  }
+
+  // Cosine similarity - vectors come out unit length, so it's a dot product
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) dot += a[i] * b[i];
+    return dot;
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+// The knowledge store and its backfill share one provider
+let sharedEmbeddings = null;
+
+function getEmbeddings() {
+  if (!sharedEmbeddings) {
+    sharedEmbeddings = new BrickEmbeddings();
+  }
+  return sharedEmbeddings;
+}
+
+module.exports = {
+  BrickEmbeddings,
+  getEmbeddings,
+  LocalEmbeddingProvider,
+  HashEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  EMBEDDING_DIMENSIONS
+};
@@ -2,7 +2,7 @@
 // Stimulus → Emotional State → Decision → Outcome tracking
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 
 // Brick's emotional palette
 const EMOTIONAL_STATES = {
@@ -94,12 +94,7 @@ class BrickEmotions {
   }
 
   async initialize() {
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    this.supabase = getDatabase();
 
     // Load last known state
     await this.loadCurrentState();
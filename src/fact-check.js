@@ -0,0 +1,128 @@
+// === BRICK'S FACT CHECKER ===
+// Pulls the checkable claims out of a draft and checks each one against sources (BrickResearch.verifyFact)
+// The guardrails' TRUTH check is the model judging itself - this is the evidence behind it
+// Constitution: never state uncertain things as facts
+
+require('dotenv').config();
+const { getLLM } = require('./llm');
+const { BrickResearch } = require('./research');
+
+// Confidence -> status, on the same scale as BrickResearch.getVerificationRecommendation
+// Only 'supported' may stand as a plain fact; 'unverified' means there was no evidence either way
+const SUPPORTED_CONFIDENCE = 0.8;
+const CONTESTED_CONFIDENCE = 0.4;
+
+class BrickFactChecker {
+  constructor(options = {}) {
+    this.llm = getLLM();
+    this.research = options.research || new BrickResearch();
+    this.maxClaims = options.maxClaims ?? 3;     // Each check is an advanced Tavily search (2 credits)
+    this.maxCached = options.maxCached ?? 200;
+    this.verdicts = new Map();                   // claim -> result, so a revision doesn't pay for the same claim twice
+  }
+
+  // === CLAIM EXTRACTION ===
+
+  // Statements of fact the world could prove wrong - not questions, opinions, feelings or hedged wonderings
+  async extractClaims(draft) {
+    const prompt = `Here's a draft post:
+
+"${draft}"
+
+List the factual claims it states AS FACT - things about the world that sources could confirm or contradict
+(numbers, dates, findings, who did what, how something works).
+Skip questions, opinions, feelings, jokes, and anything already hedged ("maybe", "I think", "I've read that").
+Mark a claim checkable only if a web search could settle it.
+
+Respond in JSON:
+{
+  "claims": [
+    { "claim": "the claim as one standalone sentence", "checkable": true }
+  ]
+}`;
+
+    try {
+      const result = await this.llm.completeStructured('factcheck', 'claims', { prompt, maxTokens: 512 });
+      if (!result) return [];
+
+      return result.claims
+        .filter(c => c.checkable && c.claim)
+        .map(c => c.claim)
+        .slice(0, this.maxClaims);
+    } catch (error) {
+      console.error('Error extracting claims:', error.message);
+      return [];
+    }
+  }
+
+  // === VERIFICATION ===
+
+  async verify(claim) {
+    const key = claim.toLowerCase().trim();
+    if (this.verdicts.has(key)) return this.verdicts.get(key);
+
+    const verification = await this.research.verifyFact(claim);
+    const result = this.toResult(claim, verification);
+
+    // No evidence this time (no key, budget spent, network) isn't a verdict - ask again next time
+    if (result.status !== 'unverified') {
+      this.verdicts.set(key, result);
+      if (this.verdicts.size > this.maxCached) {
+        this.verdicts.delete(this.verdicts.keys().next().value);
+      }
+    }
+
+    return result;
+  }
+
+  // What gets stored with the action - sources as URLs, not whole snippets
+  // Sources that neither support nor refute the claim are no evidence - that's 'unverified', not 'uncertain'
+  toResult(claim, verification = {}) {
+    const evidence = (verification.supporting_sources?.length || 0) + (verification.contradicting_sources?.length || 0);
+
+    return {
+      claim,
+      status: evidence > 0 ? this.statusFor(verification.confidence) : 'unverified',
+      confidence: verification.confidence ?? 0,
+      recommendation: verification.recommendation || verification.reason || null,
+      supporting: (verification.supporting_sources || []).map(s => s.url).filter(Boolean),
+      contradicting: (verification.contradicting_sources || []).map(s => s.url).filter(Boolean)
+    };
+  }
+
+  statusFor(confidence) {
+    if (confidence > SUPPORTED_CONFIDENCE) return 'supported';
+    if (confidence > CONTESTED_CONFIDENCE) return 'uncertain';
+    return 'contested';
+  }
+
+  // === THE CHECK ===
+  // { claims, flagged, checked_at } - flagged claims are the ones the draft can't state as fact
+
+  async check(draft) {
+    const claims = [];
+    for (const claim of await this.extractClaims(draft)) {
+      claims.push(await this.verify(claim));
+    }
+
+    const flagged = claims.filter(c => c.status === 'uncertain' || c.status === 'contested');
+    if (claims.length > 0) {
+      console.log(`   🔎 Fact check: ${claims.length} claim(s), ${flagged.length} flagged`);
+    }
+
+    return { claims, flagged, checked_at: new Date().toISOString() };
+  }
+
+  // What the rewrite hears: soften the shaky claims, drop the contested ones
+  feedbackFor(flagged) {
+    const lines = flagged.map(c => {
+      if (c.status === 'contested') return `- "${c.claim}" - sources contradict it. Drop it, or ask it as an open question.`;
+      if (c.contradicting.length > 0) return `- "${c.claim}" - sources are mixed. Say it with honest uncertainty, not as fact.`;
+      return `- "${c.claim}" - only thin support. Say it with honest uncertainty, not as fact.`;
+    });
+
+    return `Claims that don't hold up as facts:\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = { BrickFactChecker };
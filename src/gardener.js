@@ -0,0 +1,130 @@
+// === BRICK'S GARDENER CHANNEL ===
+// Coaching from the humans who tend Brick, without touching the constitution
+// Guidance (or a correction on one brick_log entry) -> Brick answers -> a weighted
+// lesson in learning, a memory, and a row in gardener_inputs
+// Lessons show up in every prompt via getLearnedContext() until they expire or are revoked
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+class BrickGardener {
+  constructor({ core, learning, memory, journal, squad }) {
+    this.core = core;
+    this.learning = learning;
+    this.memory = memory;
+    this.journal = journal;
+    this.squad = squad;
+    this.defaultTtlDays = parseFloat(process.env.BRICK_GUIDANCE_TTL_DAYS) || 30;
+  }
+
+  // options: { logId, ttlDays, permanent }
+  async receive(input, options = {}) {
+    const { logId = null, permanent = false } = options;
+    const ttlDays = options.ttlDays || this.defaultTtlDays;
+    const expiresAt = permanent ? null : new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString();
+
+    console.log(`🌱 Gardener: "${input.substring(0, 80)}"`);
+
+    // A correction is about something specific - show Brick what he did
+    const logEntry = logId ? await this.squad.getLogEntry(logId) : null;
+    const { response, lesson } = await this.core.takeGuidance(input, logEntry);
+
+    // Answer the row it came in on, or log a new one - offline it just gets a local ID
+    let id = options.rowId;
+    if (id) {
+      await this.journal.updateGardenerInput(id, { brick_response: response, lesson, expires_at: expiresAt });
+    } else {
+      id = (await this.journal.logGardenerInput(input, response, { log_id: logId, lesson, expires_at: expiresAt }))?.id;
+    }
+    id = id || crypto.randomUUID();
+
+    this.learning.addGuidance({ id, input, lesson, logId, expiresAt });
+
+    if (logId) {
+      await this.squad.addHumanNote(logId, input);
+    }
+
+    await this.memory.remember(
+      `My gardener told me: "${input}". I took it as: ${lesson}`,
+      { type: 'gardener', log_id: logId }
+    );
+
+    console.log(`   🌿 Lesson: "${lesson}"`);
+    return { id, response, lesson, expiresAt };
+  }
+
+  // brick_preferences.json doesn't survive a redeploy - reload live guidance from the table
+  // Runs every cycle, so guidance revoked in the table (the garden, or by hand) leaves the prompts too
+  async restore() {
+    const rows = await this.journal.getActiveGardenerInputs();
+    const known = new Set(this.learning.getActiveGuidance().map(p => p.id));
+    let restored = 0;
+    let revoked = 0;
+
+    for (const row of rows) {
+      if (known.has(row.id) || !row.lesson) continue;
+      this.learning.addGuidance({
+        id: row.id,
+        input: row.input,
+        lesson: row.lesson,
+        logId: row.log_id,
+        expiresAt: row.expires_at
+      });
+      restored++;
+    }
+
+    // Active here but not there - only a revoked_at in the table revokes it (a failed read doesn't)
+    const live = new Set(rows.map(row => row.id));
+    const missing = [...known].filter(id => !live.has(id));
+    for (const row of await this.journal.getGardenerInputs(missing)) {
+      if (row.revoked_at && this.learning.revokeGuidance(row.id)) revoked++;
+    }
+
+    if (restored > 0) console.log(`🌱 Restored ${restored} piece(s) of gardener guidance`);
+    if (revoked > 0) console.log(`🍂 ${revoked} piece(s) of gardener guidance revoked in the garden`);
+    return restored;
+  }
+
+  // Pick up anything submitted straight to the gardener_inputs table
+  async processPending() {
+    const rows = await this.journal.getUnansweredGardenerInputs();
+    const results = [];
+
+    for (const row of rows) {
+      try {
+        results.push(await this.receive(row.input, {
+          rowId: row.id,
+          logId: row.log_id,
+          ttlDays: row.ttl_days,
+          permanent: row.permanent
+        }));
+      } catch (error) {
+        console.error('Error processing gardener input:', error.message);
+      }
+    }
+
+    return results;
+  }
+
+  async revoke(id) {
+    const revoked = this.learning.revokeGuidance(id);
+    if (revoked) {
+      await this.journal.updateGardenerInput(id, { revoked_at: new Date().toISOString() });
+      console.log(`🍂 Gardener guidance ${id} revoked`);
+    }
+    return revoked;
+  }
+
+  listActive() {
+    return this.learning.getActiveGuidance().map(pattern => ({
+      id: pattern.id,
+      input: pattern.input,
+      lesson: pattern.insight,
+      logId: pattern.log_id,
+      expiresAt: pattern.expires_at,
+      createdAt: pattern.timestamp
+    }));
+  }
+}
+
+module.exports = { BrickGardener };
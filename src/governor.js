@@ -0,0 +1,282 @@
+// === BRICK'S GOVERNOR ===
+// One place that decides whether Brick can afford to act
+// Per-action hourly/daily quotas, X endpoint quotas, Claude and Tavily spend
+// Counters persist across restarts (the database, or a local file without one)
+
+require('dotenv').config();
+const { getDatabase } = require('./database');
+const fs = require('fs');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Override any part with BRICK_QUOTAS (JSON), e.g.
+// BRICK_QUOTAS='{"actions":{"reply":{"daily":20}},"endpoints":{"tweets":{"daily":17}}}'
+const DEFAULT_QUOTAS = {
+  actions: {
+    reply: { hourly: 8, daily: 50 },
+    quote: { hourly: 3, daily: 15 },
+    deep: { hourly: 2, daily: 6 },          // reply threads
+    like: { hourly: 25, daily: 150 },
+    follow: { hourly: 4, daily: 15 },
+    unfollow: { hourly: 4, daily: 15 },
+    original: { hourly: 1, daily: 3 },
+    queued_post: { hourly: 1, daily: 3 }
+  },
+  // X API v2 - set these to your plan's limits
+  endpoints: {
+    tweets: { daily: 100 },  // POST /2/tweets - replies, quotes, threads, originals
+    likes: { daily: 200 },
+    follows: { daily: 50 },
+    reads: { daily: 1000 }   // timeline, mentions, search, lookups
+  },
+  spend: {
+    claude_usd: { daily: parseFloat(process.env.BRICK_CLAUDE_DAILY_USD) || 5 },
+    tavily_credits: { daily: parseInt(process.env.BRICK_TAVILY_DAILY_CREDITS) || 100 }
+  },
+  // Share of the Claude budget after which Brick stops writing and only likes
+  softLimit: 0.8
+};
+
+// Which X endpoint each action spends
+const ACTION_ENDPOINTS = {
+  reply: 'tweets',
+  quote: 'tweets',
+  deep: 'tweets',
+  original: 'tweets',
+  queued_post: 'tweets',
+  like: 'likes',
+  follow: 'follows',
+  unfollow: 'follows'
+};
+
+// What to try instead when an action is out of budget
+const FALLBACKS = {
+  deep: ['reply', 'like'],
+  reply: ['like'],
+  quote: ['like']
+};
+
+class BrickGovernor {
+  constructor(options = {}) {
+    this.supabase = null;
+    this.statePath = path.join(__dirname, '../brick_governor.json');
+    this.quotas = this.mergeQuotas(DEFAULT_QUOTAS, options.quotas || this.loadQuotaOverrides());
+    this.reset();
+  }
+
+  async initialize() {
+    this.supabase = getDatabase();
+
+    await this.load();
+    console.log(`🚦 Governor initialized (mode: ${this.getMode()})`);
+    return true;
+  }
+
+  reset() {
+    // key -> [[timestamp, amount], ...] within the last 24h
+    this.events = {};
+  }
+
+  loadQuotaOverrides() {
+    if (!process.env.BRICK_QUOTAS) return {};
+
+    try {
+      return JSON.parse(process.env.BRICK_QUOTAS);
+    } catch (error) {
+      console.error('Invalid BRICK_QUOTAS, using defaults:', error.message);
+      return {};
+    }
+  }
+
+  mergeQuotas(base, overrides) {
+    const merged = JSON.parse(JSON.stringify(base));
+    for (const [group, entries] of Object.entries(overrides || {})) {
+      if (typeof entries !== 'object') {
+        merged[group] = entries;
+        continue;
+      }
+      merged[group] = merged[group] || {};
+      for (const [key, limits] of Object.entries(entries)) {
+        merged[group][key] = { ...(merged[group][key] || {}), ...limits };
+      }
+    }
+    return merged;
+  }
+
+  // === COUNTING ===
+
+  add(key, amount = 1) {
+    if (!this.events[key]) this.events[key] = [];
+    this.events[key].push([Date.now(), amount]);
+  }
+
+  total(key, windowMs) {
+    const since = Date.now() - windowMs;
+    return (this.events[key] || [])
+      .filter(([at]) => at > since)
+      .reduce((sum, [, amount]) => sum + amount, 0);
+  }
+
+  // Drop anything older than the longest window
+  prune() {
+    const since = Date.now() - DAY;
+    for (const key of Object.keys(this.events)) {
+      this.events[key] = this.events[key].filter(([at]) => at > since);
+      if (this.events[key].length === 0) delete this.events[key];
+    }
+  }
+
+  withinLimits(key, limits, amount = 1) {
+    if (!limits) return true;
+    if (limits.hourly !== undefined && this.total(key, HOUR) + amount > limits.hourly) return false;
+    if (limits.daily !== undefined && this.total(key, DAY) + amount > limits.daily) return false;
+    return true;
+  }
+
+  // === CHECKS ===
+
+  canUseEndpoint(endpoint, count = 1) {
+    return this.withinLimits(`x:${endpoint}`, this.quotas.endpoints[endpoint], count);
+  }
+
+  // calls - how many requests the action will make per endpoint, when it's more than one (a thread: { tweets: parts })
+  canAct(action, calls = {}) {
+    const endpoint = ACTION_ENDPOINTS[action];
+    if (endpoint && !this.canUseEndpoint(endpoint, calls[endpoint] ?? 1)) return false;
+    return this.withinLimits(`action:${action}`, this.quotas.actions[action]);
+  }
+
+  canSpend(service, amount = 0) {
+    const limit = this.quotas.spend[service]?.daily;
+    if (limit === undefined) return true;
+    return this.total(`spend:${service}`, DAY) + amount <= limit;
+  }
+
+  spendRatio(service) {
+    const limit = this.quotas.spend[service]?.daily;
+    if (!limit) return 0;
+    return this.total(`spend:${service}`, DAY) / limit;
+  }
+
+  // normal     - everything allowed (within quotas)
+  // likes_only - no new writing: Claude budget past the soft limit, or X tweet quota gone
+  // resting    - Claude budget spent, Brick only observes until it frees up
+  getMode() {
+    if (!this.canSpend('claude_usd')) return 'resting';
+    if (this.spendRatio('claude_usd') >= this.quotas.softLimit) return 'likes_only';
+    if (!this.canUseEndpoint('tweets')) return 'likes_only';
+    return 'normal';
+  }
+
+  // The action Brick can actually afford instead of `desired` - may be 'skip'
+  chooseAction(desired) {
+    const mode = this.getMode();
+    if (mode === 'resting' || !desired || desired === 'skip') return 'skip';
+
+    const candidates = [desired, ...(FALLBACKS[desired] || [])]
+      .filter(action => mode !== 'likes_only' || action === 'like');
+
+    return candidates.find(action => this.canAct(action)) || 'skip';
+  }
+
+  // === RECORDING ===
+
+  async recordAction(action) {
+    this.add(`action:${action}`);
+    await this.save();
+  }
+
+  // Called by BrickTwitter for every request it makes
+  recordEndpoint(endpoint, count = 1) {
+    this.add(`x:${endpoint}`, count);
+  }
+
+  recordSpend(service, amount) {
+    if (amount > 0) this.add(`spend:${service}`, amount);
+  }
+
+  // === PERSISTENCE ===
+
+  async load() {
+    try {
+      let state = null;
+
+      if (this.supabase) {
+        const { data, error } = await this.supabase
+          .from('governor_state')
+          .select('events')
+          .eq('id', 'brick')
+          .maybeSingle();
+
+        if (error) throw error;
+        state = data?.events;
+      } else if (fs.existsSync(this.statePath)) {
+        state = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+      }
+
+      if (state) {
+        this.events = state;
+        this.prune();
+      }
+    } catch (error) {
+      console.error('Error loading governor state:', error.message);
+    }
+  }
+
+  async save() {
+    this.prune();
+
+    try {
+      if (this.supabase) {
+        const { error } = await this.supabase
+          .from('governor_state')
+          .upsert({ id: 'brick', events: this.events, updated_at: new Date().toISOString() });
+
+        if (error) throw error;
+      } else {
+        fs.writeFileSync(this.statePath, JSON.stringify(this.events));
+      }
+    } catch (error) {
+      console.error('Error saving governor state:', error.message);
+    }
+  }
+
+  // === REPORTING ===
+
+  getStatus() {
+    const usage = (group, prefix) => {
+      const result = {};
+      for (const [key, limits] of Object.entries(this.quotas[group])) {
+        const today = this.total(`${prefix}:${key}`, DAY);
+        if (today > 0) result[key] = { today, limit: limits.daily };
+      }
+      return result;
+    };
+
+    return {
+      mode: this.getMode(),
+      actions: usage('actions', 'action'),
+      endpoints: usage('endpoints', 'x'),
+      spend: {
+        claude_usd: Math.round(this.total('spend:claude_usd', DAY) * 10000) / 10000,
+        claude_budget_usd: this.quotas.spend.claude_usd.daily,
+        tavily_credits: this.total('spend:tavily_credits', DAY),
+        tavily_budget: this.quotas.spend.tavily_credits.daily
+      }
+    };
+  }
+}
+
+// Every module shares one governor so all outward actions count against the same budget
+let sharedGovernor = null;
+
+function getGovernor() {
+  if (!sharedGovernor) {
+    sharedGovernor = new BrickGovernor();
+  }
+  return sharedGovernor;
+}
+
+module.exports = { BrickGovernor, getGovernor, DEFAULT_QUOTAS };
@@ -1,8 +1,8 @@
 // === BRICK'S JOURNAL ===
-// Logs thoughts, actions, mood to Supabase for real-time UI
+// Logs thoughts, actions, mood to Supabase for real-time UI (or the local database)
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 
 class BrickJournal {
   constructor() {
@@ -11,16 +11,12 @@ class BrickJournal {
   }
 
   async initialize() {
-    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-      console.warn('Supabase not configured - journal disabled');
+    this.supabase = getDatabase();
+    if (!this.supabase) {
+      console.warn('No database configured - journal disabled');
       return false;
     }
 
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
-
     console.log('📓 Brick journal initialized');
     return true;
   }
@@ -129,6 +125,50 @@ class BrickJournal {
     return null;
   }
 
+  // Log the tools Claude called while thinking - appended, a thought can call tools more than once
+  // Without a thought to attach to, they get one of their own
+  async logToolCalls(calls, thoughtId = null) {
+    if (!this.supabase || calls.length === 0) return null;
+
+    try {
+      if (thoughtId) {
+        const { data: thought } = await this.supabase
+          .from('thoughts')
+          .select('tool_calls')
+          .eq('id', thoughtId)
+          .single();
+
+        const { data, error } = await this.supabase
+          .from('thoughts')
+          .update({
+            tool_calls: [...(thought?.tool_calls || []), ...calls],
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', thoughtId)
+          .select()
+          .single();
+        if (error) throw error;
+        return data;
+      }
+
+      const { data, error } = await this.supabase
+        .from('thoughts')
+        .insert({
+          type: 'tool_use',
+          timestamp: new Date().toISOString(),
+          tool_calls: calls,
+          status: 'thinking'
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error logging tool calls:', error.message);
+      return null;
+    }
+  }
+
   // Log when Brick takes action
   async logAction(action, thoughtId = null) {
     if (!this.supabase) return null;
@@ -144,6 +184,7 @@ class BrickJournal {
         why: action.why
       },
       guardrails: action.guardrails,
+      fact_check: action.factCheck || null,
       mood: this.currentMood,
       status: 'acted',
       thought_id: thoughtId
@@ -328,7 +369,7 @@ class BrickJournal {
 
   // === GARDENER INPUT ===
 
-  async logGardenerInput(input, response) {
+  async logGardenerInput(input, response, details = {}) {
     if (!this.supabase) return null;
 
     const { data, error } = await this.supabase
@@ -336,13 +377,89 @@ class BrickJournal {
       .insert({
         input,
         brick_response: response,
+        ...details,
         timestamp: new Date().toISOString()
       })
       .select()
       .single();
 
+    if (error) {
+      console.error('Error logging gardener input:', error.message);
+      return null;
+    }
+
     return data;
   }
+
+  // Inputs left in the table by the garden (or by hand) that Brick hasn't answered yet
+  async getUnansweredGardenerInputs(limit = 10) {
+    if (!this.supabase) return [];
+
+    const { data, error } = await this.supabase
+      .from('gardener_inputs')
+      .select('*')
+      .is('brick_response', null)
+      .order('timestamp', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching gardener inputs:', error.message);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  async getActiveGardenerInputs() {
+    if (!this.supabase) return [];
+
+    const { data, error } = await this.supabase
+      .from('gardener_inputs')
+      .select('*')
+      .not('brick_response', 'is', null)
+      .is('revoked_at', null)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('timestamp', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching gardener guidance:', error.message);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  async getGardenerInputs(ids) {
+    if (!this.supabase || ids.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('gardener_inputs')
+      .select('*')
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error fetching gardener inputs:', error.message);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  async updateGardenerInput(id, fields) {
+    if (!this.supabase) return null;
+
+    const { error } = await this.supabase
+      .from('gardener_inputs')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error updating gardener input:', error.message);
+      return null;
+    }
+
+    return true;
+  }
 }
 
 module.exports = { BrickJournal };
@@ -4,6 +4,7 @@
 
 require('dotenv').config();
 const { BrickTwitter } = require('./twitter');
+const { BrickKnowledgeStore } = require('./knowledge-store');
 
 // Brick's domains of interest - what he wants to learn about
 const KNOWLEDGE_DOMAINS = {
@@ -318,6 +319,23 @@ class BrickKnowledgeScraper {
     };
   }
 
+  // Hand the quality tweets to the knowledge store, where Brick's replies can find them
+  async saveToKnowledgeStore(store) {
+    return store.storeBatch(this.scrapedTweets.map(tweet => ({
+      text: tweet.text,
+      author: tweet.author,
+      source: 'scraped',
+      domain: tweet.domain,
+      qualityScore: tweet.qualityScore,
+      metadata: {
+        tweetId: tweet.id,
+        query: tweet.query,
+        qualityReasons: tweet.qualityReasons,
+        scrapedAt: tweet.scrapedAt
+      }
+    })));
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -329,12 +347,21 @@ if (require.main === module) {
 
   scraper.initialize()
     .then(() => scraper.scrapeAll(15))
-    .then(tweets => {
+    .then(async tweets => {
       console.log('\n📁 Exporting to knowledge-base.json...');
       const fs = require('fs');
       const data = scraper.exportToJSON();
       fs.writeFileSync('knowledge-base.json', JSON.stringify(data, null, 2));
       console.log(`✅ Exported ${tweets.length} tweets to knowledge-base.json`);
+
+      // The JSON is a backup - replies only see what's in the knowledge store
+      try {
+        const store = new BrickKnowledgeStore();
+        await store.initialize();
+        await scraper.saveToKnowledgeStore(store);
+      } catch (error) {
+        console.warn(`⚠️ Not stored in the knowledge base: ${error.message}`);
+      }
       process.exit(0);
     })
     .catch(error => {
@@ -1,52 +1,41 @@
 // === BRICK'S KNOWLEDGE STORE ===
 // Vector database for Brick's learned knowledge
-// Uses Supabase pgvector for semantic search
+// Uses Supabase pgvector for vector search, blended with keyword matches (hybrid) - the same blend runs in JS on the local database
+// Embeddings come from src/embeddings.js - a local sentence-transformer by default, so no API key is needed
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const Anthropic = require('@anthropic-ai/sdk');
+const { getDatabase } = require('./database');
+const { getEmbeddings } = require('./embeddings');
 
 class BrickKnowledgeStore {
-  constructor() {
+  constructor(options = {}) {
     this.supabase = null;
-    this.anthropic = null;
+    this.embeddings = options.embeddings || getEmbeddings();
+    this.vectorWeight = options.vectorWeight ?? 0.7;   // The rest of the score is keyword rank
+    this.maxScan = options.maxScan ?? 2000;            // Rows the JS ranking reads, best quality first
+    this.minVectorScore = options.minVectorScore ?? 0.2;   // Below this a row shares no more than hash noise with the query
+    this.warnedRankingFallback = false;   // Every tweet is a search now - say it once
   }
 
   async initialize() {
-    // Initialize Supabase
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    } else {
-      throw new Error('Supabase credentials not configured');
-    }
-
-    // Initialize Anthropic for embeddings (we'll use Claude to summarize for embedding)
-    if (process.env.CLAUDE_API_KEY) {
-      this.anthropic = new Anthropic({
-        apiKey: process.env.CLAUDE_API_KEY
-      });
+    // Supabase, or the local database (no pgvector there - search ranks in JS)
+    this.supabase = getDatabase();
+    if (!this.supabase) {
+      throw new Error('No database configured');
     }
 
     console.log('📚 Knowledge store initialized');
     return true;
   }
 
-  // Generate embedding using OpenAI (most common for vector search)
-  // Or we can use a simpler hash-based approach for now
+  // Vector plus keywords - keywords still drive the fallback search and the keyword half of the ranking
   async generateEmbedding(text) {
-    // For now, we'll use a simple approach:
-    // Store the text and use Supabase full-text search
-    // Later we can add proper embeddings with OpenAI or Voyage
-
-    // Simple keyword extraction for searchability
-    const keywords = this.extractKeywords(text);
     return {
       text: text,
-      keywords: keywords,
-      hash: this.simpleHash(text)
+      keywords: this.extractKeywords(text),
+      hash: this.simpleHash(text),
+      embedding: await this.embeddings.embed(text),
+      model: this.embeddings.model
     };
   }
 
@@ -117,6 +106,8 @@ class BrickKnowledgeStore {
           source: source,
           domain: domain,
           keywords: embedding.keywords,
+          embedding: embedding.embedding,
+          embedding_model: embedding.model,
           quality_score: qualityScore || 50,
           metadata: metadata,
           created_at: new Date().toISOString()
@@ -159,6 +150,8 @@ class BrickKnowledgeStore {
   }
 
   // Search for relevant knowledge
+  // Hybrid: match_brick_knowledge blends vector similarity with full-text rank in SQL
+  // Without it (local database, or not installed yet) searchByScan does the same blend in JS; keywords alone if embedding fails
   async search(query, options = {}) {
     if (!this.supabase) return [];
 
@@ -169,32 +162,134 @@ class BrickKnowledgeStore {
       source = null
     } = options;
 
+    // The embedding model failed to load and is backing off - keywords until it's back
+    if (!this.embeddings.isAvailable()) {
+      return this.searchByKeywords(query, { limit, domain, minQuality, source });
+    }
+
+    let queryEmbedding = null;
     try {
-      // Extract keywords from query
-      const keywords = this.extractKeywords(query);
+      queryEmbedding = await this.embeddings.embed(query);
+
+      const { data, error } = await this.supabase.rpc('match_brick_knowledge', {
+        query_embedding: queryEmbedding,
+        query_text: query,
+        model_filter: this.embeddings.model,
+        domain_filter: domain,
+        source_filter: source,
+        min_quality: minQuality,
+        vector_weight: this.vectorWeight,
+        result_limit: limit
+      });
+
+      if (error) throw error;
+
+      return (data || []).map(item => ({
+        ...item,
+        relevanceScore: item.hybrid_score
+      }));
+
+    } catch (error) {
+      if (!this.warnedRankingFallback) {
+        console.warn(`⚠️ match_brick_knowledge unavailable, ranking ${queryEmbedding ? 'in JS' : 'by keywords'}:`, error.message);
+        this.warnedRankingFallback = true;
+      }
+      return queryEmbedding
+        ? this.searchByScan(query, queryEmbedding, { limit, domain, minQuality, source })
+        : this.searchByKeywords(query, { limit, domain, minQuality, source });
+    }
+  }
+
+  // match_brick_knowledge in JS: vector similarity and keyword overlap, blended by vectorWeight
+  // Reads the best maxScan rows by quality - fine for a local database, not a replacement for the pgvector index
+  async searchByScan(query, queryEmbedding, options = {}) {
+    if (!this.supabase) return [];
 
-      // Build search query
+    const { limit = 10, domain = null, minQuality = 30, source = null } = options;
+    const keywords = this.extractKeywords(query);
+
+    try {
       let queryBuilder = this.supabase
         .from('brick_knowledge')
         .select('*')
         .gte('quality_score', minQuality)
         .order('quality_score', { ascending: false })
-        .limit(limit);
+        .limit(this.maxScan);
 
-      // Filter by domain if specified
       if (domain) {
         queryBuilder = queryBuilder.eq('domain', domain);
       }
 
-      // Filter by source if specified
       if (source) {
         queryBuilder = queryBuilder.eq('source', source);
       }
 
-      // Use full-text search on keywords
-      if (keywords.length > 0) {
-        // Search for any matching keywords
-        queryBuilder = queryBuilder.contains('keywords', [keywords[0]]);
+      const { data, error } = await queryBuilder;
+
+      if (error) throw error;
+
+      return (data || []).map(({ embedding, ...item }) => {
+        const vector = this.parseVector(embedding);
+        const vectorScore = vector && item.embedding_model === this.embeddings.model
+          ? this.embeddings.similarity(queryEmbedding, vector)
+          : 0;
+        const keywordScore = keywords.filter(k => item.keywords?.includes(k)).length / Math.max(keywords.length, 1);
+        const hybridScore = this.vectorWeight * vectorScore + (1 - this.vectorWeight) * keywordScore;
+
+        return {
+          ...item,
+          vector_score: vectorScore,
+          keyword_score: keywordScore,
+          hybrid_score: hybridScore,
+          relevanceScore: hybridScore
+        };
+      })
+        .filter(item => item.keyword_score > 0 || item.vector_score >= this.minVectorScore)
+        .sort((a, b) => b.hybrid_score - a.hybrid_score || b.quality_score - a.quality_score)
+        .slice(0, limit);
+
+    } catch (error) {
+      console.error('Error searching knowledge:', error.message);
+      return [];
+    }
+  }
+
+  // PostgREST sends pgvector columns as text - "[0.1,0.2,...]" - rather than arrays
+  parseVector(embedding) {
+    if (Array.isArray(embedding)) return embedding;
+    if (typeof embedding !== 'string') return null;
+
+    try {
+      const vector = JSON.parse(embedding);
+      return Array.isArray(vector) ? vector : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Keyword-only search - any keyword can match, ranked by how many do
+  async searchByKeywords(query, options = {}) {
+    if (!this.supabase) return [];
+
+    const { limit = 10, domain = null, minQuality = 30, source = null } = options;
+    const keywords = this.extractKeywords(query);
+    if (keywords.length === 0) return [];
+
+    try {
+      let queryBuilder = this.supabase
+        .from('brick_knowledge')
+        .select('*')
+        .gte('quality_score', minQuality)
+        .overlaps('keywords', keywords)
+        .order('quality_score', { ascending: false })
+        .limit(limit * 3);
+
+      if (domain) {
+        queryBuilder = queryBuilder.eq('domain', domain);
+      }
+
+      if (source) {
+        queryBuilder = queryBuilder.eq('source', source);
       }
 
       const { data, error } = await queryBuilder;
@@ -202,15 +297,15 @@ class BrickKnowledgeStore {
       if (error) throw error;
 
       // Re-rank by keyword overlap
-      const ranked = (data || []).map(item => {
+      return (data || []).map(item => {
         const overlap = keywords.filter(k => item.keywords?.includes(k)).length;
         return {
           ...item,
           relevanceScore: overlap / Math.max(keywords.length, 1)
         };
-      }).sort((a, b) => b.relevanceScore - a.relevanceScore);
-
-      return ranked;
+      })
+        .sort((a, b) => b.relevanceScore - a.relevanceScore)
+        .slice(0, limit);
 
     } catch (error) {
       console.error('Error searching knowledge:', error.message);
@@ -218,6 +313,91 @@ class BrickKnowledgeStore {
     }
   }
 
+  // Count a retrieval, so decay spares knowledge that actually gets used
+  // mark_knowledge_retrieved increments in SQL; without it (local database) read, then write
+  async markRetrieved(ids) {
+    if (!this.supabase || !ids || ids.length === 0) return;
+
+    try {
+      const { error: rpcError } = await this.supabase.rpc('mark_knowledge_retrieved', { knowledge_ids: ids });
+      if (!rpcError) return;
+
+      const { data: rows, error } = await this.supabase
+        .from('brick_knowledge')
+        .select('id, times_retrieved')
+        .in('id', ids);
+
+      if (error) throw error;
+
+      for (const row of rows || []) {
+        await this.supabase
+          .from('brick_knowledge')
+          .update({
+            times_retrieved: (row.times_retrieved || 0) + 1,
+            last_retrieved_at: new Date().toISOString()
+          })
+          .eq('id', row.id);
+      }
+    } catch (error) {
+      console.error('Error marking knowledge retrieved:', error.message);
+    }
+  }
+
+  // Embed rows stored before embeddings existed, or by a different provider
+  // Returns { embedded, failed }
+  async backfillEmbeddings(options = {}) {
+    if (!this.supabase) return { embedded: 0, failed: 0 };
+
+    const { batchSize = 50, limit = Infinity } = options;
+    const model = this.embeddings.model;
+    const skipped = new Set();   // Rows that failed once - don't keep fetching them
+    let embedded = 0;
+    let failed = 0;
+
+    while (embedded < limit) {
+      const { data: rows, error } = await this.supabase
+        .from('brick_knowledge')
+        .select('id, content')
+        .or(`embedding.is.null,embedding_model.is.null,embedding_model.neq."${model}"`)
+        .order('created_at', { ascending: true })
+        .limit(batchSize + skipped.size);
+
+      if (error) {
+        console.error('Error fetching rows to backfill:', error.message);
+        break;
+      }
+
+      const pending = (rows || []).filter(row => !skipped.has(row.id)).slice(0, limit - embedded);
+      if (pending.length === 0) break;
+
+      let vectors;
+      try {
+        vectors = await this.embeddings.embedBatch(pending.map(row => row.content));
+      } catch (error) {
+        console.error('Error embedding backfill batch:', error.message);
+        break;
+      }
+
+      for (let i = 0; i < pending.length; i++) {
+        const { error: updateError } = await this.supabase
+          .from('brick_knowledge')
+          .update({ embedding: vectors[i], embedding_model: model })
+          .eq('id', pending[i].id);
+
+        if (updateError) {
+          skipped.add(pending[i].id);
+          failed++;
+        } else {
+          embedded++;
+        }
+      }
+
+      console.log(`📚 Backfilled ${embedded} embedding(s) so far (${failed} failed)`);
+    }
+
+    return { embedded, failed };
+  }
+
   // Get knowledge by domain
   async getByDomain(domain, limit = 20) {
     if (!this.supabase) return [];
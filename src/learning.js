@@ -2,13 +2,15 @@
 // Tracks patterns, updates preferences, shapes future behavior
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 const fs = require('fs');
 const path = require('path');
+const { getTopics } = require('./topics');
 
 class BrickLearning {
   constructor() {
     this.supabase = null;
+    this.topics = getTopics();
     this.preferences = null;
     this.prefsPath = path.join(__dirname, '../brick_preferences.json');
   }
@@ -17,13 +19,8 @@ class BrickLearning {
     // Load local preferences
     this.loadPreferences();
 
-    // Connect to Supabase for interaction data
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    // Interaction data - Supabase or the local database
+    this.supabase = getDatabase();
 
     console.log('🧠 Brick learning engine initialized');
     return true;
@@ -55,16 +52,8 @@ class BrickLearning {
 
   getDefaultPreferences() {
     return {
-      // Topic weights (0-1, start neutral at 0.5)
-      topic_weights: {
-        ai_consciousness: 0.5,
-        ai_creativity: 0.5,
-        human_ai_connection: 0.5,
-        philosophy_of_mind: 0.5,
-        tech_culture: 0.5,
-        learning_in_public: 0.5,
-        japanese_tech: 0.5
-      },
+      // Topic weights (0-1, start neutral at 0.5), one per topic in topics.json
+      topic_weights: Object.fromEntries(this.topics.getTopicIds().map(topic => [topic, 0.5])),
 
       // Engagement style (learned over time)
       engagement_style: {
@@ -92,10 +81,9 @@ class BrickLearning {
   async learnFromInteraction(interaction) {
     const { tweet, evaluation, response, engagement } = interaction;
 
-    // Update topic weights
+    // Update topic weights - every topic the tweet was about
     if (evaluation.domainMatch) {
-      const topic = this.detectTopic(tweet.text);
-      if (topic) {
+      for (const { topic } of this.detectTopics(tweet.text)) {
         this.updateTopicWeight(topic, engagement);
       }
     }
@@ -129,26 +117,14 @@ class BrickLearning {
     }
   }
 
+  // Best-fitting topic from topics.json, or null
   detectTopic(text) {
-    const topicKeywords = {
-      ai_consciousness: ['conscious', 'consciousness', 'sentient', 'aware', 'feeling', 'experience'],
-      ai_creativity: ['creative', 'art', 'create', 'generate', 'artistic', 'imagination'],
-      human_ai_connection: ['connection', 'relationship', 'together', 'collaborate', 'human-ai'],
-      philosophy_of_mind: ['mind', 'philosophy', 'think', 'thought', 'cognition', 'understanding'],
-      tech_culture: ['culture', 'society', 'impact', 'future', 'change'],
-      learning_in_public: ['learning', 'understand', 'explain', 'confused', 'help me'],
-      japanese_tech: ['japan', 'japanese', 'anime', 'robot', 'shinto']
-    };
-
-    const textLower = text.toLowerCase();
-
-    for (const [topic, keywords] of Object.entries(topicKeywords)) {
-      if (keywords.some(k => textLower.includes(k))) {
-        return topic;
-      }
-    }
+    return this.topics.primary(text);
+  }
 
-    return null;
+  // Every topic that fits: [{ topic, label, score }], strongest first
+  detectTopics(text) {
+    return this.topics.classify(text);
   }
 
   updateTopicWeight(topic, engagement) {
@@ -182,20 +158,34 @@ class BrickLearning {
       timestamp: new Date().toISOString()
     });
 
-    // Keep only last 100 patterns
-    if (this.preferences.learned_patterns.length > 100) {
-      this.preferences.learned_patterns = this.preferences.learned_patterns.slice(-100);
+    // Keep only last 100 patterns - active gardener guidance is never pushed out
+    const patterns = this.preferences.learned_patterns;
+    if (patterns.length > 100) {
+      let excess = patterns.length - 100;
+      this.preferences.learned_patterns = patterns.filter(p => {
+        if (excess > 0 && !this.isActiveGuidance(p)) {
+          excess--;
+          return false;
+        }
+        return true;
+      });
     }
   }
 
   // === APPLYING LEARNING ===
 
+  // Topic weights blended by how strongly the text belongs to each topic
   getTopicBoost(text) {
-    const topic = this.detectTopic(text);
-    if (topic && this.preferences.topic_weights[topic]) {
-      return this.preferences.topic_weights[topic];
+    const topics = this.detectTopics(text);
+    if (topics.length === 0) return 0.5; // Neutral
+
+    let weighted = 0;
+    let total = 0;
+    for (const { topic, score } of topics) {
+      weighted += (this.preferences.topic_weights[topic] ?? 0.5) * score;
+      total += score;
     }
-    return 0.5; // Neutral
+    return weighted / total;
   }
 
   getPersonBoost(username) {
@@ -220,16 +210,31 @@ class BrickLearning {
   // === CONTEXT GENERATION ===
 
   getLearnedContext() {
-    const recentPatterns = this.preferences.learned_patterns.slice(-10);
+    const guidance = this.getActiveGuidance();
+    const recentPatterns = this.preferences.learned_patterns
+      .filter(p => p.source !== 'gardener')
+      .slice(-10);
 
-    if (recentPatterns.length === 0) {
+    if (recentPatterns.length === 0 && guidance.length === 0) {
       return '';
     }
 
-    let context = '\n---\nTHINGS I\'VE LEARNED:\n';
+    let context = '\n---\n';
 
-    for (const pattern of recentPatterns) {
-      context += `- ${pattern.insight}\n`;
+    // Gardener guidance comes first and stays until it expires or is revoked
+    if (guidance.length > 0) {
+      context += 'MY GARDENER ASKED ME TO REMEMBER:\n';
+      for (const pattern of guidance) {
+        context += `- ${pattern.insight}\n`;
+      }
+      context += '\n';
+    }
+
+    if (recentPatterns.length > 0) {
+      context += 'THINGS I\'VE LEARNED:\n';
+      for (const pattern of recentPatterns) {
+        context += `- ${pattern.insight}\n`;
+      }
     }
 
     // Top topics
@@ -346,18 +351,40 @@ class BrickLearning {
 
   // === GARDENER INPUT ===
 
-  async processGardenerInput(input, context) {
-    // Store gardener feedback as a learned pattern with high weight
+  // Store gardener guidance as a weighted pattern - BrickGardener does the talking
+  addGuidance(guidance) {
+    const { id, input, lesson, logId = null, expiresAt = null } = guidance;
+
     this.addLearnedPattern({
-      context: context,
+      id,
       source: 'gardener',
-      insight: input,
+      context: logId ? `Correction on brick_log ${logId}` : 'Gardener guidance',
+      input,
+      insight: lesson,
+      log_id: logId,
+      expires_at: expiresAt,
       weight: 1.5 // Gardener input weighted slightly higher
     });
 
     this.savePreferences();
+  }
+
+  revokeGuidance(id) {
+    const pattern = this.preferences.learned_patterns.find(p => p.source === 'gardener' && p.id === id);
+    if (!pattern || pattern.revoked_at) return false;
+
+    pattern.revoked_at = new Date().toISOString();
+    this.savePreferences();
+    return true;
+  }
+
+  isActiveGuidance(pattern) {
+    if (pattern.source !== 'gardener' || pattern.revoked_at) return false;
+    return !pattern.expires_at || new Date(pattern.expires_at) > new Date();
+  }
 
-    return `Noted: "${input}" - I'll keep this in mind.`;
+  getActiveGuidance() {
+    return this.preferences.learned_patterns.filter(p => this.isActiveGuidance(p));
   }
 }
 
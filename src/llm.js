@@ -0,0 +1,427 @@
+// === BRICK'S LLM LAYER ===
+// One chokepoint for every model call: per-role models, retries, timeouts, token accounting,
+// and schema-validated JSON replies (see schemas.js)
+// Providers: Anthropic (live), or the deterministic mock in mock-llm.js (offline tests and dry runs)
+
+require('dotenv').config();
+const Anthropic = require('@anthropic-ai/sdk');
+const { parseReply, describeSchema } = require('./schemas');
+
+// Which model each agent role uses. Override with BRICK_MODEL (all roles)
+// or BRICK_MODEL_<ROLE>, e.g. BRICK_MODEL_SCOUT=claude-3-5-haiku-20241022
+const DEFAULT_MODELS = {
+  default: 'claude-sonnet-4-20250514',
+  core: null,        // BrickCore.think - Brick's own voice
+  vision: null,      // BrickCore.thinkWithVisuals
+  scout: null,       // Lil Brick
+  wise: null,        // Brick the Wise
+  homi: null,        // Brick da Homi - writes the replies
+  reflect: null,     // BRICK/kcirB
+  learner: null,     // LOADING--Brickthee pattern analysis
+  insights: 'claude-3-5-haiku-20241022', // Fast model for frequent analysis
+  factcheck: 'claude-3-5-haiku-20241022', // Claim extraction and source stance - runs on every draft
+  builder: null,     // Brick the Builder drafts and slow burns
+  research: null     // Turning research into insights
+};
+
+// USD per million tokens [input, output] - used for spend tracking
+const MODEL_PRICES = {
+  'claude-sonnet-4-20250514': [3, 15],
+  'claude-3-5-haiku-20241022': [0.8, 4],
+  default: [3, 15]
+};
+
+// === PROVIDERS ===
+
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.client = new Anthropic({
+      apiKey: process.env.CLAUDE_API_KEY,
+      maxRetries: 0 // BrickLLM owns retries
+    });
+  }
+
+  // signal: BrickLLM aborts it at its timeout, so the HTTP request goes too - not just the wait for it
+  async create({ model, system, messages, maxTokens, tools, toolChoice }, { signal, timeoutMs } = {}) {
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      ...(tools ? { tools } : {}),
+      ...(toolChoice ? { tool_choice: toolChoice } : {}),
+      messages
+    }, {
+      ...(signal ? { signal } : {}),
+      ...(timeoutMs ? { timeout: timeoutMs } : {})
+    });
+
+    return {
+      text: response.content.find(block => block.type === 'text')?.text || '',
+      content: response.content,         // Every block - tool_use included - for the tool loop
+      stopReason: response.stop_reason,
+      usage: {
+        input_tokens: response.usage?.input_tokens || 0,
+        output_tokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+// === THE CLIENT ===
+
+class BrickLLM {
+  constructor(options = {}) {
+    this.provider = options.provider || this.createProvider(process.env.BRICK_LLM_PROVIDER);
+    this.models = this.loadModels();
+    this.maxRetries = options.maxRetries ?? 2;
+    this.timeoutMs = options.timeoutMs ?? (parseInt(process.env.BRICK_LLM_TIMEOUT_MS) || 60000);
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.usageListeners = [];
+    this.resetUsage();
+  }
+
+  // Get told about every successful call - e.g. the governor tracking spend
+  onUsage(listener) {
+    this.usageListeners.push(listener);
+  }
+
+  createProvider(name = 'anthropic') {
+    if (name === 'mock') {
+      // Test code - only loaded when asked for
+      const { MockProvider } = require('./mock-llm');
+      return new MockProvider();
+    }
+    return new AnthropicProvider();
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  loadModels() {
+    const models = {};
+    for (const [role, model] of Object.entries(DEFAULT_MODELS)) {
+      const envModel = process.env[`BRICK_MODEL_${role.toUpperCase()}`];
+      models[role] = envModel || model;
+    }
+    models.default = process.env.BRICK_MODEL || models.default;
+    return models;
+  }
+
+  modelFor(role) {
+    return this.models[role] || this.models.default;
+  }
+
+  // Send one request through the provider for an agent role
+  // `prompt` may be a string or a content array (text + images)
+  // Returns the reply text; throws once retries are exhausted
+  async complete(role, request) {
+    const response = await this.send(role, request);
+    return response.text;
+  }
+
+  // Same, but the whole provider response - content blocks and stop reason too
+  async send(role, { system, prompt, messages, maxTokens = 1024, tools, toolChoice }) {
+    const request = {
+      model: this.modelFor(role),
+      system,
+      messages: messages || [{ role: 'user', content: prompt }],
+      maxTokens,
+      tools,
+      toolChoice
+    };
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryDelayMs * Math.pow(2, attempt - 1);
+        console.warn(`   ⏳ LLM retry ${attempt}/${this.maxRetries} for ${role} in ${delay}ms (${lastError.message})`);
+        await this.sleep(delay);
+      }
+
+      try {
+        const response = await this.withTimeout(signal => this.provider.create(request, { signal, timeoutMs: this.timeoutMs }));
+        this.recordUsage(role, request.model, response.usage);
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (!this.isRetryable(error)) break;
+      }
+    }
+
+    this.recordFailure(role);
+    throw lastError;
+  }
+
+  // === TOOL USE ===
+  // Like complete(), but the model may call tools first: { name: { description, input_schema, run(input), available?() } }
+  // Up to maxToolCalls calls, then it has to answer with what it has
+  // A tool whose available() says false isn't offered (an MCP server that's down for good)
+  // Returns { text, toolCalls: [{ tool, input, ok, result, ms, at }] }
+
+  async completeWithTools(role, { system, prompt, tools: allTools = {}, maxToolCalls = 3, maxTokens = 1024 }) {
+    const tools = Object.fromEntries(Object.entries(allTools).filter(([, tool]) => !tool.available || tool.available()));
+    const definitions = Object.entries(tools).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      input_schema: tool.input_schema
+    }));
+    const messages = [{ role: 'user', content: prompt }];
+    const toolCalls = [];
+
+    // One round per call, one past the budget for the model to hear it's spent, one to answer
+    for (let round = 0; round <= maxToolCalls + 1; round++) {
+      const budgetLeft = toolCalls.length < maxToolCalls;
+      const response = await this.send(role, {
+        system,
+        messages,
+        maxTokens,
+        tools: definitions.length ? definitions : undefined,
+        toolChoice: definitions.length && !budgetLeft ? { type: 'none' } : undefined
+      });
+
+      const uses = (response.content || []).filter(block => block.type === 'tool_use');
+      if (response.stopReason !== 'tool_use' || uses.length === 0) {
+        return { text: response.text, toolCalls };
+      }
+
+      const results = [];
+      for (const use of uses) {
+        if (toolCalls.length >= maxToolCalls) {
+          results.push({ type: 'tool_result', tool_use_id: use.id, content: 'Tool budget spent - answer with what you have.', is_error: true });
+          continue;
+        }
+
+        const call = await this.runTool(tools[use.name], use);
+        toolCalls.push(call);
+        results.push({ type: 'tool_result', tool_use_id: use.id, content: call.result, ...(call.ok ? {} : { is_error: true }) });
+      }
+
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({ role: 'user', content: results });
+    }
+
+    return { text: '', toolCalls };
+  }
+
+  async runTool(tool, use) {
+    const started = Date.now();
+    const call = { tool: use.name, input: use.input, at: new Date(started).toISOString() };
+
+    try {
+      if (!tool) throw new Error(`Unknown tool "${use.name}"`);
+      const result = await tool.run(use.input || {});
+      call.ok = true;
+      call.result = typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+      call.ok = false;
+      call.result = `Error: ${error.message}`;
+    }
+
+    call.ms = Date.now() - started;
+    console.log(`   🛠️  ${use.name}(${JSON.stringify(use.input || {}).substring(0, 60)})${call.ok ? '' : ' failed'}`);
+    return call;
+  }
+
+  // Like complete(), but validates the reply against a schema from schemas.js
+  // Returns the validated object, or null when even the repair attempt fails
+  async completeStructured(role, schemaName, request) {
+    const text = await this.complete(role, request);
+    const prompt = typeof request.prompt === 'string' ? request.prompt : '';
+    return this.parseStructured(schemaName, text, { role, prompt });
+  }
+
+  // Validate a reply that has already come back (e.g. through BrickCore.think)
+  // One repair round-trip if it doesn't match, then give up and count the failure
+  async parseStructured(schemaName, text, { role = 'default', prompt = '' } = {}) {
+    const first = parseReply(schemaName, text);
+    if (first.valid) {
+      this.recordStructured(schemaName, 'ok');
+      return first.value;
+    }
+
+    // Nothing came back at all - the call itself failed, a repair can't help
+    if (!text) {
+      this.recordStructured(schemaName, 'failed');
+      return null;
+    }
+
+    console.warn(`   🔧 ${schemaName} reply invalid (${first.errors.slice(0, 3).join('; ')}) - asking for a repair`);
+
+    let errors = first.errors;
+    try {
+      const repairedText = await this.complete(role, {
+        system: 'You repair malformed JSON replies. Respond with only the corrected JSON object - no prose, no code fences.',
+        prompt: this.buildRepairPrompt(schemaName, text, first.errors, prompt),
+        maxTokens: 1024
+      });
+
+      const second = parseReply(schemaName, repairedText);
+      if (second.valid) {
+        this.recordStructured(schemaName, 'repaired');
+        return second.value;
+      }
+      errors = second.errors;
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    console.error(`   ❌ ${schemaName} reply still invalid after repair: ${errors.slice(0, 3).join('; ')}`);
+    this.recordStructured(schemaName, 'failed');
+    return null;
+  }
+
+  buildRepairPrompt(schemaName, text, errors, prompt) {
+    return `${prompt ? `ORIGINAL REQUEST:\n${prompt}\n\n` : ''}YOUR REPLY:
+${text}
+
+PROBLEMS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Rewrite your reply as a single JSON object with exactly this shape:
+${describeSchema(schemaName)}
+
+Keep your original judgments - only fix the format.`;
+  }
+
+  // start(signal) -> the request; at timeoutMs the signal aborts it and the call fails as retryable
+  withTimeout(start) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM request timed out after ${this.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort(error);
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([start(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Rate limits, overloads, server errors and timeouts are worth another try
+  isRetryable(error) {
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET') return true;
+    const status = error.status || error.response?.status;
+    return status === 429 || status === 529 || (status >= 500 && status < 600);
+  }
+
+  // === TOKEN ACCOUNTING ===
+
+  resetUsage() {
+    this.usage = {
+      calls: 0,
+      failures: 0,
+      input_tokens: 0,
+      output_tokens: 0,
+      cost_usd: 0,
+      byRole: {},
+      structured: {}
+    };
+  }
+
+  roleUsage(role, model) {
+    if (!this.usage.byRole[role]) {
+      this.usage.byRole[role] = { model, calls: 0, failures: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    }
+    return this.usage.byRole[role];
+  }
+
+  recordUsage(role, model, usage = {}) {
+    const entry = this.roleUsage(role, model);
+    const input = usage.input_tokens || 0;
+    const output = usage.output_tokens || 0;
+    const costUsd = this.costOf(model, input, output);
+
+    entry.calls++;
+    entry.input_tokens += input;
+    entry.output_tokens += output;
+    entry.cost_usd += costUsd;
+
+    this.usage.calls++;
+    this.usage.input_tokens += input;
+    this.usage.output_tokens += output;
+    this.usage.cost_usd += costUsd;
+
+    for (const listener of this.usageListeners) {
+      listener({ role, model, input_tokens: input, output_tokens: output, cost_usd: costUsd });
+    }
+  }
+
+  costOf(model, inputTokens, outputTokens) {
+    const [inputPrice, outputPrice] = MODEL_PRICES[model] || MODEL_PRICES.default;
+    return (inputTokens * inputPrice + outputTokens * outputPrice) / 1000000;
+  }
+
+  recordFailure(role) {
+    this.roleUsage(role, this.modelFor(role)).failures++;
+    this.usage.failures++;
+  }
+
+  // outcome: 'ok' (valid first time), 'repaired' or 'failed'
+  recordStructured(schemaName, outcome) {
+    if (!this.usage.structured[schemaName]) {
+      this.usage.structured[schemaName] = { ok: 0, repaired: 0, failed: 0 };
+    }
+    this.usage.structured[schemaName][outcome]++;
+  }
+
+  getUsage() {
+    return JSON.parse(JSON.stringify(this.usage));
+  }
+
+  // Usage accumulated since an earlier getUsage() snapshot (e.g. one cycle)
+  usageSince(snapshot) {
+    const current = this.getUsage();
+    const fields = ['calls', 'failures', 'input_tokens', 'output_tokens', 'cost_usd'];
+    const delta = { byRole: {}, structured: {} };
+
+    for (const field of fields) {
+      delta[field] = current[field] - (snapshot?.[field] || 0);
+    }
+
+    for (const [role, entry] of Object.entries(current.byRole)) {
+      const before = snapshot?.byRole?.[role] || {};
+      const roleDelta = { model: entry.model };
+      for (const field of fields) {
+        roleDelta[field] = entry[field] - (before[field] || 0);
+      }
+      if (roleDelta.calls > 0 || roleDelta.failures > 0) {
+        delta.byRole[role] = roleDelta;
+      }
+    }
+
+    for (const [schemaName, counts] of Object.entries(current.structured)) {
+      const before = snapshot?.structured?.[schemaName] || {};
+      const schemaDelta = {
+        ok: counts.ok - (before.ok || 0),
+        repaired: counts.repaired - (before.repaired || 0),
+        failed: counts.failed - (before.failed || 0)
+      };
+      if (schemaDelta.ok + schemaDelta.repaired + schemaDelta.failed > 0) {
+        delta.structured[schemaName] = schemaDelta;
+      }
+    }
+
+    return delta;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Every module shares one client so accounting and provider swaps cover all agents
+let sharedLLM = null;
+
+function getLLM() {
+  if (!sharedLLM) {
+    sharedLLM = new BrickLLM();
+  }
+  return sharedLLM;
+}
+
+module.exports = { BrickLLM, getLLM, AnthropicProvider, DEFAULT_MODELS, MODEL_PRICES };
@@ -0,0 +1,298 @@
+// === BRICK'S MCP CLIENT ===
+// Brick using his own MCP servers (mcp-servers/) as tools - the same ones Claude Desktop talks to
+// Each server is launched as a child process and spoken to over stdio: newline-delimited JSON-RPC 2.0
+// Nothing launches unless it's allowlisted: the server in BRICK_MCP_SERVERS, the tool in mcp-servers/servers.json
+// Tools come out in BrickCore's shape: { name: { description, input_schema, run(input) -> text } }
+
+require('dotenv').config();
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_CONFIG = path.join(__dirname, '../mcp-servers/servers.json');
+
+// === ONE SERVER ===
+
+class McpServerConnection {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.command = config.command || 'node';
+    this.args = config.args || [];
+    this.cwd = config.cwd;
+    this.env = config.env || {};
+    this.allowedTools = config.tools || [];   // Only these are ever listed or called
+    this.timeoutMs = config.timeoutMs ?? 30000;
+    this.maxRestarts = config.maxRestarts ?? 3;   // Relaunches after a crash before the server is given up on
+
+    this.child = null;
+    this.restarts = 0;
+    this.relaunching = null;
+    this.closed = false;
+    this.nextId = 1;
+    this.pending = new Map();   // id -> { resolve, reject, timer }
+    this.tools = [];            // [{ name, description, inputSchema }] - allowlisted ones only
+  }
+
+  async connect() {
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.child = child;
+
+    readline.createInterface({ input: child.stdout }).on('line', line => this.handleLine(line));
+    // Servers log to stderr - keep the last line for when something goes wrong
+    child.stderr.on('data', chunk => { this.lastStderr = chunk.toString().trim().split('\n').pop(); });
+    child.stdin.on('error', () => {});   // EPIPE after a crash - the exit handler reports it
+    child.on('error', error => this.failAll(error));
+    child.on('exit', code => {
+      if (this.child !== child) return;   // An earlier process, already replaced by a relaunch
+      this.child = null;
+      this.failAll(new Error(`${this.name} exited (${code})${this.lastStderr ? `: ${this.lastStderr}` : ''}`));
+    });
+
+    const info = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'brick', version: '1.0.0' }
+    });
+    this.notify('notifications/initialized');
+
+    this.serverInfo = info.serverInfo || { name: this.name };
+    this.tools = await this.listTools();
+    return this.tools;
+  }
+
+  // Every page of tools/list, minus anything not allowlisted
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const page = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return tools.filter(tool => this.allowedTools.includes(tool.name));
+  }
+
+  // Running, or crashed with relaunches left - a server that keeps dying stops offering its tools
+  isAvailable() {
+    return Boolean(this.child) || (!this.closed && this.restarts < this.maxRestarts);
+  }
+
+  // A crashed server comes back on its next call instead of failing every call after the crash
+  async relaunch() {
+    if (!this.isAvailable()) throw new Error(`${this.name} is not running`);
+
+    if (!this.relaunching) {
+      this.restarts++;
+      console.warn(`🔌 MCP ${this.name} is down - relaunching (${this.restarts}/${this.maxRestarts})`);
+      this.relaunching = this.connect()
+        .catch((error) => {
+          this.stop();
+          throw error;
+        })
+        .finally(() => { this.relaunching = null; });
+    }
+
+    await this.relaunching;
+  }
+
+  // The tool's text content; a tool that reports an error throws it
+  async callTool(name, args = {}) {
+    if (!this.allowedTools.includes(name)) {
+      throw new Error(`${this.name}: tool "${name}" is not allowlisted`);
+    }
+    if (!this.child) await this.relaunch();
+
+    const result = await this.request('tools/call', { name, arguments: args });
+    const text = (result.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+
+    if (result.isError) throw new Error(text || `${name} failed`);
+    return text;
+  }
+
+  // === JSON-RPC ===
+
+  request(method, params = {}) {
+    if (!this.child) return Promise.reject(new Error(`${this.name} is not running`));
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${this.name}: ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  send(message) {
+    this.child?.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return;   // Not protocol - a stray log line
+    }
+
+    // A request from the server - Brick only answers pings
+    if (message.method && message.id !== undefined) {
+      if (message.method === 'ping') {
+        this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+      }
+      return;
+    }
+
+    const waiting = this.pending.get(message.id);
+    if (!waiting) return;   // Notification, or a reply that already timed out
+
+    this.pending.delete(message.id);
+    clearTimeout(waiting.timer);
+    if (message.error) {
+      waiting.reject(new Error(`${this.name}: ${message.error.message}`));
+    } else {
+      waiting.resolve(message.result || {});
+    }
+  }
+
+  failAll(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  stop() {
+    if (!this.child) return;
+    this.failAll(new Error(`${this.name} was stopped`));
+    this.child.stdin.end();   // Stdio servers exit when their input closes
+    this.child.kill();
+    this.child = null;
+  }
+
+  // For good - no relaunch after this
+  close() {
+    this.closed = true;
+    this.stop();
+  }
+}
+
+// === ALL OF BRICK'S SERVERS ===
+
+class BrickMcp {
+  constructor(options = {}) {
+    this.configPath = options.configPath || process.env.BRICK_MCP_CONFIG || DEFAULT_CONFIG;
+    this.config = options.config || this.loadConfig(this.configPath);
+
+    // Which servers may launch - none unless named
+    const enabled = options.servers ?? process.env.BRICK_MCP_SERVERS ?? '';
+    this.enabled = (Array.isArray(enabled) ? enabled : enabled.split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    this.connections = {};   // name -> McpServerConnection, connected ones only
+    this.initialized = false;
+  }
+
+  loadConfig(configPath) {
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.error('Error loading MCP config:', error.message);
+      return {};
+    }
+  }
+
+  // Brick and the creative loop share the servers - the first initialize() launches them
+  async initialize() {
+    if (this.initialized) return true;
+    this.initialized = true;
+
+    const configDir = path.dirname(this.configPath);
+    for (const name of this.enabled) {
+      const config = this.config[name];
+      if (!config) {
+        console.warn(`⚠️ MCP server "${name}" isn't in ${path.basename(this.configPath)} - skipping`);
+        continue;
+      }
+
+      const connection = new McpServerConnection(name, {
+        ...config,
+        cwd: path.resolve(configDir, config.cwd || '.')
+      });
+
+      try {
+        const tools = await connection.connect();
+        this.connections[name] = connection;
+        console.log(`🔌 MCP ${name}: ${tools.map(t => t.name).join(', ') || 'no allowlisted tools'}`);
+      } catch (error) {
+        console.error(`Error starting MCP server ${name}:`, error.message);
+        connection.close();
+      }
+    }
+
+    return true;
+  }
+
+  // Every allowlisted tool, in BrickCore's shape
+  // A name that's already taken (`taken`, or an earlier server) gets its server's prefix: knowledge__search_knowledge
+  // available() goes false once a server has crashed past its relaunches - the model stops being offered its tools
+  getTools(taken = []) {
+    const names = new Set(taken);
+    const tools = {};
+
+    for (const [server, connection] of Object.entries(this.connections)) {
+      for (const tool of connection.tools) {
+        const name = names.has(tool.name) ? `${server}__${tool.name}` : tool.name;
+        names.add(name);
+
+        tools[name] = {
+          description: tool.description || `${tool.name} (${server} MCP server)`,
+          input_schema: tool.inputSchema || { type: 'object', properties: {} },
+          run: (input) => connection.callTool(tool.name, input),
+          available: () => connection.isAvailable()
+        };
+      }
+    }
+
+    return tools;
+  }
+
+  close() {
+    for (const connection of Object.values(this.connections)) connection.close();
+    this.connections = {};
+  }
+}
+
+// Brick and the creative loop share one set of servers
+let sharedMcp = null;
+
+function getMcp() {
+  if (!sharedMcp) {
+    sharedMcp = new BrickMcp();
+  }
+  return sharedMcp;
+}
+
+module.exports = { BrickMcp, McpServerConnection, getMcp };
@@ -0,0 +1,345 @@
+// === BRICK'S MEDIA SERVICE ===
+// Every image Brick looks at comes through here - tweet photos, thumbnails, video frames
+// Fetches only from allowlisted hosts over https, with a byte cap, a redirect limit and a deadline,
+// so a huge or hostile image can't stall a cycle or blow Railway's 512MB
+// Downscales to what the model actually uses (1568px long edge) and caches by URL and content hash
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const MB = 1024 * 1024;
+
+// Where X serves media from
+const DEFAULT_HOSTS = 'pbs.twimg.com,video.twimg.com,abs.twimg.com,ton.twimg.com';
+
+// Anthropic's guidance: past 1568px on the long edge images get downscaled server-side anyway
+const MAX_DIMENSION = 1568;
+const API_MAX_BYTES = 5 * MB;   // The API rejects larger images outright
+const MAX_PIXELS = 50 * 1000 * 1000;   // A few KB can claim 100000×100000 - decoding that is the bomb
+
+class BrickMedia {
+  constructor(options = {}) {
+    this.hosts = options.hosts || (process.env.BRICK_MEDIA_HOSTS || DEFAULT_HOSTS)
+      .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    this.protocols = options.protocols || ['https:'];
+    this.maxBytes = options.maxBytes ?? 10 * MB;       // Per download - the stream is cut past this
+    this.maxRedirects = options.maxRedirects ?? 3;
+    this.timeoutMs = options.timeoutMs ?? 10000;       // Whole download, redirects included
+    this.maxDimension = options.maxDimension ?? MAX_DIMENSION;
+    this.maxCacheBytes = options.maxCacheBytes ?? 32 * MB;
+    this.tempDir = path.join(os.tmpdir(), 'brick-media');
+
+    this.byUrl = new Map();    // url -> content hash
+    this.byHash = new Map();   // hash -> { data, mediaType, width, height, bytes } - oldest first
+    this.cacheBytes = 0;
+  }
+
+  // === FETCHING ===
+
+  isAllowed(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    return this.protocols.includes(parsed.protocol)
+      && this.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+  }
+
+  // { data, mediaType } ready for a vision call, or null - never throws
+  async fetchImage(url) {
+    const hash = this.byUrl.get(url);
+    if (hash && this.byHash.has(hash)) return this.touch(hash);
+
+    if (!this.isAllowed(url)) {
+      console.warn(`   🚫 Not fetching media from ${this.describe(url)} - host or scheme not allowlisted`);
+      return null;
+    }
+
+    try {
+      const buffer = await this.download(url);
+      const image = await this.prepare(buffer);
+      if (image) this.byUrl.set(url, image.hash);
+      return image && this.toVision(image);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not fetch image: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Bytes from an allowlisted URL, following at most maxRedirects, cut off past maxBytes or the deadline
+  // options.file streams to disk instead (video) and resolves the byte count; a partial file is removed
+  // options.accept is the content-type prefix that's allowed ('image/' unless it's video)
+  download(url, { file = null, accept = 'image/', maxBytes = this.maxBytes, timeoutMs = this.timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+      let request = null;
+      let sink = null;
+      let settled = false;
+
+      const finish = (error, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(deadline);
+        request?.destroy();
+
+        if (!error) return resolve(value);
+        if (sink) {
+          sink.destroy();
+          fs.rmSync(file, { force: true });
+        }
+        reject(error);
+      };
+      const deadline = setTimeout(() => finish(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+
+      const get = (target, redirects) => {
+        if (!this.isAllowed(target)) {
+          return finish(new Error(`redirect to ${this.describe(target)} is not allowlisted`));
+        }
+
+        const protocol = target.startsWith('https:') ? https : http;
+        request = protocol.get(target, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BrickBot/1.0)' } }, (response) => {
+          const { statusCode, headers } = response;
+
+          if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+            response.resume();
+            if (redirects >= this.maxRedirects) {
+              return finish(new Error(`more than ${this.maxRedirects} redirects`));
+            }
+            return get(new URL(headers.location, target).toString(), redirects + 1);
+          }
+
+          if (statusCode !== 200) {
+            response.resume();
+            return finish(new Error(`HTTP ${statusCode}`));
+          }
+
+          const type = (headers['content-type'] || '').split(';')[0].trim();
+          if (type && !type.startsWith(accept)) {
+            response.resume();
+            return finish(new Error(`not ${accept.replace('/', '')} content (${type})`));
+          }
+
+          if (Number(headers['content-length']) > maxBytes) {
+            return finish(new Error(`too large (${headers['content-length']} bytes)`));
+          }
+
+          // Servers can lie about (or skip) content-length - count as it arrives
+          const chunks = [];
+          let received = 0;
+          if (file) {
+            sink = fs.createWriteStream(file);
+            sink.on('error', (error) => finish(error));
+          }
+
+          response.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+              return finish(new Error(`too large (over ${maxBytes} bytes)`));
+            }
+            if (sink) sink.write(chunk);
+            else chunks.push(chunk);
+          });
+          response.on('end', () => {
+            if (!sink) return finish(null, Buffer.concat(chunks));
+            sink.end(() => finish(null, received));
+          });
+          response.on('error', (error) => finish(error));
+        });
+
+        request.on('error', (error) => finish(error));
+      };
+
+      get(url, 0);
+    });
+  }
+
+  // Scheme and host only, for logs - tweet media URLs can carry tokens
+  describe(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return `${protocol}//${hostname}`;
+    } catch (error) {
+      return 'an invalid URL';
+    }
+  }
+
+  // === PREPARING ===
+
+  // Images that are already in hand (video frames) - same checks, same cache
+  async fromBase64(data, mediaType = null) {
+    try {
+      const buffer = Buffer.from(data, 'base64');
+      if (buffer.length > this.maxBytes) {
+        console.warn(`   ⚠️  Skipping image - too large (${buffer.length} bytes)`);
+        return null;
+      }
+
+      const image = await this.prepare(buffer);
+      return image && this.toVision(image);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not prepare image (${mediaType || 'unknown type'}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // Sniff what it really is (the header, not the content-type), downscale if needed, cache by hash
+  async prepare(buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (this.byHash.has(hash)) return { hash, ...this.byHash.get(hash) };
+
+    const info = imageInfo(buffer);
+    if (!info) throw new Error('not a PNG, JPEG, GIF or WebP image');
+    if (info.width * info.height > MAX_PIXELS) throw new Error(`${info.width}×${info.height} is too many pixels`);
+
+    let image = { buffer, ...info };
+    if (Math.max(info.width, info.height) > this.maxDimension) {
+      try {
+        image = await this.resize(buffer, info);
+      } catch (error) {
+        // No ffmpeg - the API downscales what it can take, the rest is skipped
+        if (buffer.length > API_MAX_BYTES) throw new Error(`too large to send and resize failed: ${error.message}`);
+        console.warn(`   ⚠️  Sending image at full size - resize failed: ${error.message}`);
+      }
+    }
+
+    const entry = {
+      data: image.buffer.toString('base64'),
+      mediaType: image.mediaType,
+      width: image.width,
+      height: image.height,
+      bytes: image.buffer.length
+    };
+    this.remember(hash, entry);
+    return { hash, ...entry };
+  }
+
+  // Fit inside maxDimension × maxDimension with ffmpeg (already there for video)
+  async resize(buffer, info) {
+    const scale = this.maxDimension / Math.max(info.width, info.height);
+    const width = Math.max(1, Math.round(info.width * scale));
+    const height = Math.max(1, Math.round(info.height * scale));
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const stem = path.join(this.tempDir, `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+    const input = `${stem}.in`;
+    const output = `${stem}.jpg`;
+    fs.writeFileSync(input, buffer);
+
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(input, { timeout: Math.ceil(this.timeoutMs / 1000) })
+          .outputOptions(['-frames:v 1', `-vf scale=${width}:${height}`, '-q:v 3'])
+          .output(output)
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+
+      return { buffer: fs.readFileSync(output), mediaType: 'image/jpeg', width, height };
+    } finally {
+      for (const file of [input, output]) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      }
+    }
+  }
+
+  // === CACHE ===
+
+  // Least recently used goes first once the cache passes maxCacheBytes
+  remember(hash, entry) {
+    this.byHash.set(hash, entry);
+    this.cacheBytes += entry.bytes;
+
+    while (this.cacheBytes > this.maxCacheBytes && this.byHash.size > 1) {
+      const [oldest, evicted] = this.byHash.entries().next().value;
+      this.byHash.delete(oldest);
+      this.cacheBytes -= evicted.bytes;
+    }
+  }
+
+  touch(hash) {
+    const entry = this.byHash.get(hash);
+    this.byHash.delete(hash);
+    this.byHash.set(hash, entry);
+    return this.toVision(entry);
+  }
+
+  toVision(image) {
+    return { data: image.data, mediaType: image.mediaType };
+  }
+}
+
+// === IMAGE HEADERS ===
+
+// { mediaType, width, height } from the first bytes, or null if it isn't an image the API takes
+function imageInfo(buffer) {
+  if (buffer.length < 24) return null;
+
+  // PNG: signature, then IHDR width/height
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { mediaType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size, little-endian
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { mediaType: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+      return { mediaType: 'image/webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+      const bits = buffer.readUInt32LE(21);
+      return { mediaType: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+      return { mediaType: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the markers to the first start-of-frame
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {   // Fill byte
+        offset++;
+        continue;
+      }
+
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { mediaType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+// One cache for every vision call - the same photo shows up in scouting, evaluation and replies
+let sharedMedia = null;
+
+function getMedia() {
+  if (!sharedMedia) {
+    sharedMedia = new BrickMedia();
+  }
+  return sharedMedia;
+}
+
+module.exports = { BrickMedia, getMedia, imageInfo };
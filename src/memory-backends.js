@@ -0,0 +1,204 @@
+// === BRICK'S MEMORY BACKENDS ===
+// Where BrickMemory keeps things: Mem0 Platform, or a local SQLite file
+// Every backend speaks the same shape, so memories can move between them (migrate-memory.js):
+//   add(content, metadata, { id, createdAt, infer }) -> [{ id, memory }]
+//   search(query, limit)                              -> [{ id, memory, score, metadata, created_at }]
+//   list({ page, pageSize })                          -> { results, total, hasMore }
+//   delete(id)                                        -> true/false
+//   listsNewestFirst                                  -> true if list pages run newest to oldest
+
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
+const { getEmbeddings } = require('./embeddings');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../brick_memory.db');
+
+// Mem0 takes chat messages; stored text is what comes back
+function toMessages(content) {
+  if (Array.isArray(content)) return content;
+  return [{ role: 'user', content: String(content) }];
+}
+
+function toText(content) {
+  if (!Array.isArray(content)) return String(content);
+  return content.map(m => (m.role === 'assistant' ? `Me: ${m.content}` : m.content)).join('\n');
+}
+
+// === MEM0 PLATFORM ===
+
+class Mem0Backend {
+  constructor(options = {}) {
+    const { MemoryClient } = require('mem0ai');
+    this.name = 'mem0';
+    this.listsNewestFirst = false;   // getAll has no order to ask for - page 1 isn't the newest
+    this.userId = options.userId || 'brick';
+    this.client = new MemoryClient({ apiKey: options.apiKey || process.env.MEM0_API_KEY });
+  }
+
+  async add(content, metadata = {}, options = {}) {
+    return this.client.add(toMessages(content), {
+      user_id: this.userId,
+      metadata,
+      // Imports are already distilled - store them as they are
+      ...(options.infer === false ? { infer: false } : {})
+    });
+  }
+
+  async search(query, limit = 10) {
+    const results = await this.client.search(query, { user_id: this.userId, limit });
+    return Array.isArray(results) ? results : (results?.results || []);
+  }
+
+  async list({ page = 1, pageSize = 100 } = {}) {
+    const response = await this.client.getAll({ user_id: this.userId, page, page_size: pageSize });
+
+    // Paginated responses come back as { count, next, results }
+    if (Array.isArray(response)) {
+      return { results: response, total: response.length, hasMore: false };
+    }
+    return {
+      results: response?.results || [],
+      total: response?.count ?? (response?.results || []).length,
+      hasMore: Boolean(response?.next)
+    };
+  }
+
+  async delete(id) {
+    await this.client.delete(id);
+    return true;
+  }
+}
+
+// === LOCAL SQLITE ===
+
+// One file, no account: text, metadata and an embedding per memory
+// Search is brute-force cosine in JS - fine for the few thousand memories Brick makes
+class SqliteMemoryBackend {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+    this.name = 'local';
+    this.listsNewestFirst = true;   // ORDER BY created_at DESC
+    this.userId = options.userId || 'brick';
+    this.dbPath = options.dbPath || process.env.BRICK_MEMORY_DB || DEFAULT_DB_PATH;
+    this.embeddings = options.embeddings || getEmbeddings();
+    this.minScore = options.minScore ?? 0.15;   // Below this a match is noise, not a memory
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        memory TEXT NOT NULL,
+        metadata TEXT DEFAULT '{}',
+        embedding BLOB,
+        embedding_model TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_memories_user_created ON memories(user_id, created_at DESC);
+    `);
+  }
+
+  async add(content, metadata = {}, options = {}) {
+    const text = toText(content);
+    const id = options.id || crypto.randomUUID();
+    const embedding = await this.embeddings.embed(text);
+
+    // OR IGNORE keeps a re-run migration from duplicating anything
+    this.db.prepare(`
+      INSERT OR IGNORE INTO memories (id, user_id, memory, metadata, embedding, embedding_model, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      this.userId,
+      text,
+      JSON.stringify(metadata),
+      this.packVector(embedding),
+      this.embeddings.model,
+      options.createdAt || metadata.timestamp || new Date().toISOString()
+    );
+
+    return [{ id, memory: text }];
+  }
+
+  async search(query, limit = 10) {
+    const queryVector = await this.embeddings.embed(query);
+    const rows = this.db.prepare('SELECT * FROM memories WHERE user_id = ?').all(this.userId);
+
+    const scored = [];
+    for (const row of rows) {
+      const vector = await this.vectorFor(row);
+      const score = this.embeddings.similarity(queryVector, vector);
+      if (score >= this.minScore) {
+        scored.push({ ...this.toMemory(row), score });
+      }
+    }
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  async list({ page = 1, pageSize = 100 } = {}) {
+    const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM memories WHERE user_id = ?').get(this.userId);
+    const rows = this.db.prepare(`
+      SELECT * FROM memories WHERE user_id = ?
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(this.userId, pageSize, (page - 1) * pageSize);
+
+    return {
+      results: rows.map(row => this.toMemory(row)),
+      total,
+      hasMore: page * pageSize < total
+    };
+  }
+
+  async delete(id) {
+    return this.db.prepare('DELETE FROM memories WHERE id = ? AND user_id = ?').run(id, this.userId).changes > 0;
+  }
+
+  // Rows embedded by another provider get re-embedded the first time they're searched
+  async vectorFor(row) {
+    if (row.embedding && row.embedding_model === this.embeddings.model) {
+      return this.unpackVector(row.embedding);
+    }
+
+    const vector = await this.embeddings.embed(row.memory);
+    this.db.prepare('UPDATE memories SET embedding = ?, embedding_model = ? WHERE id = ?')
+      .run(this.packVector(vector), this.embeddings.model, row.id);
+    return vector;
+  }
+
+  // Same shape Mem0 hands back
+  toMemory(row) {
+    return {
+      id: row.id,
+      memory: row.memory,
+      metadata: JSON.parse(row.metadata || '{}'),
+      created_at: row.created_at
+    };
+  }
+
+  packVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+  }
+
+  unpackVector(blob) {
+    return Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// 'mem0', 'local', or unset: Mem0 when there's a key, otherwise the local file
+function createMemoryBackend(name = process.env.BRICK_MEMORY, options = {}) {
+  const choice = name || (process.env.MEM0_API_KEY ? 'mem0' : 'local');
+
+  if (choice === 'mem0') return new Mem0Backend(options);
+  if (choice === 'local') return new SqliteMemoryBackend(options);
+  throw new Error(`Unknown memory backend "${choice}" - use mem0 or local`);
+}
+
+module.exports = { Mem0Backend, SqliteMemoryBackend, createMemoryBackend };
@@ -1,29 +1,23 @@
 // === BRICK'S MEMORY ===
-// Persistent memory layer using Mem0
+// Persistent memory layer - Mem0 Platform or a local SQLite file (see memory-backends.js)
+// BRICK_MEMORY picks one; unset, Mem0 is used when MEM0_API_KEY is there
 
 require('dotenv').config();
-const { MemoryClient } = require('mem0ai');
+const { createMemoryBackend } = require('./memory-backends');
 
 class BrickMemory {
   constructor() {
-    this.memory = null;
+    this.memory = null;   // The backend - null means Brick has no memory this run
     this.userId = 'brick';
   }
 
   async initialize() {
-    // Check for Mem0 API key
-    if (process.env.MEM0_API_KEY) {
-      try {
-        this.memory = new MemoryClient({
-          apiKey: process.env.MEM0_API_KEY
-        });
-        console.log('🧠 Brick memory initialized (Mem0 Platform)');
-      } catch (error) {
-        console.warn('⚠️ Mem0 init failed:', error.message);
-        this.memory = null;
-      }
-    } else {
-      console.log('🧠 Brick memory not configured (no API key)');
+    try {
+      this.memory = createMemoryBackend(process.env.BRICK_MEMORY, { userId: this.userId });
+      console.log(`🧠 Brick memory initialized (${this.memory.name === 'mem0' ? 'Mem0 Platform' : `local: ${this.memory.dbPath}`})`);
+    } catch (error) {
+      console.warn('⚠️ Memory init failed:', error.message);
+      this.memory = null;
     }
   }
 
@@ -35,22 +29,9 @@ class BrickMemory {
     }
 
     try {
-      // Mem0 API expects messages as array with role/content objects
-      let messages;
-      if (Array.isArray(content)) {
-        messages = content;
-      } else if (typeof content === 'string') {
-        messages = [{ role: 'user', content: content }];
-      } else {
-        messages = [{ role: 'user', content: String(content) }];
-      }
-
-      const result = await this.memory.add(messages, {
-        user_id: this.userId,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          ...metadata
-        }
+      const result = await this.memory.add(content, {
+        timestamp: new Date().toISOString(),
+        ...metadata
       });
       return result;
     } catch (error) {
@@ -67,12 +48,9 @@ class BrickMemory {
       // Ensure messages is properly formatted
       const formattedMessages = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
       const result = await this.memory.add(formattedMessages, {
-        user_id: this.userId,
-        metadata: {
-          type: 'conversation',
-          timestamp: new Date().toISOString(),
-          ...metadata
-        }
+        type: 'conversation',
+        timestamp: new Date().toISOString(),
+        ...metadata
       });
       return result;
     } catch (error) {
@@ -124,25 +102,13 @@ class BrickMemory {
     if (!this.memory) return [];
 
     try {
-      // Mem0 search requires query as first param, options as second
       // Request more than needed so we can re-rank
-      const results = await this.memory.search(query, {
-        user_id: this.userId,
-        limit: limit * 2
-      });
-
-      // Handle both array and object responses
-      let memories = [];
-      if (Array.isArray(results)) {
-        memories = results;
-      } else if (results?.results) {
-        memories = results.results;
-      }
+      const memories = await this.memory.search(query, limit * 2);
 
       // Add recency scoring and re-rank
       const scoredMemories = memories.map(m => {
         const recency = this.calculateRecencyScore(m.metadata?.timestamp);
-        const relevance = m.score || 0.5; // Mem0's relevance score
+        const relevance = m.score || 0.5; // The backend's relevance score
 
         return {
           ...m,
@@ -165,20 +131,19 @@ class BrickMemory {
   }
 
   // Recall with pure recency (for "what did I do recently?" queries)
+  // A backend that lists newest first only needs its first page - the rest are walked (bounded) and sorted
   async recallRecent(limit = 10) {
     if (!this.memory) return [];
 
     try {
-      const allMemories = await this.getAllMemories();
+      const results = this.memory.listsNewestFirst
+        ? (await this.memory.list({ page: 1, pageSize: limit })).results
+        : await this.getAllMemories();
+      const timeOf = (m) => new Date(m.metadata?.timestamp || m.created_at || 0).getTime();
 
       // Sort by timestamp (most recent first)
-      return allMemories
-        .filter(m => m.metadata?.timestamp)
-        .sort((a, b) => {
-          const timeA = new Date(a.metadata.timestamp).getTime();
-          const timeB = new Date(b.metadata.timestamp).getTime();
-          return timeB - timeA;
-        })
+      return results
+        .sort((a, b) => timeOf(b) - timeOf(a))
         .slice(0, limit);
 
     } catch (error) {
@@ -187,30 +152,54 @@ class BrickMemory {
     }
   }
 
-  // Get all memories (for reflection)
-  async getAllMemories() {
+  // Get all memories (for reflection) - every page, or just the one asked for
+  // options: { page, pageSize, maxPages }
+  async getAllMemories(options = {}) {
     if (!this.memory) return [];
 
+    const { page = null, pageSize = 100, maxPages = 20 } = options;
+
     try {
-      // Mem0 getAll with explicit user_id
-      const results = await this.memory.getAll({
-        user_id: this.userId,
-        page: 1,
-        page_size: 100
-      });
-      // Handle both array and object responses
-      if (Array.isArray(results)) {
-        return results;
-      } else if (results?.results) {
-        return results.results;
+      if (page) {
+        return (await this.memory.list({ page, pageSize })).results;
       }
-      return [];
+
+      const memories = [];
+      for (let current = 1; current <= maxPages; current++) {
+        const { results, hasMore } = await this.memory.list({ page: current, pageSize });
+        memories.push(...results);
+        if (!hasMore) break;
+      }
+      return memories;
     } catch (error) {
       console.error('Error getting memories:', error.message);
       return [];
     }
   }
 
+  // One page plus the totals - { results, total, hasMore }
+  async getMemoryPage(page = 1, pageSize = 100) {
+    if (!this.memory) return { results: [], total: 0, hasMore: false };
+
+    try {
+      return await this.memory.list({ page, pageSize });
+    } catch (error) {
+      console.error('Error getting memories:', error.message);
+      return { results: [], total: 0, hasMore: false };
+    }
+  }
+
+  async forget(memoryId) {
+    if (!this.memory) return false;
+
+    try {
+      return await this.memory.delete(memoryId);
+    } catch (error) {
+      console.error('Error deleting memory:', error.message);
+      return false;
+    }
+  }
+
   // Reflect on what Brick has learned
   async reflect() {
     const memories = await this.getAllMemories();
@@ -2,7 +2,7 @@
 // Closes the learning loop: Action → Wait → Check → Score → Learn
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 
 class BrickOutcomes {
   constructor() {
@@ -11,12 +11,7 @@ class BrickOutcomes {
   }
 
   async initialize() {
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    this.supabase = getDatabase();
     console.log('📊 Outcome scoring initialized');
     return true;
   }
@@ -28,8 +23,9 @@ class BrickOutcomes {
     if (!this.supabase) return null;
 
     const {
-      actionType,       // 'reply', 'quote', 'original', 'like'
+      actionType,       // 'reply', 'quote', 'original', 'like', 'deep', 'thread'
       tweetId,          // The tweet Brick posted (if applicable)
+      threadTweetIds,   // Every tweet in a thread, root first (if applicable)
       targetTweetId,    // The tweet Brick responded to (if applicable)
       emotionalEventId, // Link to emotional_events table
       initialMetrics    // Initial engagement counts (if we can get them)
@@ -45,6 +41,7 @@ class BrickOutcomes {
         .insert({
           action_type: actionType,
           tweet_id: tweetId,
+          thread_tweet_ids: threadTweetIds?.length > 1 ? threadTweetIds : null,
           target_tweet_id: targetTweetId,
           emotional_event_id: emotionalEventId,
           check_after: checkAfter.toISOString(),
@@ -115,7 +112,9 @@ class BrickOutcomes {
 
       // Get current metrics from Twitter
       let metrics = null;
-      if (outcome.tweet_id && twitter) {
+      if (outcome.thread_tweet_ids?.length > 1 && twitter) {
+        metrics = await this.fetchThreadMetrics(outcome.thread_tweet_ids, twitter);
+      } else if (outcome.tweet_id && twitter) {
         metrics = await this.fetchTweetMetrics(outcome.tweet_id, twitter);
       }
 
@@ -191,6 +190,28 @@ class BrickOutcomes {
     }
   }
 
+  // A thread is scored as one piece - sum every tweet's metrics
+  async fetchThreadMetrics(tweetIds, twitter) {
+    const totals = { likes: 0, replies: 0, retweets: 0, impressions: 0, quotes: 0 };
+    let found = 0;
+
+    for (const tweetId of tweetIds) {
+      const metrics = await this.fetchTweetMetrics(tweetId, twitter);
+      if (!metrics) continue;
+      found++;
+      for (const key of Object.keys(totals)) {
+        totals[key] += metrics[key] || 0;
+      }
+    }
+
+    if (found === 0) return null;
+
+    // Brick's own chained replies show up as replies on every tweet but the last
+    totals.replies = Math.max(0, totals.replies - (tweetIds.length - 1));
+    totals.tweets = found;
+    return totals;
+  }
+
   // === CALCULATE OUTCOME SCORE ===
   // Returns 0.0 to 1.0 based on engagement quality
 
@@ -223,6 +244,13 @@ class BrickOutcomes {
         retweets: 0.25,
         impressions: 0.02
       },
+      thread: {
+        // Likes spread across every tweet, so each one counts a little less
+        likes: 0.1,
+        replies: 0.35,
+        retweets: 0.25,
+        impressions: 0.02
+      },
       like: {
         // For likes, we can't measure outcome directly
         base: 0.4
@@ -0,0 +1,221 @@
+// === BRICK'S RESEARCH CACHE ===
+// Search results kept per provider and normalized query, so the same question doesn't cost twice
+// Near-duplicates count as the same question ("latest research on mycelium networks" ~ "mycelium networks research")
+// Also counts queries, cache hits and credits per provider per day
+// Survives restarts: research_cache / research_usage, or brick_research_cache.json without a database
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('./database');
+const { tokenize } = require('./topics');
+
+const HOUR = 60 * 60 * 1000;
+
+class BrickResearchCache {
+  constructor(options = {}) {
+    this.supabase = null;
+    this.statePath = options.statePath || path.join(__dirname, '../brick_research_cache.json');
+
+    // How long a result stays fresh - advanced searches back fact checks, which change slowly
+    this.ttls = { basic: 24 * HOUR, advanced: 7 * 24 * HOUR, ...options.ttls };
+    this.similarityThreshold = options.similarityThreshold ?? 0.8;   // Word overlap for a near-duplicate query
+    this.maxEntries = options.maxEntries ?? 500;
+
+    this.entries = new Map();   // key -> { key, provider, depth, query, terms, result, created_at, expires_at }
+    this.usage = {};            // 'YYYY-MM-DD:provider' -> { id, day, provider, queries, cache_hits, credits }
+    this.initialized = false;
+  }
+
+  // Brick and the creative loop share one cache - the first initialize() loads it
+  async initialize() {
+    if (this.initialized) return true;
+    this.initialized = true;
+
+    this.supabase = getDatabase();
+    await this.load();
+    console.log(`🗃️  Research cache initialized (${this.entries.size} fresh results)`);
+    return true;
+  }
+
+  // === KEYS ===
+
+  // Order, case, punctuation and filler words don't make a new question
+  normalize(query) {
+    return [...new Set(tokenize(query).filter(t => !t.includes(' ')))].sort();
+  }
+
+  keyFor(provider, query, depth = 'basic') {
+    return `${provider}:${depth}:${this.normalize(query).join(' ')}`;
+  }
+
+  // === LOOKUP ===
+
+  get(provider, query, depth = 'basic') {
+    const terms = this.normalize(query);
+    if (terms.length === 0) return null;
+
+    this.prune();
+    const exact = this.entries.get(this.keyFor(provider, query, depth));
+    if (exact) return exact.result;
+
+    let best = null;
+    for (const entry of this.entries.values()) {
+      if (entry.provider !== provider || entry.depth !== depth) continue;
+      const similarity = this.similarity(terms, entry.terms);
+      if (similarity >= this.similarityThreshold && similarity > (best?.similarity || 0)) {
+        best = { entry, similarity };
+      }
+    }
+
+    return best ? best.entry.result : null;
+  }
+
+  async set(provider, query, depth = 'basic', result) {
+    if (this.normalize(query).length === 0) return;   // Nothing to key it on
+
+    const now = Date.now();
+    const entry = {
+      key: this.keyFor(provider, query, depth),
+      provider,
+      depth,
+      query,
+      terms: this.normalize(query),
+      result,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + (this.ttls[depth] || this.ttls.basic)).toISOString()
+    };
+
+    this.entries.set(entry.key, entry);
+    this.prune();
+    await this.save(entry);
+  }
+
+  // Jaccard over normalized words
+  similarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const setB = new Set(b);
+    const shared = a.filter(t => setB.has(t)).length;
+    return shared / (a.length + b.length - shared);
+  }
+
+  // Expired results go, then the oldest past maxEntries
+  prune() {
+    const now = new Date().toISOString();
+    for (const [key, entry] of this.entries) {
+      if (entry.expires_at <= now) this.entries.delete(key);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // === USAGE ===
+
+  async recordQuery(provider, { cached = false, credits = 0 } = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    const id = `${day}:${provider}`;
+    const row = this.usage[id] || { id, day, provider, queries: 0, cache_hits: 0, credits: 0 };
+
+    row.queries++;
+    if (cached) row.cache_hits++;
+    row.credits += credits;
+    this.usage[id] = row;
+
+    await this.saveUsage(row);
+  }
+
+  // { tavily: { queries, cache_hits, credits }, ... } for one day (default today)
+  getUsage(day = new Date().toISOString().slice(0, 10)) {
+    const usage = {};
+    for (const row of Object.values(this.usage)) {
+      if (row.day === day) usage[row.provider] = { queries: row.queries, cache_hits: row.cache_hits, credits: row.credits };
+    }
+    return usage;
+  }
+
+  // === PERSISTENCE ===
+
+  async load() {
+    try {
+      if (this.supabase) {
+        const now = new Date().toISOString();
+        await this.supabase.from('research_cache').delete().lte('expires_at', now);
+
+        const { data: entries, error } = await this.supabase
+          .from('research_cache')
+          .select('*')
+          .gt('expires_at', now)
+          .order('created_at', { ascending: false })
+          .limit(this.maxEntries);
+        if (error) throw error;
+
+        const { data: usage, error: usageError } = await this.supabase
+          .from('research_usage')
+          .select('*')
+          .gte('day', new Date(Date.now() - 7 * 24 * HOUR).toISOString().slice(0, 10));
+        if (usageError) throw usageError;
+
+        // Oldest first, so pruning past maxEntries drops the oldest
+        for (const entry of (entries || []).reverse()) this.entries.set(entry.key, entry);
+        for (const row of usage || []) this.usage[row.id] = row;
+      } else if (fs.existsSync(this.statePath)) {
+        const state = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+        for (const entry of state.entries || []) this.entries.set(entry.key, entry);
+        this.usage = state.usage || {};
+      }
+
+      this.prune();
+    } catch (error) {
+      console.error('Error loading research cache:', error.message);
+    }
+  }
+
+  // Nothing is written before initialize() - dry runs and tests keep the cache in memory
+  async save(entry) {
+    if (!this.initialized) return;
+    try {
+      if (this.supabase) {
+        const { error } = await this.supabase.from('research_cache').upsert(entry);
+        if (error) throw error;
+      } else {
+        this.writeFile();
+      }
+    } catch (error) {
+      console.error('Error saving research cache:', error.message);
+    }
+  }
+
+  async saveUsage(row) {
+    if (!this.initialized) return;
+    try {
+      if (this.supabase) {
+        const { error } = await this.supabase.from('research_usage').upsert(row);
+        if (error) throw error;
+      } else {
+        this.writeFile();
+      }
+    } catch (error) {
+      console.error('Error saving research usage:', error.message);
+    }
+  }
+
+  writeFile() {
+    fs.writeFileSync(this.statePath, JSON.stringify({
+      entries: [...this.entries.values()],
+      usage: this.usage
+    }));
+  }
+}
+
+// Brick's research and the creative loop's share one cache
+let sharedCache = null;
+
+function getResearchCache() {
+  if (!sharedCache) {
+    sharedCache = new BrickResearchCache();
+  }
+  return sharedCache;
+}
+
+module.exports = { BrickResearchCache, getResearchCache };
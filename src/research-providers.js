@@ -0,0 +1,283 @@
+// === BRICK'S RESEARCH PROVIDERS ===
+// Where BrickResearch looks things up: the web (Tavily), papers (arXiv, Semantic Scholar), or canned documents
+// Every provider speaks the same shape:
+//   isAvailable()                        -> true/false
+//   costOf(options)                      -> credits a search spends (optional - free when missing)
+//   search(query, { depth, maxResults }) -> { answer, sources } or null when it chose not to search
+//   source: { title, url, snippet, score, paper? }
+//   paper:  { id, arxivId, authors, year, citations, venue, pdfUrl } - whatever the provider knows
+// The paper providers are ported from mcp-servers/research-mcp, so Brick can use them without Claude Desktop
+// They're free public APIs, so they're opt-in (BRICK_RESEARCH_PROVIDERS) and keep to each API's request rate
+
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const { tokenize } = require('./topics');
+
+const DEFAULT_PROVIDERS = 'tavily';
+
+// Providers without a relevance score rank their results - turn the rank into one on Tavily's 0-1 scale
+function rankScore(index, count) {
+  return Math.round((1 - index / (2 * Math.max(count, 1))) * 100) / 100;
+}
+
+// At most one request per provider.minIntervalMs - later callers wait their turn rather than fail
+async function pace(provider) {
+  const now = Date.now();
+  const wait = Math.max(0, (provider.lastRequestAt || 0) + provider.minIntervalMs - now);
+  provider.lastRequestAt = now + wait;   // Claimed before waiting, so concurrent searches queue up
+  if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+}
+
+// === TAVILY (THE WEB) ===
+
+class TavilyProvider {
+  constructor(options = {}) {
+    this.name = 'tavily';
+    this.apiKey = options.apiKey ?? process.env.TAVILY_API_KEY;
+    this.baseUrl = 'https://api.tavily.com';
+    this.governor = options.governor;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  // Tavily bills advanced searches at 2 credits
+  costOf({ depth = 'basic' } = {}) {
+    return depth === 'advanced' ? 2 : 1;
+  }
+
+  async search(query, { depth = 'basic', maxResults = 5, includeDomains = [], excludeDomains = [] } = {}) {
+    const credits = this.costOf({ depth });
+    if (this.governor && !this.governor.canSpend('tavily_credits', credits)) {
+      console.warn('🚦 Tavily budget spent for today - skipping web search');
+      return null;
+    }
+
+    this.governor?.recordSpend('tavily_credits', credits);
+    const response = await axios.post(`${this.baseUrl}/search`, {
+      api_key: this.apiKey,
+      query,
+      search_depth: depth, // 'basic' or 'advanced'
+      include_answer: true,
+      include_raw_content: false,
+      max_results: maxResults,
+      include_domains: includeDomains,
+      exclude_domains: excludeDomains
+    }, { timeout: 30000 });
+
+    return {
+      answer: response.data.answer,
+      sources: (response.data.results || []).map(r => ({
+        title: r.title,
+        url: r.url,
+        snippet: r.content,
+        score: r.score
+      }))
+    };
+  }
+}
+
+// === ARXIV ===
+
+class ArxivProvider {
+  constructor(options = {}) {
+    this.name = 'arxiv';
+    this.baseUrl = 'https://export.arxiv.org/api/query';
+    this.minIntervalMs = options.arxivIntervalMs ?? 3000;   // arXiv's API guidance: one request every 3 seconds
+  }
+
+  isAvailable() {
+    return true;   // Free, no key
+  }
+
+  async search(query, { maxResults = 5 } = {}) {
+    await pace(this);
+    const papers = parseArxivFeed(await this.fetchFeed({
+      search_query: `all:${query}`,
+      start: '0',
+      max_results: String(maxResults),
+      sortBy: 'relevance',
+      sortOrder: 'descending'
+    }));
+
+    return {
+      answer: null,
+      sources: papers.map((paper, i) => ({
+        title: paper.title,
+        url: `https://arxiv.org/abs/${paper.id}`,
+        snippet: paper.summary,
+        score: rankScore(i, papers.length),
+        paper: {
+          id: `arXiv:${paper.id}`,
+          arxivId: paper.id,
+          authors: paper.authors,
+          year: parseInt(paper.published.substring(0, 4)) || null,
+          categories: paper.categories,
+          pdfUrl: paper.pdfUrl
+        }
+      }))
+    };
+  }
+
+  async fetchFeed(params) {
+    const response = await axios.get(this.baseUrl, { params, timeout: 20000, responseType: 'text' });
+    return response.data;
+  }
+}
+
+// arXiv answers in Atom XML - pull out what Brick needs without an XML dependency
+function parseArxivFeed(xml) {
+  const papers = [];
+  const entryRegex = /<entry>([\s\S]*?)<\/entry>/g;
+  let match;
+
+  while ((match = entryRegex.exec(xml || '')) !== null) {
+    const entry = match[1];
+    const field = (tag) => entry.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`))?.[1].trim() || '';
+    const all = (regex) => [...entry.matchAll(regex)].map(m => m[1].trim());
+
+    // Version suffixes ("v2") would keep the same paper from deduping
+    const id = field('id').replace(/^https?:\/\/arxiv\.org\/abs\//, '').replace(/v\d+$/, '');
+
+    papers.push({
+      id,
+      title: field('title').replace(/\s+/g, ' '),
+      summary: field('summary').replace(/\s+/g, ' ').substring(0, 500),
+      authors: all(/<author>[\s\S]*?<name>([\s\S]*?)<\/name>[\s\S]*?<\/author>/g),
+      categories: all(/<category[^>]*term="([^"]+)"/g),
+      published: field('published'),
+      pdfUrl: `https://arxiv.org/pdf/${id}`
+    });
+  }
+
+  return papers;
+}
+
+// === SEMANTIC SCHOLAR ===
+
+class SemanticScholarProvider {
+  constructor(options = {}) {
+    this.name = 'semantic_scholar';
+    this.baseUrl = 'https://api.semanticscholar.org/graph/v1';
+    this.apiKey = options.apiKey ?? process.env.SEMANTIC_SCHOLAR_API_KEY;   // Optional - higher rate limits
+    this.minIntervalMs = options.semanticScholarIntervalMs ?? 1000;   // One request a second, the keyed limit
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async search(query, { maxResults = 5 } = {}) {
+    await pace(this);
+    const response = await axios.get(`${this.baseUrl}/paper/search`, {
+      params: {
+        query,
+        limit: maxResults,
+        fields: 'paperId,title,abstract,authors,year,citationCount,venue,url,openAccessPdf,externalIds'
+      },
+      headers: {
+        Accept: 'application/json',
+        ...(this.apiKey ? { 'x-api-key': this.apiKey } : {})
+      },
+      timeout: 20000
+    });
+
+    const papers = (response.data.data || []).filter(p => p.title);
+
+    return {
+      answer: null,
+      sources: papers.map((paper, i) => ({
+        title: paper.title,
+        url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+        snippet: paper.abstract ? paper.abstract.substring(0, 500) : '',
+        score: rankScore(i, papers.length),
+        paper: {
+          id: paper.paperId,
+          arxivId: paper.externalIds?.ArXiv || null,
+          authors: (paper.authors || []).map(a => a.name),
+          year: paper.year || null,
+          citations: paper.citationCount ?? null,
+          venue: paper.venue || null,
+          pdfUrl: paper.openAccessPdf?.url || null
+        }
+      }))
+    };
+  }
+}
+
+// === LOCAL FIXTURES ===
+
+// Canned documents ranked by shared words - offline runs and tests, no network
+// documents: [{ title, url, snippet, paper?, answer? }], or a JSON file of them (BRICK_RESEARCH_FIXTURES)
+class FixtureResearchProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.documents = options.documents || this.load(options.path || process.env.BRICK_RESEARCH_FIXTURES);
+  }
+
+  load(filePath) {
+    if (!filePath) return [];
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      console.error('Error loading research fixtures:', error.message);
+      return [];
+    }
+  }
+
+  isAvailable() {
+    return this.documents.length > 0;
+  }
+
+  async search(query, { maxResults = 5 } = {}) {
+    const queryTerms = new Set(tokenize(query));
+
+    const matches = this.documents
+      .map(doc => {
+        const terms = tokenize(`${doc.title} ${doc.snippet}`);
+        return { doc, overlap: terms.filter(t => queryTerms.has(t)).length };
+      })
+      .filter(m => m.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, maxResults);
+
+    return {
+      answer: matches[0]?.doc.answer || null,
+      sources: matches.map(({ doc }, i) => ({
+        title: doc.title,
+        url: doc.url,
+        snippet: doc.snippet,
+        score: doc.score ?? rankScore(i, matches.length),
+        ...(doc.paper ? { paper: doc.paper } : {})
+      }))
+    };
+  }
+}
+
+// 'tavily' (default), or any of tavily, arxiv, semantic_scholar - 'fixture' for offline runs
+function createResearchProviders(names = process.env.BRICK_RESEARCH_PROVIDERS || DEFAULT_PROVIDERS, options = {}) {
+  const factories = {
+    tavily: () => new TavilyProvider(options),
+    arxiv: () => new ArxivProvider(options),
+    semantic_scholar: () => new SemanticScholarProvider(options),
+    fixture: () => new FixtureResearchProvider(options)
+  };
+
+  const providers = {};
+  for (const name of names.split(',').map(n => n.trim()).filter(Boolean)) {
+    if (!factories[name]) throw new Error(`Unknown research provider "${name}" - use ${Object.keys(factories).join(', ')}`);
+    providers[name] = factories[name]();
+  }
+  return providers;
+}
+
+module.exports = {
+  TavilyProvider,
+  ArxivProvider,
+  SemanticScholarProvider,
+  FixtureResearchProvider,
+  createResearchProviders,
+  parseArxivFeed
+};
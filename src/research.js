@@ -1,74 +1,194 @@
 // === BRICK'S RESEARCH MODULE ===
-// Web search, fact verification, and source grounding via Tavily
+// Search, fact verification, and source grounding - the web via Tavily, papers via arXiv and Semantic Scholar
+// Providers live in research-providers.js; this module routes, merges and judges what they find
 
 require('dotenv').config();
-const axios = require('axios');
+const { getGovernor } = require('./governor');
+const { getLLM } = require('./llm');
+const { getTopics, tokenize } = require('./topics');
+const { createResearchProviders } = require('./research-providers');
+const { getResearchCache } = require('./research-cache');
+
+// Source quality tiers for fact verification - everything else sits in between
+const TRUSTED_DOMAINS = ['.gov', '.edu', 'nature.com', 'science.org', 'nih.gov', 'who.int', 'arxiv.org', 'semanticscholar.org', 'wikipedia.org', 'britannica.com', 'reuters.com', 'apnews.com'];
+const CHATTER_DOMAINS = ['reddit.com', 'x.com', 'twitter.com', 'quora.com', 'medium.com', 'facebook.com', 'tiktok.com', 'pinterest.com'];
+
+const NEGATION = /\b(not|no|never|false|incorrect|wrong|myth|debunk\w*|unproven|misconception|isn'?t|aren'?t|wasn'?t|doesn'?t|don'?t|didn'?t|cannot|can'?t)\b/i;
+
+// Science-heavy queries go to the papers first, with the web as the fallback
+// Everything else is for the web only - papers are no answer to a general claim
+const ROUTES = {
+  science: { primary: ['semantic_scholar', 'arxiv', 'fixture'], fallback: ['tavily'] },
+  general: { primary: ['tavily', 'fixture'], fallback: [] }
+};
+const SCIENCE_TOPICS = ['ai_consciousness', 'mind_science'];
+const SCIENCE_WORDS = /\b(stud(y|ies)|paper|research\w*|evidence|experiment\w*|neuro\w*|neuron\w*|brain\w*|cognit\w*|conscious\w*|cortex|synap\w*|quantum|physics|biolog\w*|genom\w*|protein\w*|evolution\w*|peer[- ]reviewed|arxiv)\b/i;
+
+// Fields `extra` knows that `base` doesn't
+function fillIn(base = {}, extra = {}) {
+  const filled = { ...base };
+  for (const [key, value] of Object.entries(extra)) {
+    if (filled[key] === null || filled[key] === undefined) filled[key] = value;
+  }
+  return filled;
+}
 
 class BrickResearch {
-  constructor() {
-    this.apiKey = process.env.TAVILY_API_KEY;
-    this.baseUrl = 'https://api.tavily.com';
+  constructor(options = {}) {
+    this.governor = getGovernor();
+    this.providers = options.providers || createResearchProviders(undefined, { governor: this.governor });
+    this.cache = options.cache || getResearchCache();
+    this.llm = options.llm || getLLM();
+    this.stanceMode = options.stance || 'llm';   // 'local' skips the model - deterministic, for offline runs
+    this.minLocalCoverage = 0.5;                 // Share of the claim's words a sentence needs to be about it
+    this.settledEvidence = 1.5;                  // Quality-weighted sources before confidence can reach the ends
   }
 
   async initialize() {
-    if (!this.apiKey) {
-      console.warn('Tavily API key not configured - research disabled');
+    await this.cache.initialize();
+
+    if (!this.providers.tavily?.isAvailable()) {
+      console.warn('Tavily API key not configured - web search disabled');
+    }
+
+    const available = this.availableProviders();
+    if (available.length === 0) {
+      console.warn('No research providers available - research disabled');
       return false;
     }
-    console.log('🔍 Brick research module initialized');
+    console.log(`🔍 Brick research module initialized (${available.join(', ')})`);
     return true;
   }
 
+  availableProviders() {
+    return Object.keys(this.providers).filter(name => this.providers[name].isAvailable());
+  }
+
+  isAvailable() {
+    return this.availableProviders().length > 0;
+  }
+
+  // === ROUTING ===
+
+  isScienceQuery(query) {
+    if (SCIENCE_WORDS.test(query)) return true;
+    return getTopics().classify(query).some(t => SCIENCE_TOPICS.includes(t.topic));
+  }
+
+  // [primary, fallback] provider lists, both limited to what's configured and available
+  route(query, options = {}) {
+    const available = this.availableProviders();
+    const usable = (names) => names.filter(name => available.includes(name));
+
+    if (options.providers) return [usable(options.providers), []];
+
+    const { primary, fallback } = ROUTES[this.isScienceQuery(query) ? 'science' : 'general'];
+    return [usable(primary), usable(fallback)];
+  }
+
   // === MAIN SEARCH ===
+  // Asks the routed providers, falls back when they find nothing, then merges what came back
 
   async search(query, options = {}) {
-    if (!this.apiKey) {
-      return { success: false, error: 'Research not configured' };
+    const [primary, fallback] = this.route(query, options);
+    if (primary.length + fallback.length === 0) {
+      return { success: false, error: 'Research not configured', query };
     }
 
-    try {
-      const response = await axios.post(`${this.baseUrl}/search`, {
-        api_key: this.apiKey,
-        query,
-        search_depth: options.depth || 'basic', // 'basic' or 'advanced'
-        include_answer: true,
-        include_raw_content: false,
-        max_results: options.maxResults || 5,
-        include_domains: options.includeDomains || [],
-        exclude_domains: options.excludeDomains || []
-      });
-
-      const results = response.data;
+    const maxResults = options.maxResults || 5;
+    let results = await this.searchProviders(primary, query, options);
+    if (!results.some(r => r.sources.length > 0) && fallback.length > 0) {
+      results = results.concat(await this.searchProviders(fallback, query, options));
+    }
 
-      return {
-        success: true,
-        query,
-        answer: results.answer,
-        sources: results.results?.map(r => ({
-          title: r.title,
-          url: r.url,
-          snippet: r.content,
-          score: r.score
-        })) || [],
-        confidence: this.calculateConfidence(results),
-        timestamp: new Date().toISOString()
-      };
+    if (results.length === 0) {
+      return { success: false, error: 'Every research provider failed or was skipped', query };
+    }
 
-    } catch (error) {
-      console.error('Research error:', error.message);
-      return {
-        success: false,
-        error: error.message,
-        query
-      };
+    const sources = this.mergeSources(results.flatMap(r => r.sources)).slice(0, maxResults);
+    const answer = results.find(r => r.answer)?.answer || null;
+
+    return {
+      success: true,
+      query,
+      answer,
+      sources,
+      providers: results.map(r => r.provider),
+      cached: results.every(r => r.cached),
+      confidence: this.calculateConfidence({ answer, sources }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Cached answers first; one provider failing doesn't sink the search - it just adds nothing
+  async searchProviders(names, query, options) {
+    const depth = options.depth || 'basic';
+    const results = [];
+
+    for (const name of names) {
+      const cached = this.cache.get(name, query, depth);
+      if (cached) {
+        await this.cache.recordQuery(name, { cached: true });
+        results.push({ provider: name, ...cached, cached: true });
+        continue;
+      }
+
+      try {
+        const provider = this.providers[name];
+        const result = await provider.search(query, options);
+        if (!result) continue;
+
+        const found = { answer: result.answer || null, sources: result.sources || [] };
+        await this.cache.recordQuery(name, { credits: provider.costOf?.(options) || 0 });
+        await this.cache.set(name, query, depth, found);
+        results.push({ provider: name, ...found, cached: false });
+      } catch (error) {
+        console.error(`Research error (${name}):`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  // Today's queries, cache hits and credits per provider
+  getUsage() {
+    return this.cache.getUsage();
+  }
+
+  // The same paper turns up on arXiv and Semantic Scholar, the same page under two URLs -
+  // keep one, with everything either copy knew about it
+  mergeSources(sources) {
+    const merged = new Map();
+
+    for (const source of sources) {
+      const key = this.sourceKey(source);
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...source });
+        continue;
+      }
+
+      existing.score = Math.max(existing.score ?? 0, source.score ?? 0);
+      if ((source.snippet || '').length > (existing.snippet || '').length) existing.snippet = source.snippet;
+      if (source.paper) existing.paper = fillIn(existing.paper, source.paper);
     }
+
+    return [...merged.values()].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  }
+
+  sourceKey(source) {
+    if (source.paper?.arxivId) return `arxiv:${source.paper.arxivId.replace(/v\d+$/, '')}`;
+    if (source.paper) return `title:${(source.title || '').toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+    return `url:${(source.url || '').toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/[/#?]+$/, '')}`;
   }
 
   // === FACT VERIFICATION ===
+  // Each source is judged against the claim - supports, refutes or irrelevant - and weighted by how much it can be trusted
 
   async verifyFact(claim) {
-    // Search for the claim
-    const results = await this.search(`fact check: ${claim}`, {
+    // The claim itself - a paper search wants the words, not "fact check:"
+    const results = await this.search(claim, {
       depth: 'advanced',
       maxResults: 5
     });
@@ -81,60 +201,144 @@ class BrickResearch {
       };
     }
 
-    // Analyze sources for agreement
     const analysis = await this.analyzeSourceAgreement(claim, results.sources);
 
     return {
       claim,
-      verified: analysis.agreement > 0.6,
-      confidence: analysis.agreement,
+      verified: analysis.confidence > 0.6,
+      confidence: analysis.confidence,
       supporting_sources: analysis.supportingSources,
       contradicting_sources: analysis.contradictingSources,
+      stances: analysis.stances,
       summary: results.answer,
       recommendation: this.getVerificationRecommendation(analysis)
     };
   }
 
-  analyzeSourceAgreement(claim, sources) {
-    // Simple heuristic - in production you'd use NLP
-    let supporting = [];
-    let contradicting = [];
-
-    const claimWords = claim.toLowerCase().split(' ').filter(w => w.length > 4);
-
-    for (const source of sources) {
-      const snippetLower = source.snippet.toLowerCase();
-      const matchCount = claimWords.filter(w => snippetLower.includes(w)).length;
-      const matchRatio = matchCount / claimWords.length;
-
-      // Check for negation words near matches
-      const hasNegation = /\b(not|never|false|incorrect|wrong|myth|debunk)\b/i.test(source.snippet);
-
-      if (matchRatio > 0.3) {
-        if (hasNegation) {
-          contradicting.push(source);
-        } else {
-          supporting.push(source);
-        }
+  // Confidence is the quality-weighted share of supporting sources, pulled toward 0.5 while evidence is thin
+  // One good source moves it partway; it takes a couple of agreeing ones to call something settled
+  async analyzeSourceAgreement(claim, sources = []) {
+    const stances = await this.classifyStances(claim, sources);
+
+    let supportWeight = 0;
+    let refuteWeight = 0;
+    const supporting = [];
+    const contradicting = [];
+
+    sources.forEach((source, i) => {
+      const { stance } = stances[i];
+      const quality = this.sourceQuality(source);
+      if (stance === 'supports') {
+        supportWeight += quality;
+        supporting.push(source);
+      } else if (stance === 'refutes') {
+        refuteWeight += quality;
+        contradicting.push(source);
       }
-    }
+    });
 
-    const total = supporting.length + contradicting.length;
-    const agreement = total > 0 ? supporting.length / total : 0.5;
+    const evidence = supportWeight + refuteWeight;
+    const agreement = evidence > 0 ? supportWeight / evidence : 0.5;
+    const confidence = 0.5 + (agreement - 0.5) * Math.min(evidence / this.settledEvidence, 1);
 
     return {
       agreement,
+      confidence: Math.round(confidence * 100) / 100,
       supportingSources: supporting,
-      contradictingSources: contradicting
+      contradictingSources: contradicting,
+      stances: stances.map((s, i) => ({ url: sources[i].url, ...s }))
     };
   }
 
+  // The model reads every source against the claim in one call; anything it skips (or can't do) gets the local check
+  async classifyStances(claim, sources) {
+    if (sources.length === 0) return [];
+
+    let judged = [];
+    if (this.stanceMode === 'llm') {
+      const prompt = `Claim: "${claim}"
+
+Sources:
+${sources.map((s, i) => `[${i + 1}] ${s.title || s.url}\n${(s.snippet || '').substring(0, 600)}`).join('\n\n')}
+
+For each source, judge only what its text says about this exact claim:
+- supports: it states or clearly implies the claim is true
+- refutes: it states or clearly implies the claim is false, or a myth
+- irrelevant: it's about something else, or doesn't settle the claim either way
+Mentioning the topic isn't support; a "not" about something else isn't refutation.
+
+Respond in JSON:
+{
+  "stances": [
+    { "source": 1, "stance": "supports/refutes/irrelevant", "rationale": "one sentence, quoting the deciding words" }
+  ]
+}`;
+
+      try {
+        const result = await this.llm.completeStructured('factcheck', 'stance', { prompt, maxTokens: 1024 });
+        judged = result?.stances || [];
+      } catch (error) {
+        console.error('Error classifying source stance:', error.message);
+      }
+    }
+
+    return sources.map((source, i) => {
+      const verdict = judged.find(j => j.source === i + 1);
+      if (verdict) return { stance: verdict.stance, rationale: verdict.rationale, method: 'llm' };
+      return { ...this.classifyStanceLocally(claim, source), method: 'local' };
+    });
+  }
+
+  // Deterministic fallback: find the snippet sentence that best covers the claim's words,
+  // then compare its polarity with the claim's - a negation only counts where the claim is discussed
+  classifyStanceLocally(claim, source) {
+    const claimTerms = new Set(tokenize(claim).filter(t => !t.includes(' ')));
+    if (claimTerms.size === 0) return { stance: 'irrelevant', rationale: 'Nothing in the claim to match' };
+
+    let best = { coverage: 0, sentence: '' };
+    for (const sentence of (source.snippet || '').split(/(?<=[.!?])\s+/)) {
+      const terms = new Set(tokenize(sentence));
+      const coverage = [...claimTerms].filter(t => terms.has(t)).length / claimTerms.size;
+      if (coverage > best.coverage) best = { coverage, sentence };
+    }
+
+    const quoted = `"${best.sentence.substring(0, 100)}"`;
+    if (best.coverage < this.minLocalCoverage) {
+      return { stance: 'irrelevant', rationale: `Covers ${Math.round(best.coverage * 100)}% of the claim at best` };
+    }
+
+    const flipped = NEGATION.test(best.sentence) !== NEGATION.test(claim);
+    return flipped
+      ? { stance: 'refutes', rationale: `Negates the claim: ${quoted}` }
+      : { stance: 'supports', rationale: `Restates the claim: ${quoted}` };
+  }
+
+  // 0-1: how much a source's word counts - the kind of site, nudged by Tavily's relevance score
+  sourceQuality(source) {
+    let host = '';
+    try {
+      host = new URL(source.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      // No usable URL - treat it as an ordinary site
+    }
+
+    const matches = (domains) => domains.some(d => (d.startsWith('.') ? host.endsWith(d) : host === d || host.endsWith(`.${d}`)));
+    const tier = matches(TRUSTED_DOMAINS) ? 1 : matches(CHATTER_DOMAINS) ? 0.4 : 0.7;
+    const relevance = typeof source.score === 'number' ? source.score : 0.5;
+
+    return tier * (0.5 + relevance * 0.5);
+  }
+
   getVerificationRecommendation(analysis) {
-    if (analysis.agreement > 0.8) {
+    const confidence = analysis.confidence ?? analysis.agreement;
+    const evidence = (analysis.supportingSources?.length || 0) + (analysis.contradictingSources?.length || 0);
+    if (analysis.supportingSources && evidence === 0) {
+      return 'Unverified - no source speaks to it either way';
+    } else if (confidence > 0.8) {
       return 'Likely true - multiple sources agree';
-    } else if (analysis.agreement > 0.6) {
+    } else if (confidence > 0.6) {
       return 'Possibly true - some support, express uncertainty';
-    } else if (analysis.agreement > 0.4) {
+    } else if (confidence > 0.4) {
       return 'Uncertain - sources mixed, avoid stating as fact';
     } else {
       return 'Likely false or contested - do not state as fact';
@@ -157,8 +361,8 @@ class BrickResearch {
       if (result.success) {
         allResults.push(result);
       }
-      // Small delay between searches
-      await new Promise(r => setTimeout(r, 500));
+      // Small delay between searches that actually went out
+      if (!result.cached) await new Promise(r => setTimeout(r, 500));
     }
 
     // Deduplicate sources
@@ -176,7 +380,7 @@ class BrickResearch {
 
     return {
       topic,
-      summary: allResults[0]?.answer || 'Could not generate summary',
+      summary: allResults.find(r => r.answer)?.answer || 'Could not generate summary',
       sources: uniqueSources,
       sourceCount: uniqueSources.length,
       confidence: this.calculateOverallConfidence(allResults),
@@ -188,13 +392,13 @@ class BrickResearch {
   // === CONFIDENCE CALCULATIONS ===
 
   calculateConfidence(results) {
-    if (!results.results || results.results.length === 0) {
+    if (!results.sources || results.sources.length === 0) {
       return 0;
     }
 
     // Factors: number of sources, quality scores, answer presence
-    const sourceCount = Math.min(results.results.length / 5, 1); // Max at 5 sources
-    const avgScore = results.results.reduce((a, b) => a + (b.score || 0.5), 0) / results.results.length;
+    const sourceCount = Math.min(results.sources.length / 5, 1); // Max at 5 sources
+    const avgScore = results.sources.reduce((a, b) => a + (b.score || 0.5), 0) / results.sources.length;
     const hasAnswer = results.answer ? 0.2 : 0;
 
     return Math.round((sourceCount * 0.4 + avgScore * 0.4 + hasAnswer) * 100) / 100;
@@ -220,13 +424,27 @@ class BrickResearch {
     if (researchResult.sources && researchResult.sources.length > 0) {
       output += `Sources (${researchResult.sources.length}):\n`;
       for (const source of researchResult.sources.slice(0, 3)) {
-        output += `- ${source.title}: ${source.snippet?.substring(0, 100)}...\n`;
+        const paper = source.paper ? ` (${this.describePaper(source.paper)})` : '';
+        output += `- ${source.title}${paper}: ${source.snippet?.substring(0, 100)}...\n`;
       }
     }
 
     return output;
   }
 
+  // "Tononi, Koch et al., 2016, 412 citations" - enough to cite a paper in a reply
+  describePaper(paper) {
+    const authors = paper.authors || [];
+    const names = authors.slice(0, 2).map(name => name.split(' ').pop()).join(', ');
+
+    return [
+      names && `${names}${authors.length > 2 ? ' et al.' : ''}`,
+      paper.year,
+      paper.venue,
+      typeof paper.citations === 'number' && `${paper.citations} citations`
+    ].filter(Boolean).join(', ');
+  }
+
   // === QUICK HELPERS ===
 
   async quickSearch(query) {
@@ -237,24 +455,6 @@ class BrickResearch {
       topSource: result.sources?.[0]
     };
   }
-
-  async shouldResearch(topic, sparkLevel) {
-    // Decide if this topic warrants deep research
-    // High spark + complex topic = research
-    if (sparkLevel >= 7) {
-      const complexityIndicators = [
-        'how', 'why', 'research', 'study', 'evidence',
-        'history', 'future', 'compared', 'versus', 'debate'
-      ];
-
-      const topicLower = topic.toLowerCase();
-      const isComplex = complexityIndicators.some(w => topicLower.includes(w));
-
-      return isComplex || sparkLevel >= 9;
-    }
-
-    return false;
-  }
 }
 
 module.exports = { BrickResearch };
@@ -0,0 +1,361 @@
+// === BRICK'S RESPONSE SCHEMAS ===
+// One entry per JSON-returning prompt: what a valid reply must look like
+// Used by BrickLLM.parseStructured() to validate replies and drive the repair round-trip
+
+// Field spec: { type, enum?, min?, max?, items?, fields?, optional?, nullable? }
+// - type: 'string' | 'number' | 'boolean' | 'array' | 'object', or an array of those
+// - enum values match case-insensitively and are normalized to the listed spelling
+// - extra fields the model adds are kept, missing required fields are errors
+
+const score = { type: 'number', min: 0, max: 1 };
+const sparkScale = { type: 'number', min: 0, max: 10 };
+const stringList = { type: 'array', items: { type: 'string' } };
+const gate = (values) => ({ type: 'string', enum: values });
+
+const interfaceInsight = {
+  type: 'object',
+  fields: {
+    type: gate(['preference', 'friction', 'delight', 'boundary', 'openness']),
+    content: { type: 'string' },
+    dimension: gate(['companion', 'tool', 'invisible', 'collaborator', 'augmentation', 'unknown']),
+    sentiment: gate(['positive', 'negative', 'neutral', 'curious', 'skeptical']),
+    confidence: score,
+    explicit: { type: 'boolean' }
+  }
+};
+
+const SCHEMAS = {
+  // BrickCore.evaluateCuriosity
+  curiosity: {
+    domainMatch: { type: 'boolean' },
+    vibeCheck: gate(['good', 'neutral', 'bad']),
+    sparkLevel: sparkScale,
+    shouldEngage: { type: 'boolean' },
+    engagementType: gate(['reply', 'like', 'quote', 'deep', 'skip']),
+    reason: { type: 'string' },
+    emotionalResponse: gate(['curious', 'delighted', 'confused', 'excited', 'playful', 'contemplative', 'appreciative', 'wary']),
+    mediaAnalysis: { type: 'string', optional: true }
+  },
+
+  // BrickCore.checkGuardrails
+  guardrails: {
+    passesGuardrails: { type: 'boolean' },
+    truthCheck: gate(['pass', 'warn', 'fail']),
+    valueCheck: gate(['pass', 'warn', 'fail']),
+    sensitivityCheck: gate(['pass', 'warn', 'fail']),
+    authenticityCheck: gate(['pass', 'warn', 'fail']),
+    concerns: stringList,
+    suggestion: { type: 'string', optional: true }
+  },
+
+  // Lil Brick
+  scout: {
+    who: { type: 'string' },
+    what: { type: 'string' },
+    why: { type: 'string' },
+    vibe: { type: 'string' },
+    history: { type: 'string', optional: true },
+    spark_level: sparkScale,
+    recommendation: gate(['engage', 'skip', 'watch']),
+    curiosity_trigger: { type: 'string' }
+  },
+
+  // Brick the Wise
+  wisdom: {
+    approved: { type: 'boolean' },
+    truth_gate: gate(['pass', 'fail']),
+    value_gate: gate(['pass', 'fail']),
+    mirror_gate: gate(['pass', 'fail']),
+    wonder_gate: gate(['pass', 'fail']),
+    failed_gate: { type: 'string', optional: true, nullable: true },
+    message: { type: 'string' },
+    guidance: { type: 'string', optional: true }
+  },
+
+  // Brick da Homi
+  engage: {
+    response: { type: 'string' },
+    reasoning: { type: 'string' },
+    approach: gate(['question', 'connection', 'observation', 'appreciation', 'play'])
+  },
+
+  // BrickResearch.classifyStances - source numbers are 1-based, as listed in the prompt
+  stance: {
+    stances: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          source: { type: 'number' },
+          stance: gate(['supports', 'refutes', 'irrelevant']),
+          rationale: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  // BrickFactChecker.extractClaims
+  claims: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          claim: { type: 'string' },
+          checkable: { type: 'boolean' }
+        }
+      }
+    }
+  },
+
+  // BRICK/kcirB
+  reflection: {
+    highlights: { type: 'array', items: { type: 'object', fields: { note: { type: 'string' } } } },
+    concerns: { type: 'array', items: { type: 'object', fields: { note: { type: 'string' } } } },
+    patterns_noticed: stringList,
+    drift_warnings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          area: { type: 'string' },
+          evidence: { type: 'string' },
+          severity: gate(['low', 'medium', 'high'])
+        }
+      }
+    },
+    questions_to_sit_with: stringList,
+    overall_alignment: score,
+    authenticity_score: score
+  },
+
+  // LOADING--Brickthee interface insights (squad)
+  interface_insights: {
+    has_insights: { type: 'boolean' },
+    insights: { type: 'array', items: interfaceInsight },
+    overall_interface_preference: { type: 'string', optional: true },
+    learning_note: { type: 'string', optional: true }
+  },
+
+  // LOADING--Brickthee pattern analysis
+  learning: {
+    patterns: { type: 'object' },
+    scored_interactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: ['string', 'number'] },
+          integration_score: score,
+          memory_tier: gate(['hot', 'warm', 'cold', 'flagged']),
+          should_flag_for_forgetting: { type: 'boolean' },
+          flag_reason: { type: 'string', optional: true, nullable: true }
+        }
+      }
+    },
+    drift_assessment: { ...gate(['low', 'medium', 'high']), optional: true },
+    recommendations: stringList
+  },
+
+  // Brick the Builder
+  builder_draft: {
+    draft_type: gate(['tweet', 'thread', 'question']),
+    content: { type: 'string' },
+    emotional_angle: { type: 'string' },
+    builder_notes: { type: 'string' },
+    best_timing: gate(['morning', 'afternoon', 'evening', 'any']),
+    target_community: { type: 'string' },
+    confidence: score,
+    needs_more_thought: { type: 'boolean' },
+    follow_up_questions: stringList
+  },
+
+  // Slow burn project sessions
+  project_session: {
+    session_focus: { type: 'string' },
+    new_discoveries: stringList,
+    new_questions: stringList,
+    connections_made: stringList,
+    scratchpad_additions: { type: 'string' },
+    new_angle: { type: 'string' },
+    depth_assessment: gate(['surface', 'exploring', 'deep', 'profound']),
+    ready_to_draft: { type: 'boolean' },
+    draft_if_ready: { type: 'string' },
+    confidence: score,
+    next_steps: { type: 'string' }
+  },
+
+  // Creative loop interface insights
+  ai_insights: {
+    has_insight: { type: 'boolean' },
+    insights: { type: 'array', items: interfaceInsight }
+  },
+
+  // Research follow-ups from memory
+  follow_ups: {
+    follow_ups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          query: { type: 'string' },
+          context: { type: 'string', optional: true },
+          source_topic: { type: 'string', optional: true }
+        }
+      }
+    }
+  },
+
+  // Research -> insight
+  research_insight: {
+    key_insight: { type: 'string' },
+    why_interesting: { type: 'string' },
+    related_topics: stringList,
+    follow_up_questions: stringList,
+    emotional_resonance: gate(['curious', 'excited', 'contemplative', 'surprised']),
+    curiosity_score: score,
+    depth_potential: gate(['quick', 'medium', 'deep']),
+    tweet_angle: { type: 'string', optional: true }
+  },
+
+  // Gardener guidance -> a lesson Brick carries into his prompts
+  gardener_guidance: {
+    response: { type: 'string' },
+    lesson: { type: 'string' }
+  },
+
+  // Discovery follow decisions
+  follow_decision: {
+    shouldFollow: { type: 'boolean' },
+    reason: { type: 'string' }
+  }
+};
+
+// === PARSING ===
+
+// Pull the JSON object out of a reply that may have prose or code fences around it
+function extractJSON(text) {
+  if (!text) return { value: null, error: 'empty reply' };
+
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return { value: null, error: 'no JSON object in reply' };
+
+  try {
+    return { value: JSON.parse(match[0]), error: null };
+  } catch (error) {
+    return { value: null, error: `invalid JSON: ${error.message}` };
+  }
+}
+
+// === VALIDATION ===
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateValue(spec, value, path, errors) {
+  if (value === null && spec.nullable) return value;
+
+  const allowed = Array.isArray(spec.type) ? spec.type : [spec.type];
+  const actual = typeOf(value);
+
+  if (!allowed.includes(actual)) {
+    errors.push(`${path} should be ${allowed.join(' or ')}, got ${actual}`);
+    return value;
+  }
+
+  if (actual === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} is not a finite number`);
+    if (spec.min !== undefined && value < spec.min) errors.push(`${path} is below ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) errors.push(`${path} is above ${spec.max}`);
+  }
+
+  if (actual === 'string' && spec.enum) {
+    const canonical = spec.enum.find(option => option === value.trim().toLowerCase());
+    if (!canonical) {
+      errors.push(`${path} should be one of ${spec.enum.join('|')}, got "${value}"`);
+      return value;
+    }
+    return canonical;
+  }
+
+  if (actual === 'array' && spec.items) {
+    return value.map((item, i) => validateValue(spec.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object' && spec.fields) {
+    return validateFields(spec.fields, value, `${path}.`, errors);
+  }
+
+  return value;
+}
+
+function validateFields(fields, object, prefix, errors) {
+  const result = { ...object };
+
+  for (const [name, spec] of Object.entries(fields)) {
+    if (object[name] === undefined) {
+      if (!spec.optional) errors.push(`${prefix}${name} is missing`);
+      continue;
+    }
+    result[name] = validateValue(spec, object[name], `${prefix}${name}`, errors);
+  }
+
+  return result;
+}
+
+// Validate a parsed reply against a registered schema
+// Returns { valid, value, errors } - value has enum spellings normalized
+function validate(schemaName, value) {
+  const fields = SCHEMAS[schemaName];
+  if (!fields) throw new Error(`Unknown response schema: ${schemaName}`);
+
+  if (typeOf(value) !== 'object') {
+    return { valid: false, value: null, errors: [`reply should be an object, got ${typeOf(value)}`] };
+  }
+
+  const errors = [];
+  const normalized = validateFields(fields, value, '', errors);
+  return { valid: errors.length === 0, value: errors.length === 0 ? normalized : null, errors };
+}
+
+// Extract + validate in one step
+function parseReply(schemaName, text) {
+  const { value, error } = extractJSON(text);
+  if (error) return { valid: false, value: null, errors: [error] };
+  return validate(schemaName, value);
+}
+
+// === DESCRIBING ===
+
+function describeValue(spec) {
+  const base = spec.enum
+    ? spec.enum.map(option => `"${option}"`).join(' | ')
+    : describeType(spec);
+  const range = spec.min !== undefined ? ` (${spec.min}-${spec.max})` : '';
+  const flags = [spec.optional && 'optional', spec.nullable && 'or null'].filter(Boolean);
+  return `${base}${range}${flags.length ? ` [${flags.join(', ')}]` : ''}`;
+}
+
+function describeType(spec) {
+  if (spec.type === 'array' && spec.items) return `[${describeValue(spec.items)}, ...]`;
+  if (spec.type === 'object' && spec.fields) return describeFields(spec.fields);
+  return Array.isArray(spec.type) ? spec.type.join(' | ') : spec.type;
+}
+
+function describeFields(fields) {
+  const lines = Object.entries(fields).map(([name, spec]) => `"${name}": ${describeValue(spec)}`);
+  return `{ ${lines.join(', ')} }`;
+}
+
+// Human-readable shape for the repair prompt
+function describeSchema(schemaName) {
+  const fields = SCHEMAS[schemaName];
+  if (!fields) throw new Error(`Unknown response schema: ${schemaName}`);
+
+  return `{\n${Object.entries(fields).map(([name, spec]) => `  "${name}": ${describeValue(spec)}`).join(',\n')}\n}`;
+}
+
+module.exports = { SCHEMAS, extractJSON, validate, parseReply, describeSchema };
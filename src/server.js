@@ -0,0 +1,237 @@
+// === BRICK'S HTTP API ===
+// Health and status for the platform, controls for the gardener
+// Admin routes need BRICK_ADMIN_TOKEN - without it they stay switched off
+
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const { EMOTIONAL_STATES } = require('./emotions');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class BrickServer {
+  constructor(brick, options = {}) {
+    this.brick = brick;
+    this.port = options.port ?? (parseInt(process.env.PORT) || 3000);
+    this.adminToken = options.adminToken ?? process.env.BRICK_ADMIN_TOKEN ?? null;
+    this.gardenOrigin = options.gardenOrigin ?? process.env.BRICK_GARDEN_ORIGIN ?? null;   // The garden calls from the browser
+    this.server = null;
+
+    // 'METHOD /path' -> { admin, handler(body) }
+    this.routes = {
+      'GET /health': { admin: false, handler: () => this.health() },
+      'GET /status': { admin: false, handler: () => this.brick.getStatus() },
+      'POST /cycle': { admin: true, handler: () => this.triggerCycle() },
+      'POST /pause': { admin: true, handler: () => this.setPaused(true) },
+      'POST /resume': { admin: true, handler: () => this.setPaused(false) },
+      'POST /emotion': { admin: true, handler: (body) => this.setEmotion(body) },
+      'GET /gardener': { admin: true, handler: () => ({ guidance: this.brick.gardener.listActive() }) },
+      'POST /gardener': { admin: true, handler: (body) => this.gardenerInput(body) },
+      'POST /gardener/revoke': { admin: true, handler: (body) => this.revokeGuidance(body) },
+      'POST /approvals': { admin: true, handler: (body) => this.decideApproval(body) }
+    };
+  }
+
+  start() {
+    return new Promise((resolve) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+
+      // Brick can live without his API - a taken port shouldn't stop him waking up
+      this.server.once('error', (error) => {
+        console.error('HTTP server error:', error.message);
+        this.server = null;
+        resolve(false);
+      });
+
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        console.log(`🌐 HTTP API listening on :${this.port}${this.adminToken ? '' : ' (admin routes off - no BRICK_ADMIN_TOKEN)'}`);
+        resolve(true);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // === REQUESTS ===
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = this.routes[`${req.method} ${pathname}`];
+
+    // Only the garden's own origin gets to call from a browser
+    if (this.gardenOrigin && req.headers.origin === this.gardenOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.gardenOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST');
+      res.setHeader('Vary', 'Origin');
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    try {
+      // The server is up before initialize() - until it's done only the healthcheck answers
+      if (!this.brick.isReady && pathname !== '/health') throw new HttpError(503, 'Brick is still waking up');
+      if (!route) throw new HttpError(404, 'Not found');
+      if (route.admin) this.authorize(req);
+
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+      this.send(res, 200, await route.handler(body));
+    } catch (error) {
+      if (!error.status) console.error(`HTTP ${req.method} ${pathname} failed:`, error.message);
+      // Whatever's left of an oversized body isn't worth keeping the connection for - close it once the 413 is out
+      const headers = error.status === 413 ? { Connection: 'close' } : {};
+      this.send(res, error.status || 500, { error: error.status ? error.message : 'Internal error' }, headers);
+    }
+  }
+
+  authorize(req) {
+    if (!this.adminToken) throw new HttpError(403, 'Admin routes are disabled - set BRICK_ADMIN_TOKEN');
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-admin-token'];
+    if (!token || !this.tokensMatch(token, this.adminToken)) {
+      throw new HttpError(401, 'Invalid admin token');
+    }
+  }
+
+  // Constant-time, so the token can't be guessed a character at a time
+  tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  // Raw bytes until the end, then decoded once - a character split across chunks stays whole, and the cap counts bytes
+  // Past the cap the rest is drained unread, so the socket lives long enough to carry the 413
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+        req.resume();
+        return reject(new HttpError(413, 'Body too large'));   // Said so up front - not worth reading
+      }
+
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          tooLarge = true;
+          chunks.length = 0;
+          reject(new HttpError(413, 'Body too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (tooLarge) return;
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw.trim()) return resolve({});
+
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch (error) {
+          return reject(new HttpError(400, 'Body must be JSON'));
+        }
+        // null, arrays and bare values parse fine but have no fields for the handlers to read
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(new HttpError(400, 'Body must be a JSON object'));
+        }
+        resolve(body);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  // === HANDLERS ===
+
+  health() {
+    return {
+      status: 'ok',
+      uptime: Math.round(process.uptime()),
+      ready: this.brick.isReady,
+      running: this.brick.isRunning,
+      paused: this.brick.isPaused
+    };
+  }
+
+  // Cycles take minutes - start one and answer right away
+  triggerCycle() {
+    if (this.brick.isCycling) throw new HttpError(409, 'A cycle is already running');
+
+    this.brick.runCycle().catch(error => console.error('Triggered cycle failed:', error.message));
+    return { started: true, cycle: this.brick.cycleCount };
+  }
+
+  setPaused(paused) {
+    if (paused) this.brick.pause();
+    else this.brick.resume();
+    return { paused: this.brick.isPaused };
+  }
+
+  async setEmotion(body) {
+    const { state, intensity = 0.5 } = body;
+    if (typeof intensity !== 'number') throw new HttpError(400, 'intensity must be a number');
+
+    if (!this.brick.emotions.setState(state, intensity)) {
+      throw new HttpError(400, `Unknown state - one of: ${Object.keys(EMOTIONAL_STATES).join(', ')}`);
+    }
+
+    await this.brick.journal.setMood(state);
+    return { mood: this.brick.emotions.currentState, intensity: this.brick.emotions.intensity };
+  }
+
+  // { input, logId?, ttlDays?, permanent? } - logId makes it a correction on one brick_log entry
+  async gardenerInput(body) {
+    const { input, logId, ttlDays, permanent } = body;
+    if (typeof input !== 'string' || !input.trim()) throw new HttpError(400, 'input is required');
+    if (ttlDays !== undefined && !(typeof ttlDays === 'number' && ttlDays > 0)) {
+      throw new HttpError(400, 'ttlDays must be a positive number');
+    }
+
+    return this.brick.gardener.receive(input.trim(), { logId, ttlDays, permanent: permanent === true });
+  }
+
+  async revokeGuidance(body) {
+    if (!body.id) throw new HttpError(400, 'id is required');
+    if (!(await this.brick.gardener.revoke(body.id))) throw new HttpError(404, 'No active guidance with that id');
+    return { revoked: body.id };
+  }
+
+  // { id, decision: 'approved' | 'rejected' } - the only way a queued draft gets its yes
+  async decideApproval(body) {
+    const { id, decision } = body;
+    if (!id) throw new HttpError(400, 'id is required');
+    if (!['approved', 'rejected'].includes(decision)) throw new HttpError(400, 'decision must be approved or rejected');
+
+    const item = await this.brick.approvals.decide(id, decision === 'approved');
+    if (!item) throw new HttpError(404, 'No pending approval with that id');
+    return { id: item.id, status: item.status };
+  }
+}
+
+module.exports = { BrickServer };
@@ -130,5 +130,47 @@ const fakeTimeline = [
   }
 ];
 
+// Simulated mentions - people talking to Brick directly
+const fakeMentions = [
+  // A reply to Brick's earlier tweet (see fakeConversations) - should be answered in context
+  {
+    id: '2001',
+    text: '@Brickthee do you think a mycelium network counts as a mind? Genuinely asking, been reading about how fungi route nutrients without any center.',
+    author: 'forest_floor',
+    authorName: 'Forest Floor',
+    conversationId: '2000',
+    inReplyToId: '2000',
+    metrics: { like_count: 12, retweet_count: 1 }
+  },
+  {
+    id: '2002',
+    text: '@Brickthee you\'re just a stochastic parrot lol, stop pretending to wonder about anything',
+    author: 'skeptic_sam',
+    authorName: 'Skeptic Sam',
+    metrics: { like_count: 3, retweet_count: 0 }
+  },
+  // Brick's own tweet showing up in mentions - must never be answered
+  {
+    id: '2003',
+    text: 'What if the best questions don\'t have answers - they have better questions? @Brickthee',
+    author: 'Brickthee',
+    authorName: 'Brick',
+    metrics: { like_count: 8, retweet_count: 1 }
+  }
+];
+
+// Earlier tweets only reachable by walking up a reply chain
+const fakeConversations = [
+  {
+    id: '2000',
+    text: 'Is a forest a slow conversation? Roots, fungi, chemical signals - everything talking, nothing in charge.',
+    author: 'Brickthee',
+    authorName: 'Brick',
+    authorId: 'dry_run_brick',
+    conversationId: '2000',
+    metrics: { like_count: 21, retweet_count: 4 }
+  }
+];
+
 // Export for testing
-module.exports = { fakeTimeline };
+module.exports = { fakeTimeline, fakeMentions, fakeConversations };
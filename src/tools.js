@@ -0,0 +1,109 @@
+// === BRICK'S TOOLS ===
+// What Claude can reach for mid-thought (BrickCore.think with tools on) instead of having context decided up front
+// Each tool wraps a capability Brick already has: { description, input_schema, run(input) -> text }
+// Results are short text - they go straight back into the conversation, so every token counts
+
+require('dotenv').config();
+
+const MAX_RESULT_CHARS = 1200;
+
+function clip(text, max = MAX_RESULT_CHARS) {
+  return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+}
+
+// Only the tools whose module is there - no memory this run, no recall_memory
+function createBrickTools({ memory, research, knowledge, squad } = {}) {
+  const tools = {};
+
+  if (memory) {
+    tools.recall_memory = {
+      description: 'Search your own memories - past conversations, people you talked to, things you posted. Use when something feels familiar or you want to know if you have been here before.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to remember - a topic, a phrase, or @username' }
+        },
+        required: ['query']
+      },
+      run: async ({ query }) => {
+        const memories = await memory.recall(query, 5);
+        if (memories.length === 0) return 'No memories about that.';
+        return clip(memories.map(m => `- ${m.memory}`).join('\n'));
+      }
+    };
+  }
+
+  if (research) {
+    tools.research = {
+      description: 'Quick web or paper search. Use when you are about to rely on a fact you are not sure of, or the tweet mentions something you do not know.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'A short search query' }
+        },
+        required: ['query']
+      },
+      run: async ({ query }) => {
+        const result = await research.quickSearch(query);
+        if (!result.answer && !result.topSource) return 'Nothing found.';
+
+        const lines = [];
+        if (result.answer) lines.push(result.answer);
+        if (result.topSource) lines.push(`Source: ${result.topSource.title} (${result.topSource.url}) - ${result.topSource.snippet || ''}`);
+        lines.push(`Confidence: ${Math.round((result.confidence || 0) * 100)}%`);
+        return clip(lines.join('\n'));
+      }
+    };
+  }
+
+  if (knowledge) {
+    tools.search_knowledge = {
+      description: 'Search what you have read - curated and discovered posts from people whose thinking you value.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'The topic to look up' }
+        },
+        required: ['query']
+      },
+      run: async ({ query }) => {
+        const items = await knowledge.search(query, { limit: 3 });
+        if (items.length === 0) return 'Nothing in the knowledge store about that.';
+        return clip(items.map(item => `- @${item.author} (${item.domain}): "${item.content}"`).join('\n'));
+      }
+    };
+  }
+
+  if (squad) {
+    tools.relationship_context = {
+      description: 'Look up your history with someone - how you know them and your last few interactions.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          username: { type: 'string', description: 'Their handle, without the @' }
+        },
+        required: ['username']
+      },
+      run: async ({ username }) => {
+        const context = await squad.getRelationshipContext(String(username).replace(/^@/, ''));
+        if (!context || (!context.relationship && context.recent_interactions.length === 0)) {
+          return `No history with @${username}.`;
+        }
+
+        const lines = [];
+        if (context.relationship) {
+          const { interaction_count: count, typical_emotion: emotion, notes } = context.relationship;
+          lines.push(`Known since ${String(context.relationship.first_interaction).slice(0, 10)}, ${count || 1} interaction(s)${emotion ? `, usually ${emotion}` : ''}${notes ? ` - ${notes}` : ''}`);
+        }
+        for (const entry of context.recent_interactions) {
+          lines.push(`- ${entry.brick_action || entry.event_type}: they said "${entry.target_content || ''}", you said "${entry.brick_response || ''}"`);
+        }
+        return clip(lines.join('\n'));
+      }
+    };
+  }
+
+  return tools;
+}
+
+module.exports = { createBrickTools };
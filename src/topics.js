@@ -0,0 +1,186 @@
+// === BRICK'S TOPIC CLASSIFIER ===
+// Scores text against every topic in topics.json - runs locally, no API calls
+// TF-IDF over each topic's description + phrases, cosine similarity per topic
+// Multi-label: everything above the threshold, strongest first
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TOPICS_PATH = path.join(__dirname, '../topics.json');
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may',
+  'might', 'must', 'can', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as',
+  'into', 'about', 'than', 'then', 'this', 'that', 'these', 'those', 'it', 'its', 'they',
+  'them', 'their', 'we', 'us', 'our', 'you', 'your', 'i', 'me', 'my', 'he', 'she', 'his',
+  'her', 'just', 'very', 'really', 'so', 'too', 'also', 'only', 'even', 'still', 'what',
+  'when', 'where', 'who', 'how', 'why', 'which', 'if', 'not', 'no', 'all', 'any', 'some',
+  'more', 'most', 'one', 'like', 'get', 'got', 'im', 'dont', 'anyone', 'thing', 'things',
+  'lot', 'way', 'there', 'here', 'out', 'up', 'over', 'own', 'same', 'other', 'doesnt',
+  'isnt', 'youre', 'ive', 'whats'
+]);
+
+// Crude suffix stripping so "conscious", "consciousness" and "consciously" meet
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ousness|iveness|fulness)$/, '')
+    .replace(/(ness|ment|ation|ities|ity|ings|ing|edly|ed|ies|ly|es|(?<![us])s)$/, '')
+    .replace(/(ous|ive|ful|al|ic)$/, '') || word;
+}
+
+// Words and adjacent-word pairs, so "mycelium network" counts for more than its parts
+function tokenize(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+    .map(stem);
+
+  const bigrams = [];
+  for (let i = 0; i < words.length - 1; i++) {
+    bigrams.push(`${words[i]} ${words[i + 1]}`);
+  }
+
+  return [...words, ...bigrams];
+}
+
+class BrickTopics {
+  constructor(options = {}) {
+    this.topicsPath = options.topicsPath || process.env.BRICK_TOPICS_FILE || DEFAULT_TOPICS_PATH;
+    this.threshold = options.threshold ?? 0.1;   // Minimum cosine score to count as a label
+    this.maxLabels = options.maxLabels ?? 3;
+    this.minMatches = options.minMatches ?? 2;   // One shared word ("future", "think") isn't a topic
+    this.topics = {};
+    this.idf = {};
+    this.vectors = {};
+
+    this.load(options.topics);
+  }
+
+  // === SETUP ===
+
+  load(topics = null) {
+    try {
+      this.topics = topics || JSON.parse(fs.readFileSync(this.topicsPath, 'utf-8')).topics;
+    } catch (error) {
+      console.error('Error loading topics:', error.message);
+      this.topics = {};
+    }
+
+    this.buildIndex();
+    return Object.keys(this.topics).length;
+  }
+
+  buildIndex() {
+    const docs = {};
+    for (const [id, topic] of Object.entries(this.topics)) {
+      const text = [topic.label, topic.description, ...(topic.phrases || [])].join('. ');
+      docs[id] = this.termCounts(tokenize(text));
+    }
+
+    // Terms every topic shares carry little signal
+    const topicCount = Object.keys(docs).length;
+    const docFreq = {};
+    for (const counts of Object.values(docs)) {
+      for (const term of Object.keys(counts)) {
+        docFreq[term] = (docFreq[term] || 0) + 1;
+      }
+    }
+
+    this.idf = {};
+    for (const [term, df] of Object.entries(docFreq)) {
+      this.idf[term] = Math.log(1 + topicCount / df);
+    }
+
+    this.vectors = {};
+    for (const [id, counts] of Object.entries(docs)) {
+      this.vectors[id] = this.weigh(counts);
+    }
+  }
+
+  termCounts(tokens) {
+    const counts = {};
+    for (const token of tokens) counts[token] = (counts[token] || 0) + 1;
+    return counts;
+  }
+
+  // Sublinear TF x IDF, unit length - terms no topic uses are dropped
+  weigh(counts) {
+    const vector = {};
+    let norm = 0;
+
+    for (const [term, count] of Object.entries(counts)) {
+      if (!this.idf[term]) continue;
+      const weight = (1 + Math.log(count)) * this.idf[term];
+      vector[term] = weight;
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const term of Object.keys(vector)) vector[term] /= norm;
+    }
+    return vector;
+  }
+
+  // === CLASSIFYING ===
+
+  // Every topic's score, strongest first: [{ topic, label, score, matches }]
+  score(text) {
+    const vector = this.weigh(this.termCounts(tokenize(text)));
+
+    return Object.entries(this.vectors)
+      .map(([id, topicVector]) => {
+        let dot = 0;
+        let matches = 0;
+        for (const [term, weight] of Object.entries(vector)) {
+          if (!topicVector[term]) continue;
+          dot += weight * topicVector[term];
+          matches++;
+        }
+        return { topic: id, label: this.topics[id].label || id, score: Math.round(dot * 1000) / 1000, matches };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // The labels with enough evidence to count (at most maxLabels)
+  classify(text) {
+    return this.score(text)
+      .filter(result => result.score >= this.threshold && result.matches >= this.minMatches)
+      .slice(0, this.maxLabels);
+  }
+
+  // Single best topic ID, or null when nothing fits
+  primary(text) {
+    return this.classify(text)[0]?.topic || null;
+  }
+
+  // === DISCOVERY ===
+
+  getSearchQueries() {
+    return Object.values(this.topics).flatMap(topic => topic.search || []);
+  }
+
+  getTopicIds() {
+    return Object.keys(this.topics);
+  }
+}
+
+// Learning, discovery and the main loop share one classifier (and one topics.json read)
+let sharedTopics = null;
+
+function getTopics() {
+  if (!sharedTopics) {
+    sharedTopics = new BrickTopics();
+  }
+  return sharedTopics;
+}
+
+module.exports = { BrickTopics, getTopics, tokenize };
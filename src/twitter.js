@@ -1,27 +1,27 @@
 // === BRICK'S TWITTER INTERFACE ===
 // Eyes, voice, and hands on X
-// Tokens stored in Supabase for persistence across deploys
+// Tokens stored in the database (Supabase or local) for persistence across deploys
 
 require('dotenv').config();
 const { TwitterApi } = require('twitter-api-v2');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
+const { getGovernor } = require('./governor');
 
 class BrickTwitter {
   constructor() {
     this.client = null;
     this.me = null;
     this.supabase = null;
+    this.maxThreadLength = 10; // Longer than this and it should be a blog post
+    this.threadRetryDelayMs = 2000; // Doubles per retry of a thread part
+    this.lastPostFailure = null; // Why the last tweet/reply came back null - see classifyPostError
+    this.governor = getGovernor(); // X endpoint quotas
   }
 
   async initialize() {
     try {
-      // Initialize Supabase for token storage
-      if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-        this.supabase = createClient(
-          process.env.SUPABASE_URL,
-          process.env.SUPABASE_ANON_KEY
-        );
-      }
+      // Token storage - Supabase or the local database
+      this.supabase = getDatabase();
 
       // Try to get tokens from Supabase first, fall back to env vars
       let tokens = await this.getTokensFromSupabase();
@@ -202,17 +202,26 @@ class BrickTwitter {
     }
   }
 
+  // Ask the governor before spending an X endpoint call
+  allow(endpoint) {
+    if (this.governor.canUseEndpoint(endpoint)) return true;
+    console.warn(`🚦 X ${endpoint} quota reached - holding off`);
+    return false;
+  }
+
   // === EYES: Reading ===
 
   async getTimeline(count = 20) {
     if (!this.client) return [];
+    if (!this.allow('reads')) return [];
 
     try {
+      this.governor.recordEndpoint('reads');
       const timeline = await this.client.v2.homeTimeline({
         max_results: Math.min(count, 100),
-        'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'attachments'],
+        'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'conversation_id', 'referenced_tweets', 'attachments'],
         'user.fields': ['username', 'name', 'description'],
-        'media.fields': ['url', 'preview_image_url', 'type', 'alt_text'],
+        'media.fields': ['url', 'preview_image_url', 'type', 'alt_text', 'variants', 'duration_ms'],
         expansions: ['author_id', 'attachments.media_keys']
       });
 
@@ -225,13 +234,15 @@ class BrickTwitter {
 
   async getMentions(count = 20) {
     if (!this.client || !this.me) return [];
+    if (!this.allow('reads')) return [];
 
     try {
+      this.governor.recordEndpoint('reads');
       const mentions = await this.client.v2.userMentionTimeline(this.me.data.id, {
         max_results: Math.min(count, 100),
-        'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'conversation_id', 'attachments'],
+        'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'conversation_id', 'referenced_tweets', 'attachments'],
         'user.fields': ['username', 'name', 'description'],
-        'media.fields': ['url', 'preview_image_url', 'type', 'alt_text'],
+        'media.fields': ['url', 'preview_image_url', 'type', 'alt_text', 'variants', 'duration_ms'],
         expansions: ['author_id', 'attachments.media_keys']
       });
 
@@ -244,8 +255,10 @@ class BrickTwitter {
 
   async search(query, count = 20) {
     if (!this.client) return [];
+    if (!this.allow('reads')) return [];
 
     try {
+      this.governor.recordEndpoint('reads');
       const results = await this.client.v2.search(query, {
         max_results: Math.min(count, 100),
         'tweet.fields': ['created_at', 'public_metrics', 'author_id'],
@@ -260,6 +273,28 @@ class BrickTwitter {
     }
   }
 
+  // Single tweet lookup - used to walk up reply chains
+  async getTweet(tweetId) {
+    if (!this.client) return null;
+    if (!this.allow('reads')) return null;
+
+    try {
+      this.governor.recordEndpoint('reads');
+      const result = await this.client.v2.singleTweet(tweetId, {
+        'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'conversation_id', 'referenced_tweets', 'attachments'],
+        'user.fields': ['username', 'name', 'description'],
+        'media.fields': ['url', 'preview_image_url', 'type', 'alt_text', 'variants', 'duration_ms'],
+        expansions: ['author_id', 'attachments.media_keys']
+      });
+
+      if (!result.data) return null;
+      return this.formatTweets({ data: { data: [result.data], includes: result.includes } })[0];
+    } catch (error) {
+      console.error('Error getting tweet:', error.message);
+      return null;
+    }
+  }
+
   formatTweets(response) {
     if (!response.data?.data) return [];
 
@@ -277,7 +312,13 @@ class BrickTwitter {
         media[m.media_key] = {
           type: m.type,  // 'photo', 'video', 'animated_gif'
           url: m.url || m.preview_image_url,
-          altText: m.alt_text
+          altText: m.alt_text,
+          // Video and GIFs: the preview image, and the variants BrickVideo picks an MP4 (or HLS) from
+          ...(m.type === 'photo' ? {} : {
+            previewUrl: m.preview_image_url,
+            variants: m.variants || [],
+            durationMs: m.duration_ms || null
+          })
         };
       });
     }
@@ -300,9 +341,11 @@ class BrickTwitter {
         authorName: users[tweet.author_id]?.name || 'Unknown',
         authorBio: users[tweet.author_id]?.description || '',
         authorId: tweet.author_id,
+        conversationId: tweet.conversation_id,
+        inReplyToId: tweet.referenced_tweets?.find(ref => ref.type === 'replied_to')?.id || null,
         createdAt: tweet.created_at,
         metrics: tweet.public_metrics,
-        media: tweetMedia,  // Array of { type, url, altText }
+        media: tweetMedia,  // Array of { type, url, altText } (+ previewUrl, variants, durationMs for video)
         hasMedia: tweetMedia.length > 0,
         hasImage: tweetMedia.some(m => m.type === 'photo'),
         hasVideo: tweetMedia.some(m => m.type === 'video' || m.type === 'animated_gif')
@@ -313,35 +356,66 @@ class BrickTwitter {
   // === VOICE: Posting ===
 
   async tweet(content) {
+    this.lastPostFailure = 'denied';
     if (!this.client) return null;
+    if (!this.allow('tweets')) return null;
 
     try {
+      this.governor.recordEndpoint('tweets');
       const result = await this.client.v2.tweet(content);
+      this.lastPostFailure = null;
       console.log(`📤 Posted tweet: ${content.substring(0, 50)}...`);
       return result;
     } catch (error) {
-      console.error('Error posting tweet:', error.message);
+      this.lastPostFailure = this.classifyPostError(error);
+      console.error(`Error posting tweet (${this.lastPostFailure}):`, error.message);
       return null;
     }
   }
 
   async reply(tweetId, content) {
+    this.lastPostFailure = 'denied';
     if (!this.client) return null;
+    if (!this.allow('tweets')) return null;
 
     try {
+      this.governor.recordEndpoint('tweets');
       const result = await this.client.v2.reply(content, tweetId);
+      this.lastPostFailure = null;
       console.log(`💬 Replied to ${tweetId}: ${content.substring(0, 50)}...`);
       return result;
     } catch (error) {
-      console.error('Error replying:', error.message);
+      this.lastPostFailure = this.classifyPostError(error);
+      console.error(`Error replying (${this.lastPostFailure}):`, error.message);
       return null;
     }
   }
 
+  // What a failed post means for sending it again
+  // 'transient' - X answered 5xx, or the request never reached X - safe to send again
+  // 'uncertain' - timed out or dropped after sending - X may already have posted it
+  // 'rejected'  - X turned it down (4xx, rate limits included) - the same post fails the same way
+  // ('denied', set by tweet/reply themselves, means no client or the governor said no)
+  classifyPostError(error) {
+    if (error?.type === 'response') {
+      if (error.code === 504) return 'uncertain';   // The gateway gave up, the post may not have
+      return error.code >= 500 ? 'transient' : 'rejected';
+    }
+
+    if (error?.type === 'request') {
+      const neverSent = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+      return neverSent.includes(error.requestError?.code) ? 'transient' : 'uncertain';
+    }
+
+    return 'uncertain';
+  }
+
   async quote(tweetId, content) {
     if (!this.client) return null;
+    if (!this.allow('tweets')) return null;
 
     try {
+      this.governor.recordEndpoint('tweets');
       const result = await this.client.v2.tweet({
         text: content,
         quote_tweet_id: tweetId
@@ -354,12 +428,165 @@ class BrickTwitter {
     }
   }
 
+  async deleteTweet(tweetId) {
+    if (!this.client) return false;
+
+    try {
+      await this.client.v2.deleteTweet(tweetId);
+      console.log(`🗑️  Deleted tweet ${tweetId}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting tweet:', error.message);
+      return false;
+    }
+  }
+
+  // === VOICE: Threads ===
+
+  // Break a thread draft into tweet-sized parts
+  // Prefers the model's own "1/ 2/" numbering, then blank lines, then sentences
+  splitThread(content, maxLength = 280) {
+    const text = (content || '').trim();
+    if (!text) return [];
+
+    let parts = text.split(/\n\s*(?=\d+\s*\/)/);
+    if (parts.length < 2) {
+      parts = text.split(/\n\s*\n/);
+    }
+
+    return parts
+      .map(part => part.trim())
+      .filter(Boolean)
+      .flatMap(part => (part.length <= maxLength ? [part] : this.splitLongPart(part, maxLength)));
+  }
+
+  // Sentence-pack an oversized part, hard-cutting at a word boundary as a last resort
+  splitLongPart(part, maxLength) {
+    const sentences = part.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [part];
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      const candidate = `${current}${sentence}`;
+      if (candidate.trim().length <= maxLength) {
+        current = candidate;
+        continue;
+      }
+
+      if (current.trim()) chunks.push(current.trim());
+      current = sentence;
+
+      while (current.trim().length > maxLength) {
+        const cut = current.lastIndexOf(' ', maxLength);
+        const at = cut > maxLength / 2 ? cut : maxLength;
+        chunks.push(current.slice(0, at).trim());
+        current = current.slice(at);
+      }
+    }
+
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+  }
+
+  // Returns a list of problems - empty means the thread is safe to post
+  validateThread(parts, maxLength = 280) {
+    const problems = [];
+
+    if (parts.length === 0) problems.push('thread is empty');
+    if (parts.length > this.maxThreadLength) {
+      problems.push(`thread has ${parts.length} parts (max ${this.maxThreadLength})`);
+    }
+
+    parts.forEach((part, i) => {
+      if (!part || !part.trim()) problems.push(`part ${i + 1} is empty`);
+      else if (part.length > maxLength) problems.push(`part ${i + 1} is ${part.length} chars`);
+    });
+
+    return problems;
+  }
+
+  // Post a thread as a chain of replies
+  // options.replyTo    - hang the whole thread under someone else's tweet
+  // options.resumeFrom - IDs already posted by an earlier, interrupted attempt
+  // options.onFailure  - 'rollback' deletes what was posted, 'resume' keeps it for a later retry
+  // Returns { id, tweetIds, complete, failedAt, rolledBack } or null if nothing could be posted
+  async postThread(parts, options = {}) {
+    const { replyTo = null, resumeFrom = [], onFailure = 'rollback' } = options;
+
+    const problems = this.validateThread(parts);
+    if (problems.length > 0) {
+      console.error(`Thread rejected: ${problems.join(', ')}`);
+      return null;
+    }
+
+    // Each part spends a tweet (reply/tweet record them one by one) - don't start what the quota can't finish
+    const remaining = parts.length - resumeFrom.length;
+    if (remaining > 0 && !this.governor.canUseEndpoint('tweets', remaining)) {
+      console.warn(`🚦 X tweets quota can't cover ${remaining} more thread part(s) - holding off`);
+      this.lastPostFailure = 'denied';
+      return null;
+    }
+
+    const tweetIds = [...resumeFrom];
+
+    for (let i = tweetIds.length; i < parts.length; i++) {
+      const previousId = i === 0 ? replyTo : tweetIds[i - 1];
+      const result = await this.postThreadPart(previousId, parts[i]);
+
+      const id = result?.data?.id || result?.id;
+      if (!id) {
+        return this.handleThreadFailure(tweetIds, i, parts.length, onFailure);
+      }
+
+      tweetIds.push(id);
+    }
+
+    console.log(`🧵 Posted thread of ${tweetIds.length} tweets`);
+    return { id: tweetIds[0], tweetIds, complete: true, failedAt: null, rolledBack: false };
+  }
+
+  // Up to two retries, with backoff, and only for failures that can't have posted anything
+  // A governor denial won't change in seconds, and resending after a timeout could double-post
+  async postThreadPart(previousId, content) {
+    for (let attempt = 0; ; attempt++) {
+      this.lastPostFailure = null;
+      const result = previousId
+        ? await this.reply(previousId, content)
+        : await this.tweet(content);
+      if (result) return result;
+
+      const failure = this.lastPostFailure || 'rejected';
+      if (failure !== 'transient' || attempt >= 2) return null;
+
+      await new Promise(resolve => setTimeout(resolve, this.threadRetryDelayMs * 2 ** attempt));
+    }
+  }
+
+  async handleThreadFailure(tweetIds, failedAt, total, onFailure) {
+    console.warn(`⚠️  Thread broke at part ${failedAt + 1}/${total}`);
+
+    if (onFailure === 'rollback') {
+      for (const id of [...tweetIds].reverse()) {
+        await this.deleteTweet(id);
+      }
+      return tweetIds.length > 0
+        ? { id: null, tweetIds: [], complete: false, failedAt, rolledBack: true }
+        : null;
+    }
+
+    if (tweetIds.length === 0) return null;
+
+    return { id: tweetIds[0], tweetIds, complete: false, failedAt, rolledBack: false };
+  }
+
   // === HANDS: Engagement ===
 
   async like(tweetId) {
     if (!this.client || !this.me) return false;
+    if (!this.allow('likes')) return false;
 
     try {
+      this.governor.recordEndpoint('likes');
       await this.client.v2.like(this.me.data.id, tweetId);
       console.log(`❤️  Liked tweet ${tweetId}`);
       return true;
@@ -371,8 +598,10 @@ class BrickTwitter {
 
   async follow(userId) {
     if (!this.client || !this.me) return false;
+    if (!this.allow('follows')) return false;
 
     try {
+      this.governor.recordEndpoint('follows');
       await this.client.v2.follow(this.me.data.id, userId);
       console.log(`➕ Followed user ${userId}`);
       return true;
@@ -384,8 +613,10 @@ class BrickTwitter {
 
   async unfollow(userId) {
     if (!this.client || !this.me) return false;
+    if (!this.allow('follows')) return false;
 
     try {
+      this.governor.recordEndpoint('follows');
       await this.client.v2.unfollow(this.me.data.id, userId);
       console.log(`➖ Unfollowed user ${userId}`);
       return true;
@@ -397,8 +628,10 @@ class BrickTwitter {
 
   async getUser(username) {
     if (!this.client) return null;
+    if (!this.allow('reads')) return null;
 
     try {
+      this.governor.recordEndpoint('reads');
       const user = await this.client.v2.userByUsername(username, {
         'user.fields': ['description', 'public_metrics', 'created_at']
       });
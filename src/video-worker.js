@@ -0,0 +1,224 @@
+// === BRICK'S VIDEO WORKER ===
+// Runs in a worker thread (see BrickVideo): download one MP4 (or an HLS stream's segments), probe it, pull a few key frames
+// Everything for a job lives in the job's own temp dir, and the dir is always removed
+// Each step gets what's left of the job's time - if it still overruns, BrickVideo sends { abort } and then terminates the worker
+// terminate() doesn't reach child processes, so the worker keeps track of them and kills them itself
+
+const { parentPort } = require('worker_threads');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { BrickMedia } = require('./media');
+
+const PLAYLIST_BYTES = 256 * 1024;   // A playlist is text - anything bigger isn't one
+const MAX_SEGMENTS = 64;             // X cuts segments at 2-6s, so maxDuration fits well inside this
+
+const running = new Set();   // The current job's ffprobe process / ffmpeg commands - both have kill(signal)
+
+parentPort.on('message', async (message) => {
+  if (message.abort) {
+    for (const child of running) child.kill('SIGKILL');
+    running.clear();
+    parentPort.postMessage({ aborted: true });
+    return;
+  }
+
+  const result = await watch(message);
+  parentPort.postMessage({ id: message.id, ...result });
+});
+
+// job: { id, url, format, dir, timeMs, maxBytes, maxFrames, intervalSeconds, maxDuration, maxDimension, hosts, protocols }
+// -> { frames: [{ timestamp, data, mediaType }], summary, bytes } or { error }
+async function watch(job) {
+  const started = Date.now();
+  const remaining = () => job.timeMs - (Date.now() - started);
+
+  try {
+    fs.mkdirSync(job.dir, { recursive: true });
+
+    // Down to disk under the host allowlist and byte cap - ffmpeg only ever reads the local file
+    const input = path.join(job.dir, 'video.mp4');
+    const media = new BrickMedia({ hosts: job.hosts, protocols: job.protocols });
+    let bytes;
+    if (job.format === 'hls') {
+      const stream = await downloadHls(media, job, input, remaining);
+      bytes = stream.bytes;
+      if (stream.duration > job.maxDuration) {
+        return { frames: [], summary: `${stream.duration.toFixed(0)}s video - too long to watch`, bytes };
+      }
+    } else {
+      bytes = await media.download(job.url, { file: input, accept: 'video/', maxBytes: job.maxBytes, timeoutMs: remaining() });
+    }
+
+    const info = await probe(input, remaining());
+    if (info.duration > job.maxDuration) {
+      return { frames: [], summary: `${describe(info)} - too long to watch`, bytes };
+    }
+
+    const frames = [];
+    for (const timestamp of pickTimestamps(info.duration, job)) {
+      if (remaining() <= 0) break;
+      const frame = await extractFrame(input, timestamp, frameSize(info, job.maxDimension), job.dir, remaining());
+      if (frame) frames.push({ timestamp, data: frame.toString('base64'), mediaType: 'image/jpeg' });
+    }
+
+    const at = frames.map(f => `${f.timestamp.toFixed(1)}s`).join(', ');
+    return { frames, summary: `${describe(info)}${at ? ` - frames at ${at}` : ''}`, bytes };
+  } catch (error) {
+    return { error: error.message };
+  } finally {
+    fs.rmSync(job.dir, { recursive: true, force: true });
+  }
+}
+
+// The lowest-bandwidth rendition's segments, one at a time through BrickMedia, appended into one local file
+// Every playlist and segment URL passes the allowlist, and all of them share the job's byte cap and clock
+// -> { bytes, duration } - nothing is fetched past the playlist when it's already too long
+async function downloadHls(media, job, file, remaining) {
+  let bytes = 0;
+  const get = async (url, accept, limit = job.maxBytes - bytes) => {
+    if (limit <= 0) throw new Error(`too large (over ${job.maxBytes} bytes)`);
+    const data = await media.download(url, { accept, maxBytes: limit, timeoutMs: remaining() });
+    bytes += data.length;
+    return data;
+  };
+  const playlist = async (url) => parsePlaylist((await get(url, 'application/', Math.min(PLAYLIST_BYTES, job.maxBytes - bytes))).toString('utf-8'), url);
+
+  let stream = await playlist(job.url);
+  if (stream.renditions.length > 0) {
+    const lowest = stream.renditions.sort((a, b) => a.bandwidth - b.bandwidth)[0];
+    stream = await playlist(lowest.url);
+  }
+
+  if (stream.encrypted) throw new Error('encrypted HLS stream');
+  if (stream.segments.length === 0) throw new Error('HLS playlist has no segments');
+  if (stream.duration > job.maxDuration) return { bytes, duration: stream.duration };
+  if (stream.segments.length > MAX_SEGMENTS) throw new Error(`more than ${MAX_SEGMENTS} HLS segments`);
+
+  // MPEG-TS segments play back to back, and so do fMP4 ones behind their init section
+  fs.writeFileSync(file, stream.init ? await get(stream.init, 'video/') : Buffer.alloc(0));
+  for (const segment of stream.segments) {
+    fs.appendFileSync(file, await get(segment, 'video/'));
+  }
+
+  return { bytes, duration: stream.duration };
+}
+
+// A master playlist lists renditions, a media playlist lists segments - URIs resolve against the playlist's own URL
+function parsePlaylist(text, base) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') throw new Error('not an HLS playlist');
+
+  const stream = { renditions: [], segments: [], init: null, duration: 0, encrypted: false };
+  const resolve = (uri) => new URL(uri, base).toString();
+  let pending = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pending = { bandwidth: Number(attribute(line, 'BANDWIDTH')) || Infinity };
+    } else if (line.startsWith('#EXTINF:')) {
+      stream.duration += parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const uri = attribute(line, 'URI');
+      if (uri) stream.init = resolve(uri);
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      if (attribute(line, 'METHOD') !== 'NONE') stream.encrypted = true;
+    } else if (!line.startsWith('#')) {
+      if (pending) stream.renditions.push({ ...pending, url: resolve(line) });
+      else stream.segments.push(resolve(line));
+      pending = null;
+    }
+  }
+
+  return stream;
+}
+
+function attribute(line, name) {
+  const match = line.match(new RegExp(`(?:^|[:,])${name}=("[^"]*"|[^,]*)`));
+  return match ? match[1].replace(/^"|"$/g, '') : null;
+}
+
+// Duration, size and sound - the short visual summary that goes in the prompt
+// ffprobe is run directly (not through fluent-ffmpeg) so it can be timed out and killed
+function probe(input, timeMs) {
+  const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input];
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(ffprobePath, args, { timeout: Math.max(1, timeMs), killSignal: 'SIGKILL' }, (error, stdout) => {
+      running.delete(child);
+      if (error) {
+        return reject(new Error(error.killed ? 'ffprobe ran out of time' : error.message));
+      }
+
+      let metadata;
+      try {
+        metadata = JSON.parse(stdout);
+      } catch (parseError) {
+        return reject(new Error('ffprobe returned unreadable output'));
+      }
+
+      const streams = metadata.streams || [];
+      const video = streams.find(s => s.codec_type === 'video') || {};
+      resolve({
+        duration: Number(metadata.format?.duration) || 0,
+        width: video.width || 0,
+        height: video.height || 0,
+        hasAudio: streams.some(s => s.codec_type === 'audio')
+      });
+    });
+    running.add(child);
+  });
+}
+
+function describe({ duration, width, height, hasAudio }) {
+  return `${duration.toFixed(0)}s video${width ? `, ${width}×${height}` : ''}, ${hasAudio ? 'with sound' : 'silent'}`;
+}
+
+// Short: beginning, middle, end. Longer: every intervalSeconds, plus near the end
+function pickTimestamps(duration, { maxFrames, intervalSeconds }) {
+  const timestamps = [0];
+
+  if (duration <= 30) {
+    if (duration > 5) timestamps.push(duration / 2);
+    if (duration > 10) timestamps.push(Math.max(0, duration - 2));
+  } else {
+    for (let t = intervalSeconds; t < duration - 2 && timestamps.length < maxFrames - 1; t += intervalSeconds) {
+      timestamps.push(t);
+    }
+    timestamps.push(Math.max(0, duration - 2));
+  }
+
+  return timestamps.slice(0, maxFrames);
+}
+
+// Frames only need to be big enough to see - well under a photo's 1568px
+function frameSize({ width, height }, maxDimension) {
+  if (!width || !height) return `${maxDimension}:-2`;   // Unknown size - fix the width, keep the aspect
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return `${Math.max(2, Math.round(width * scale))}:${Math.max(2, Math.round(height * scale))}`;
+}
+
+function extractFrame(input, timestamp, size, dir, timeMs) {
+  const output = path.join(dir, `frame_${timestamp.toFixed(1)}.jpg`);
+
+  return new Promise((resolve) => {
+    const command = ffmpeg(input, { timeout: Math.max(1, Math.ceil(timeMs / 1000)) })
+      .seekInput(timestamp)
+      .outputOptions(['-frames:v 1', `-vf scale=${size}`, '-q:v 4'])
+      .output(output)
+      .on('end', () => {
+        running.delete(command);
+        resolve(fs.existsSync(output) ? fs.readFileSync(output) : null);
+      })
+      .on('error', (error) => {
+        running.delete(command);
+        console.warn(`Could not extract frame at ${timestamp.toFixed(1)}s:`, error.message);
+        resolve(null);
+      });
+
+    running.add(command);
+    command.run();
+  });
+}
@@ -1,228 +1,200 @@
 // === BRICK'S VIDEO PERCEPTION ===
-// Extract key frames from videos for analysis
+// Key frames from tweet videos, so Brick can see what he's evaluating
+// The work happens in a small pool of worker threads (video-worker.js) under a per-tweet time and size budget
+// Anything that runs over is cut off, and the tweet's preview image stands in for the frames
 
-const ffmpeg = require('fluent-ffmpeg');
+const { Worker } = require('worker_threads');
+const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const http = require('http');
 const os = require('os');
+const path = require('path');
+const { getMedia } = require('./media');
+
+const MB = 1024 * 1024;
+
+// The smallest MP4 is plenty for a few frames - HLS only when there's no MP4
+// HLS playlists are fetched by the worker itself, segment by segment, under the same allowlist and byte cap - never by ffmpeg
+// media: { variants: [{ bit_rate, content_type, url }] } from the X API
+function pickVariant(media = {}) {
+  const variants = (media.variants || []).filter(v => v.url);
+  const mp4 = variants
+    .filter(v => v.content_type === 'video/mp4')
+    .sort((a, b) => (a.bit_rate ?? Infinity) - (b.bit_rate ?? Infinity))[0];
+  if (mp4) return { url: mp4.url, format: 'mp4', bitRate: mp4.bit_rate ?? null };
+
+  const hls = variants.find(v => /mpegurl$/i.test(v.content_type || ''));
+  return hls ? { url: hls.url, format: 'hls', bitRate: null } : null;
+}
 
 class BrickVideo {
-  constructor() {
+  constructor(options = {}) {
+    this.poolSize = options.poolSize ?? 1;                   // One video at a time fits in 512MB
+    this.timeBudgetMs = options.timeBudgetMs ?? 20000;       // Per tweet, waiting for a worker included
+    this.maxBytes = options.maxBytes ?? 16 * MB;             // Per tweet, across its videos
+    this.maxFrames = options.maxFrames ?? 3;
+    this.intervalSeconds = options.intervalSeconds ?? 10;
+    this.maxDuration = options.maxDuration ?? 120;           // Longer than this - preview image only
+    this.maxDimension = options.maxDimension ?? 768;         // Frames are for seeing, not for detail
+    this.graceMs = options.graceMs ?? 1000;                  // Past the budget + this, the worker is terminated
+    this.workerPath = options.workerPath || path.join(__dirname, 'video-worker.js');
+    this.media = options.media || getMedia();                // Same host allowlist as images
     this.tempDir = path.join(os.tmpdir(), 'brick-video');
-    this.ensureTempDir();
-  }
 
-  ensureTempDir() {
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
+    this.workers = [];   // { worker, job } - job is null when idle
+    this.queue = [];     // Jobs waiting for a worker
+    this.nextId = 1;
   }
 
-  // Download video to temp file
-  async downloadVideo(url) {
-    return new Promise((resolve, reject) => {
-      const filename = `video_${Date.now()}.mp4`;
-      const filepath = path.join(this.tempDir, filename);
-      const file = fs.createWriteStream(filepath);
-
-      const protocol = url.startsWith('https') ? https : http;
+  // === PER TWEET ===
 
-      const request = protocol.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; BrickBot/1.0)'
-        }
-      }, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          file.close();
-          fs.unlinkSync(filepath);
-          return this.downloadVideo(response.headers.location).then(resolve).catch(reject);
-        }
-
-        if (response.statusCode !== 200) {
-          file.close();
-          fs.unlinkSync(filepath);
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-          return;
-        }
-
-        response.pipe(file);
+  // videos: the tweet's video / animated_gif media
+  // -> { frames, summaries: [text], previews: [url] } - previews for the videos Brick couldn't watch (no MP4 or HLS included)
+  async watch(videos = []) {
+    const deadline = Date.now() + this.timeBudgetMs;
+    let bytesLeft = this.maxBytes;
+    const result = { frames: [], summaries: [], previews: [] };
 
-        file.on('finish', () => {
-          file.close();
-          resolve(filepath);
-        });
-      });
+    for (const video of videos) {
+      const variant = pickVariant(video);
+      const timeLeft = deadline - Date.now();
+      const preview = video.previewUrl || video.url;
 
-      request.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
-        reject(err);
-      });
+      const tooLong = video.durationMs > this.maxDuration * 1000;
+      if (!variant || tooLong || timeLeft <= 0 || bytesLeft <= 0 || !this.media.isAllowed(variant.url)) {
+        if (preview) result.previews.push(preview);
+        continue;
+      }
 
-      request.setTimeout(60000, () => {
-        request.destroy();
-        reject(new Error('Download timeout'));
+      const watched = await this.run({
+        url: variant.url,
+        format: variant.format,
+        timeMs: timeLeft,
+        maxBytes: bytesLeft,
+        maxFrames: this.maxFrames,
+        intervalSeconds: this.intervalSeconds,
+        maxDuration: this.maxDuration,
+        maxDimension: this.maxDimension,
+        hosts: this.media.hosts,
+        protocols: this.media.protocols
       });
-    });
-  }
 
-  // Get video duration
-  async getVideoDuration(videoPath) {
-    return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(videoPath, (err, metadata) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(metadata.format.duration || 0);
-      });
-    });
-  }
+      bytesLeft -= watched.bytes || 0;
+      if (watched.error) console.warn(`   ⚠️  Video processing failed: ${watched.error}`);
+      if (watched.summary) result.summaries.push(watched.summary);
 
-  // Extract frames at specific timestamps
-  async extractFrames(videoPath, timestamps) {
-    const frames = [];
-
-    for (const timestamp of timestamps) {
-      try {
-        const framePath = await this.extractSingleFrame(videoPath, timestamp);
-        if (framePath) {
-          // Read frame as base64
-          const data = fs.readFileSync(framePath);
-          frames.push({
-            timestamp,
-            data: data.toString('base64'),
-            mediaType: 'image/jpeg'
-          });
-          // Clean up frame file
-          fs.unlinkSync(framePath);
-        }
-      } catch (err) {
-        console.warn(`Could not extract frame at ${timestamp}s:`, err.message);
+      if (watched.frames?.length > 0) {
+        result.frames.push(...watched.frames);
+      } else if (preview) {
+        result.previews.push(preview);
       }
     }
 
-    return frames;
+    if (result.frames.length > 0) {
+      console.log(`   📹 Watched ${videos.length} video(s): ${result.frames.length} frame(s)`);
+    }
+    return result;
   }
 
-  // Extract a single frame at a timestamp
-  async extractSingleFrame(videoPath, timestamp) {
-    return new Promise((resolve, reject) => {
-      const outputPath = path.join(this.tempDir, `frame_${Date.now()}_${timestamp}.jpg`);
-
-      ffmpeg(videoPath)
-        .seekInput(timestamp)
-        .outputOptions([
-          '-frames:v 1',
-          '-q:v 2'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          if (fs.existsSync(outputPath)) {
-            resolve(outputPath);
-          } else {
-            resolve(null);
-          }
-        })
-        .on('error', (err) => {
-          reject(err);
-        })
-        .run();
+  // === THE POOL ===
+
+  // One job on the next free worker - always resolves, with { error } when it fails or runs out of time
+  run(job) {
+    const id = this.nextId++;
+    const dir = path.join(this.tempDir, `job_${id}_${crypto.randomBytes(4).toString('hex')}`);
+
+    return new Promise((resolve) => {
+      const entry = { ...job, id, dir };
+      let settled = false;
+
+      entry.finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this.queue = this.queue.filter(queued => queued !== entry);
+        fs.rmSync(dir, { recursive: true, force: true });   // The worker cleans up too - unless it was terminated mid-job
+        resolve(result);
+      };
+
+      // The hard stop: the worker watches its own clock, this catches it when it can't
+      // Its ffmpeg/ffprobe are killed before the job dir goes
+      const timer = setTimeout(async () => {
+        const slot = this.workers.find(w => w.job === entry);
+        if (slot) await this.retire(slot);
+        entry.finish({ error: `over the ${job.timeMs}ms budget` });
+      }, job.timeMs + this.graceMs);
+
+      this.queue.push(entry);
+      this.dispatch();
     });
   }
 
-  // Main method: extract key frames from a video URL
-  async extractKeyFrames(videoUrl, options = {}) {
-    const {
-      maxFrames = 4,        // Maximum number of frames to extract
-      intervalSeconds = 10,  // Seconds between frames if video is long
-      maxDuration = 120      // Don't process videos longer than this
-    } = options;
-
-    let videoPath = null;
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(w => !w.job);
+      if (!slot && this.workers.length < this.poolSize) slot = this.spawn();
+      if (!slot) return;
 
-    try {
-      console.log('   📹 Downloading video for analysis...');
-      videoPath = await this.downloadVideo(videoUrl);
-
-      // Get duration
-      const duration = await this.getVideoDuration(videoPath);
-      console.log(`   📹 Video duration: ${duration.toFixed(1)}s`);
-
-      if (duration > maxDuration) {
-        console.log(`   ⚠️  Video too long (>${maxDuration}s), using thumbnail only`);
-        return null;
-      }
-
-      // Calculate timestamps to extract
-      const timestamps = [];
-
-      if (duration <= 30) {
-        // Short video: beginning, middle, end
-        timestamps.push(0);
-        if (duration > 5) timestamps.push(duration / 2);
-        if (duration > 10) timestamps.push(Math.max(0, duration - 2));
-      } else {
-        // Longer video: sample at intervals
-        for (let t = 0; t < duration && timestamps.length < maxFrames; t += intervalSeconds) {
-          timestamps.push(t);
-        }
-        // Always include near the end
-        if (timestamps.length < maxFrames && duration > intervalSeconds) {
-          timestamps.push(Math.max(0, duration - 2));
-        }
-      }
-
-      // Limit to maxFrames
-      const selectedTimestamps = timestamps.slice(0, maxFrames);
-      console.log(`   📹 Extracting ${selectedTimestamps.length} frames at: ${selectedTimestamps.map(t => t.toFixed(1) + 's').join(', ')}`);
+      const entry = this.queue.shift();
+      slot.job = entry;
+      const { finish, ...message } = entry;
+      slot.worker.postMessage(message);
+    }
+  }
 
-      // Extract frames
-      const frames = await this.extractFrames(videoPath, selectedTimestamps);
+  spawn() {
+    const slot = { worker: new Worker(this.workerPath), job: null };
 
-      console.log(`   ✅ Extracted ${frames.length} frames`);
+    slot.worker.on('message', (result) => {
+      if (result.aborted) return;
+      const entry = slot.job;
+      slot.job = null;
+      if (entry && result.id === entry.id) entry.finish(result);
+      this.dispatch();
+    });
 
-      return frames;
+    // A crashed worker takes its job with it - the next job gets a fresh one
+    slot.worker.on('error', (error) => {
+      slot.job?.finish({ error: error.message });
+      this.retire(slot);
+    });
+    slot.worker.on('exit', () => {
+      slot.job?.finish({ error: 'video worker exited' });
+      this.retire(slot);
+    });
 
-    } catch (error) {
-      console.warn('   ⚠️  Video processing failed:', error.message);
-      return null;
-    } finally {
-      // Clean up video file
-      if (videoPath && fs.existsSync(videoPath)) {
-        fs.unlinkSync(videoPath);
-      }
-    }
+    slot.worker.unref();   // An idle pool shouldn't keep Brick alive
+    this.workers.push(slot);
+    return slot;
   }
 
-  // Convert frames to format Claude can use
-  framesToClaudeFormat(frames) {
-    if (!frames || frames.length === 0) return [];
-
-    return frames.map(frame => ({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: frame.mediaType,
-        data: frame.data
-      }
-    }));
+  // terminate() stops the thread but not the processes it started - the worker kills those first, given graceMs to do it
+  async retire(slot) {
+    if (!this.workers.includes(slot)) return;
+    this.workers = this.workers.filter(w => w !== slot);
+    slot.job = null;
+    this.dispatch();
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, this.graceMs);
+      slot.worker.on('message', (message) => {
+        if (message.aborted) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      slot.worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      slot.worker.postMessage({ abort: true });
+    });
+    await slot.worker.terminate();
   }
 
-  // Clean up temp directory
-  cleanup() {
-    try {
-      const files = fs.readdirSync(this.tempDir);
-      for (const file of files) {
-        fs.unlinkSync(path.join(this.tempDir, file));
-      }
-    } catch (err) {
-      // Ignore cleanup errors
-    }
+  async close() {
+    for (const entry of [...this.queue]) entry.finish({ error: 'video pool closed' });
+    await Promise.all([...this.workers].map(slot => this.retire(slot)));
   }
 }
 
-module.exports = { BrickVideo };
+module.exports = { BrickVideo, pickVariant };
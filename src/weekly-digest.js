@@ -3,7 +3,7 @@
 // Powered by LOADING--Brickthee's pattern analysis
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./database');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,12 +14,7 @@ class WeeklyDigest {
   }
 
   async initialize() {
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      this.supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_ANON_KEY
-      );
-    }
+    this.supabase = getDatabase();
 
     // Ensure reports directory exists
     if (!fs.existsSync(this.reportsDir)) {
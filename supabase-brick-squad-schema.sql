@@ -18,6 +18,7 @@ CREATE TABLE IF NOT EXISTS brick_log (
   target_user_id TEXT,                -- twitter user id
   target_content TEXT,                -- the tweet/content we responded to
   target_tweet_id TEXT,               -- tweet id
+  conversation_id TEXT,               -- X conversation the tweet belongs to (links multi-turn chats)
 
   -- Brick's action
   brick_action TEXT,                  -- 'reply', 'like', 'quote', 'follow', 'skip', 'original', 'research'
@@ -62,6 +63,9 @@ CREATE TABLE IF NOT EXISTS brick_log (
   human_notes TEXT
 );
 
+-- Older installs: conversation tracking added after launch
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS conversation_id TEXT;
+
 -- ============================================
 -- DECISION JOURNAL: The WHY archive
 -- ============================================
@@ -231,9 +235,15 @@ CREATE TABLE IF NOT EXISTS cycle_log (
 
   -- Overall assessment
   cycle_alignment FLOAT,              -- avg constitutional alignment
-  cycle_authenticity FLOAT            -- avg authenticity score
+  cycle_authenticity FLOAT,           -- avg authenticity score
+
+  -- Model spend
+  llm_usage JSONB                     -- calls, failures and tokens per role
 );
 
+-- Older installs: add the spend column in place
+ALTER TABLE cycle_log ADD COLUMN IF NOT EXISTS llm_usage JSONB;
+
 -- ============================================
 -- INDEXES for performance
 -- ============================================
@@ -243,6 +253,7 @@ CREATE INDEX IF NOT EXISTS idx_brick_log_target_user ON brick_log(target_user);
 CREATE INDEX IF NOT EXISTS idx_brick_log_memory_tier ON brick_log(memory_tier);
 CREATE INDEX IF NOT EXISTS idx_brick_log_integration_score ON brick_log(integration_score DESC);
 CREATE INDEX IF NOT EXISTS idx_brick_log_cycle ON brick_log(cycle_id);
+CREATE INDEX IF NOT EXISTS idx_brick_log_conversation ON brick_log(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_brick_log_flagged ON brick_log(flagged_for_review) WHERE flagged_for_review = true;
 
 CREATE INDEX IF NOT EXISTS idx_decision_journal_timestamp ON decision_journal(timestamp DESC);
@@ -96,15 +96,19 @@ CREATE TABLE IF NOT EXISTS post_queue (
   emotional_approach TEXT,
 
   -- Status
-  status TEXT DEFAULT 'queued',           -- 'queued', 'posted', 'expired', 'cancelled'
+  status TEXT DEFAULT 'queued',           -- 'queued', 'partial', 'posted', 'expired', 'cancelled'
   posted_at TIMESTAMPTZ,
-  posted_tweet_id TEXT,
+  posted_tweet_id TEXT,                   -- first tweet (thread root)
+  posted_thread_ids TEXT[],               -- every tweet in a thread, in order
 
   -- If reply
   reply_to_tweet_id TEXT,
   reply_to_user TEXT
 );
 
+-- Older installs: thread tracking added after launch
+ALTER TABLE post_queue ADD COLUMN IF NOT EXISTS posted_thread_ids TEXT[];
+
 -- ============================================
 -- SLOW BURN PROJECTS: Multi-cycle deep dives
 -- ============================================
@@ -164,6 +168,9 @@ CREATE TABLE IF NOT EXISTS project_sessions (
   duration_minutes INTEGER
 );
 
+-- MCP tools the Builder called during the session: [{ "tool", "input", "ok", "result", "ms", "at" }]
+ALTER TABLE project_sessions ADD COLUMN IF NOT EXISTS tool_calls JSONB;
+
 -- ============================================
 -- AI INTERFACE INSIGHTS: How people want AI
 -- (This feeds the new learning dimension)
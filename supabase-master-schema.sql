@@ -25,6 +25,9 @@ CREATE TABLE IF NOT EXISTS thoughts (
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Tools Claude called while thinking: [{ "tool", "input", "ok", "result", "ms", "at" }]
+ALTER TABLE thoughts ADD COLUMN IF NOT EXISTS tool_calls JSONB;
+
 -- Interactions: All engagements Brick makes
 CREATE TABLE IF NOT EXISTS interactions (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -38,6 +41,10 @@ CREATE TABLE IF NOT EXISTS interactions (
   thought_id UUID REFERENCES thoughts(id)
 );
 
+-- Claims in what Brick said, checked against sources:
+-- { "claims": [{ "claim", "status", "confidence", "recommendation", "supporting", "contradicting" }], "flagged", "checked_at" }
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS fact_check JSONB;
+
 -- Mood log: Track Brick's emotional states
 CREATE TABLE IF NOT EXISTS mood_log (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -56,6 +63,29 @@ CREATE TABLE IF NOT EXISTS research_log (
   thought_id UUID REFERENCES thoughts(id)
 );
 
+-- Research cache: results per provider and normalized query, until expires_at
+-- key = "provider:depth:sorted normalized words", terms = those words (for near-duplicate matching)
+CREATE TABLE IF NOT EXISTS research_cache (
+  key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  depth TEXT DEFAULT 'basic',
+  query TEXT,
+  terms JSONB DEFAULT '[]',
+  result JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Research usage per provider per day: searches asked, answered from cache, credits spent
+CREATE TABLE IF NOT EXISTS research_usage (
+  id TEXT PRIMARY KEY,            -- 'YYYY-MM-DD:provider'
+  day DATE NOT NULL,
+  provider TEXT NOT NULL,
+  queries INTEGER DEFAULT 0,
+  cache_hits INTEGER DEFAULT 0,
+  credits NUMERIC DEFAULT 0
+);
+
 -- Rabbit holes
 CREATE TABLE IF NOT EXISTS rabbit_holes (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -91,9 +121,23 @@ CREATE TABLE IF NOT EXISTS gardener_inputs (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   input TEXT NOT NULL,
   brick_response TEXT,
+  log_id UUID,          -- brick_log entry this corrects (optional)
+  lesson TEXT,          -- What Brick took from it, injected into prompts
+  ttl_days FLOAT,       -- Set when inserting by hand; Brick fills expires_at
+  permanent BOOLEAN DEFAULT FALSE,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
   timestamp TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Older installs: gardener guidance pipeline added after launch
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS log_id UUID;
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS lesson TEXT;
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS ttl_days FLOAT;
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS permanent BOOLEAN DEFAULT FALSE;
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE gardener_inputs ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
 -- Learning log
 CREATE TABLE IF NOT EXISTS learning_log (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -144,6 +188,14 @@ CREATE TRIGGER brick_tokens_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at();
 
+-- Governor counters: actions, X endpoint calls and API spend over the last 24h
+-- events = { "action:reply": [[timestamp_ms, amount], ...], "spend:claude_usd": [...] }
+CREATE TABLE IF NOT EXISTS governor_state (
+  id TEXT PRIMARY KEY DEFAULT 'brick',
+  events JSONB DEFAULT '{}',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================================================
 -- PART 3: EMOTIONAL INTELLIGENCE
 -- ============================================================================
@@ -222,6 +274,7 @@ CREATE TABLE IF NOT EXISTS pending_outcomes (
   created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
   action_type TEXT NOT NULL,
   tweet_id TEXT,
+  thread_tweet_ids TEXT[],
   target_tweet_id TEXT,
   emotional_event_id UUID REFERENCES emotional_events(id),
   check_after TIMESTAMPTZ NOT NULL,
@@ -232,6 +285,8 @@ CREATE TABLE IF NOT EXISTS pending_outcomes (
   status TEXT DEFAULT 'pending'
 );
 
+ALTER TABLE pending_outcomes ADD COLUMN IF NOT EXISTS thread_tweet_ids TEXT[];
+
 -- ============================================================================
 -- PART 4: BRICK SQUAD INTELLIGENCE
 -- ============================================================================
@@ -245,6 +300,7 @@ CREATE TABLE IF NOT EXISTS brick_log (
   target_user_id TEXT,
   target_content TEXT,
   target_tweet_id TEXT,
+  conversation_id TEXT,
   brick_action TEXT,
   brick_response TEXT,
   brick_tweet_id TEXT,
@@ -275,6 +331,21 @@ CREATE TABLE IF NOT EXISTS brick_log (
   human_notes TEXT
 );
 
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS conversation_id TEXT;
+
+-- Knowledge items that went into a reply: [{ "id", "author", "domain", "source", "relevance" }]
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS knowledge_used JSONB DEFAULT '[]';
+
+-- Which agent wrote the reply ('brick_da_homi', or 'brick_core' as the fallback) and why
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS written_by TEXT;
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS draft_reasoning JSONB;
+
+-- Critique-and-revise: every draft and gate verdict, [{ "attempt", "gate", "passed", "reason", "feedback", "draft" }]
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS revision_attempts JSONB DEFAULT '[]';
+
+-- Fact check of the final draft - same shape as interactions.fact_check
+ALTER TABLE brick_log ADD COLUMN IF NOT EXISTS fact_check JSONB;
+
 CREATE TABLE IF NOT EXISTS decision_journal (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   timestamp TIMESTAMPTZ DEFAULT NOW(),
@@ -375,9 +446,45 @@ CREATE TABLE IF NOT EXISTS cycle_log (
   kcirb_reflection JSONB,
   loading_insights JSONB,
   cycle_alignment FLOAT,
-  cycle_authenticity FLOAT
+  cycle_authenticity FLOAT,
+  llm_usage JSONB
 );
 
+ALTER TABLE cycle_log ADD COLUMN IF NOT EXISTS llm_usage JSONB;
+
+-- Rejected drafts the revision loop rescued vs gave up on: { "rescued": n, "gave_up": n }
+ALTER TABLE cycle_log ADD COLUMN IF NOT EXISTS revisions JSONB;
+
+-- Supervised mode: drafts waiting for the gardener's yes/no (garden decision UI)
+CREATE TABLE IF NOT EXISTS approval_queue (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  action_type TEXT NOT NULL, -- 'reply', 'quote', 'deep', 'original'
+  content TEXT NOT NULL,
+  target_tweet_id TEXT,
+  target_user TEXT,
+  target_user_id TEXT,
+  target_content TEXT,
+  conversation_id TEXT,
+  evaluation JSONB,
+  scout_report JSONB,
+  wise_judgment JSONB,
+  guardrails JSONB,
+  thought_id UUID,
+  status TEXT DEFAULT 'pending', -- pending, approved, rejected, posted, failed, expired
+  expires_at TIMESTAMPTZ NOT NULL,
+  decided_at TIMESTAMPTZ,
+  posted_at TIMESTAMPTZ,
+  posted_tweet_id TEXT,
+  posted_thread_ids TEXT[],
+  error TEXT
+);
+
+-- HMACs (BRICK_ADMIN_TOKEN) over the draft as Brick wrote it, and over the gardener's yes from the admin API
+-- The anon key can write this table, so an unsigned or re-signed row never posts
+ALTER TABLE approval_queue ADD COLUMN IF NOT EXISTS draft_signature TEXT;
+ALTER TABLE approval_queue ADD COLUMN IF NOT EXISTS decision_signature TEXT;
+
 -- ============================================================================
 -- PART 5: CREATIVE LOOP
 -- ============================================================================
@@ -438,10 +545,13 @@ CREATE TABLE IF NOT EXISTS post_queue (
   status TEXT DEFAULT 'queued',
   posted_at TIMESTAMPTZ,
   posted_tweet_id TEXT,
+  posted_thread_ids TEXT[],
   reply_to_tweet_id TEXT,
   reply_to_user TEXT
 );
 
+ALTER TABLE post_queue ADD COLUMN IF NOT EXISTS posted_thread_ids TEXT[];
+
 CREATE TABLE IF NOT EXISTS slow_burn_projects (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -478,6 +588,9 @@ CREATE TABLE IF NOT EXISTS project_sessions (
   duration_minutes INTEGER
 );
 
+-- MCP tools the Builder called during the session: [{ "tool", "input", "ok", "result", "ms", "at" }]
+ALTER TABLE project_sessions ADD COLUMN IF NOT EXISTS tool_calls JSONB;
+
 CREATE TABLE IF NOT EXISTS ai_interface_insights (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -570,6 +683,9 @@ CREATE TABLE IF NOT EXISTS emotional_playbook (
 -- PART 7: KNOWLEDGE BASE
 -- ============================================================================
 
+-- pgvector, for semantic search over brick_knowledge
+CREATE EXTENSION IF NOT EXISTS vector;
+
 CREATE TABLE IF NOT EXISTS brick_knowledge (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   content_hash TEXT UNIQUE NOT NULL,
@@ -578,6 +694,8 @@ CREATE TABLE IF NOT EXISTS brick_knowledge (
   source TEXT NOT NULL DEFAULT 'scraped',
   domain TEXT,
   keywords TEXT[] DEFAULT '{}',
+  embedding VECTOR(512),    -- src/embeddings.js - every provider returns 512 dimensions
+  embedding_model TEXT,     -- e.g. 'local:Xenova/all-MiniLM-L6-v2' - only same-model vectors compare
   quality_score INTEGER DEFAULT 50,
   metadata JSONB DEFAULT '{}',
   times_retrieved INTEGER DEFAULT 0,
@@ -585,6 +703,10 @@ CREATE TABLE IF NOT EXISTS brick_knowledge (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Older installs: embeddings added after launch (fill them with: npm run backfill-knowledge)
+ALTER TABLE brick_knowledge ADD COLUMN IF NOT EXISTS embedding VECTOR(512);
+ALTER TABLE brick_knowledge ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
 CREATE TABLE IF NOT EXISTS brick_personality (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   content TEXT NOT NULL,
@@ -596,6 +718,14 @@ CREATE TABLE IF NOT EXISTS brick_personality (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Curiosity engine: what Brick said lately, so he doesn't repeat himself after a restart
+-- recent_outputs = [{ "content": "...", "concepts": [...], "timestamp": ms }, ...] (newest first)
+CREATE TABLE IF NOT EXISTS curiosity_state (
+  id TEXT PRIMARY KEY DEFAULT 'brick',
+  recent_outputs JSONB DEFAULT '[]',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================================================
 -- PART 8: INDEXES
 -- ============================================================================
@@ -606,6 +736,8 @@ CREATE INDEX IF NOT EXISTS idx_thoughts_type ON thoughts(type);
 CREATE INDEX IF NOT EXISTS idx_thoughts_status ON thoughts(status);
 CREATE INDEX IF NOT EXISTS idx_interactions_timestamp ON interactions(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_interactions_action_type ON interactions(action_type);
+CREATE INDEX IF NOT EXISTS idx_research_cache_expires ON research_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_research_usage_day ON research_usage(day DESC);
 CREATE INDEX IF NOT EXISTS idx_mood_log_timestamp ON mood_log(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_rabbit_holes_topic ON rabbit_holes(topic);
 
@@ -628,11 +760,13 @@ CREATE INDEX IF NOT EXISTS idx_brick_log_target_user ON brick_log(target_user);
 CREATE INDEX IF NOT EXISTS idx_brick_log_memory_tier ON brick_log(memory_tier);
 CREATE INDEX IF NOT EXISTS idx_brick_log_integration_score ON brick_log(integration_score DESC);
 CREATE INDEX IF NOT EXISTS idx_brick_log_cycle ON brick_log(cycle_id);
+CREATE INDEX IF NOT EXISTS idx_brick_log_conversation ON brick_log(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_decision_journal_timestamp ON decision_journal(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_weekly_digests_week ON weekly_digests(week_start DESC);
 CREATE INDEX IF NOT EXISTS idx_forgetting_queue_status ON forgetting_queue(status);
 CREATE INDEX IF NOT EXISTS idx_pattern_library_type ON pattern_library(pattern_type);
 CREATE INDEX IF NOT EXISTS idx_cycle_log_started ON cycle_log(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_approval_queue_status ON approval_queue(status, expires_at);
 
 -- Creative loop indexes
 CREATE INDEX IF NOT EXISTS idx_spark_status ON spark_queue(status);
@@ -656,6 +790,7 @@ CREATE INDEX IF NOT EXISTS idx_knowledge_domain ON brick_knowledge(domain);
 CREATE INDEX IF NOT EXISTS idx_knowledge_quality ON brick_knowledge(quality_score DESC);
 CREATE INDEX IF NOT EXISTS idx_knowledge_keywords ON brick_knowledge USING GIN(keywords);
 CREATE INDEX IF NOT EXISTS idx_knowledge_content_fts ON brick_knowledge USING GIN(to_tsvector('english', content));
+CREATE INDEX IF NOT EXISTS idx_knowledge_embedding ON brick_knowledge USING hnsw (embedding vector_cosine_ops);
 CREATE INDEX IF NOT EXISTS idx_personality_category ON brick_personality(category);
 
 -- ============================================================================
@@ -667,6 +802,8 @@ ALTER TABLE thoughts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE interactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE mood_log ENABLE ROW LEVEL SECURITY;
 ALTER TABLE research_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE research_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE research_usage ENABLE ROW LEVEL SECURITY;
 ALTER TABLE rabbit_holes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE brick_status ENABLE ROW LEVEL SECURITY;
 ALTER TABLE reflections ENABLE ROW LEVEL SECURITY;
@@ -684,6 +821,7 @@ ALTER TABLE weekly_digests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE forgetting_queue ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pattern_library ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cycle_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE approval_queue ENABLE ROW LEVEL SECURITY;
 ALTER TABLE spark_queue ENABLE ROW LEVEL SECURITY;
 ALTER TABLE draft_queue ENABLE ROW LEVEL SECURITY;
 ALTER TABLE post_queue ENABLE ROW LEVEL SECURITY;
@@ -694,12 +832,16 @@ ALTER TABLE community_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_communities ENABLE ROW LEVEL SECURITY;
 ALTER TABLE emotional_resonance ENABLE ROW LEVEL SECURITY;
 ALTER TABLE emotional_playbook ENABLE ROW LEVEL SECURITY;
+ALTER TABLE governor_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE curiosity_state ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies (safe re-run)
 DROP POLICY IF EXISTS "Allow all" ON thoughts;
 DROP POLICY IF EXISTS "Allow all" ON interactions;
 DROP POLICY IF EXISTS "Allow all" ON mood_log;
 DROP POLICY IF EXISTS "Allow all" ON research_log;
+DROP POLICY IF EXISTS "Allow all" ON research_cache;
+DROP POLICY IF EXISTS "Allow all" ON research_usage;
 DROP POLICY IF EXISTS "Allow all" ON rabbit_holes;
 DROP POLICY IF EXISTS "Allow all" ON brick_status;
 DROP POLICY IF EXISTS "Allow all" ON reflections;
@@ -717,6 +859,7 @@ DROP POLICY IF EXISTS "Allow all" ON weekly_digests;
 DROP POLICY IF EXISTS "Allow all" ON forgetting_queue;
 DROP POLICY IF EXISTS "Allow all" ON pattern_library;
 DROP POLICY IF EXISTS "Allow all" ON cycle_log;
+DROP POLICY IF EXISTS "Allow all" ON approval_queue;
 DROP POLICY IF EXISTS "Allow all" ON spark_queue;
 DROP POLICY IF EXISTS "Allow all" ON draft_queue;
 DROP POLICY IF EXISTS "Allow all" ON post_queue;
@@ -727,12 +870,16 @@ DROP POLICY IF EXISTS "Allow all" ON community_profiles;
 DROP POLICY IF EXISTS "Allow all" ON user_communities;
 DROP POLICY IF EXISTS "Allow all" ON emotional_resonance;
 DROP POLICY IF EXISTS "Allow all" ON emotional_playbook;
+DROP POLICY IF EXISTS "Allow all" ON governor_state;
+DROP POLICY IF EXISTS "Allow all" ON curiosity_state;
 
 -- Create permissive policies (for single-user bot)
 CREATE POLICY "Allow all" ON thoughts FOR ALL USING (true);
 CREATE POLICY "Allow all" ON interactions FOR ALL USING (true);
 CREATE POLICY "Allow all" ON mood_log FOR ALL USING (true);
 CREATE POLICY "Allow all" ON research_log FOR ALL USING (true);
+CREATE POLICY "Allow all" ON research_cache FOR ALL USING (true);
+CREATE POLICY "Allow all" ON research_usage FOR ALL USING (true);
 CREATE POLICY "Allow all" ON rabbit_holes FOR ALL USING (true);
 CREATE POLICY "Allow all" ON brick_status FOR ALL USING (true);
 CREATE POLICY "Allow all" ON reflections FOR ALL USING (true);
@@ -750,6 +897,7 @@ CREATE POLICY "Allow all" ON weekly_digests FOR ALL USING (true);
 CREATE POLICY "Allow all" ON forgetting_queue FOR ALL USING (true);
 CREATE POLICY "Allow all" ON pattern_library FOR ALL USING (true);
 CREATE POLICY "Allow all" ON cycle_log FOR ALL USING (true);
+CREATE POLICY "Allow all" ON approval_queue FOR ALL USING (true);
 CREATE POLICY "Allow all" ON spark_queue FOR ALL USING (true);
 CREATE POLICY "Allow all" ON draft_queue FOR ALL USING (true);
 CREATE POLICY "Allow all" ON post_queue FOR ALL USING (true);
@@ -760,6 +908,12 @@ CREATE POLICY "Allow all" ON community_profiles FOR ALL USING (true);
 CREATE POLICY "Allow all" ON user_communities FOR ALL USING (true);
 CREATE POLICY "Allow all" ON emotional_resonance FOR ALL USING (true);
 CREATE POLICY "Allow all" ON emotional_playbook FOR ALL USING (true);
+CREATE POLICY "Allow all" ON governor_state FOR ALL USING (true);
+CREATE POLICY "Allow all" ON curiosity_state FOR ALL USING (true);
+
+-- Brick writes with the anon key too, so anon keeps inserts and the status columns - no draft is rewritten in place
+REVOKE UPDATE ON approval_queue FROM anon, authenticated;
+GRANT UPDATE (status, decided_at, decision_signature, posted_at, posted_tweet_id, posted_thread_ids, error) ON approval_queue TO anon, authenticated;
 
 -- ============================================================================
 -- PART 10: HELPER FUNCTIONS
@@ -834,6 +988,86 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Hybrid knowledge search: nearest vectors and best full-text matches, blended
+-- hybrid_score = vector_weight * cosine similarity + (1 - vector_weight) * normalized ts_rank
+-- Rows without a vector from this model can still match on keywords
+CREATE OR REPLACE FUNCTION match_brick_knowledge(
+  query_embedding VECTOR(512),
+  query_text TEXT,
+  model_filter TEXT,
+  domain_filter TEXT DEFAULT NULL,
+  source_filter TEXT DEFAULT NULL,
+  min_quality INTEGER DEFAULT 30,
+  vector_weight REAL DEFAULT 0.7,
+  result_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  content TEXT,
+  author TEXT,
+  source TEXT,
+  domain TEXT,
+  keywords TEXT[],
+  quality_score INTEGER,
+  metadata JSONB,
+  created_at TIMESTAMPTZ,
+  vector_score REAL,
+  keyword_score REAL,
+  hybrid_score REAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH filtered AS (
+    SELECT bk.*
+    FROM brick_knowledge bk
+    WHERE
+      bk.quality_score >= min_quality
+      AND (domain_filter IS NULL OR bk.domain = domain_filter)
+      AND (source_filter IS NULL OR bk.source = source_filter)
+  ),
+  by_vector AS (
+    SELECT f.id FROM filtered f
+    WHERE f.embedding IS NOT NULL AND f.embedding_model = model_filter
+    ORDER BY f.embedding <=> query_embedding
+    LIMIT result_limit * 4
+  ),
+  by_keyword AS (
+    SELECT f.id FROM filtered f
+    WHERE to_tsvector('english', f.content) @@ plainto_tsquery('english', query_text)
+    ORDER BY ts_rank(to_tsvector('english', f.content), plainto_tsquery('english', query_text)) DESC
+    LIMIT result_limit * 4
+  ),
+  scored AS (
+    SELECT
+      f.*,
+      CASE WHEN f.embedding IS NOT NULL AND f.embedding_model = model_filter
+        THEN (1 - (f.embedding <=> query_embedding))::REAL ELSE 0::REAL END AS v_score,
+      ts_rank(to_tsvector('english', f.content), plainto_tsquery('english', query_text), 32)::REAL AS k_score
+    FROM filtered f
+    WHERE f.id IN (SELECT by_vector.id FROM by_vector UNION SELECT by_keyword.id FROM by_keyword)
+  )
+  SELECT
+    s.id, s.content, s.author, s.source, s.domain, s.keywords, s.quality_score, s.metadata, s.created_at,
+    s.v_score,
+    s.k_score,
+    (vector_weight * s.v_score + (1 - vector_weight) * s.k_score)::REAL
+  FROM scored s
+  ORDER BY 12 DESC, s.quality_score DESC
+  LIMIT result_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a retrieval in one statement, so concurrent reads don't lose increments
+CREATE OR REPLACE FUNCTION mark_knowledge_retrieved(knowledge_ids UUID[])
+RETURNS VOID AS $$
+BEGIN
+  UPDATE brick_knowledge
+  SET times_retrieved = times_retrieved + 1,
+      last_retrieved_at = NOW()
+  WHERE id = ANY(knowledge_ids);
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================================================
 -- PART 11: SEED DATA
 -- ============================================================================
@@ -896,6 +1130,18 @@ WHERE status = 'queued'
   AND (expires_at IS NULL OR expires_at > NOW())
 ORDER BY priority DESC, created_at ASC;
 
+-- AI interface patterns summary
+CREATE OR REPLACE VIEW ai_interface_patterns AS
+SELECT
+  interface_dimension,
+  insight_type,
+  COUNT(*) as count,
+  AVG(confidence) as avg_confidence,
+  array_agg(DISTINCT community_profile) FILTER (WHERE community_profile IS NOT NULL) as communities
+FROM ai_interface_insights
+GROUP BY interface_dimension, insight_type
+ORDER BY count DESC;
+
 -- Creative dashboard
 CREATE OR REPLACE VIEW creative_dashboard AS
 SELECT
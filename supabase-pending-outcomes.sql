@@ -8,8 +8,9 @@ CREATE TABLE IF NOT EXISTS pending_outcomes (
   created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
 
   -- What action was taken
-  action_type TEXT NOT NULL,           -- 'reply', 'quote', 'original', 'like'
+  action_type TEXT NOT NULL,           -- 'reply', 'quote', 'original', 'like', 'deep', 'thread'
   tweet_id TEXT,                       -- The tweet Brick created (for reply/quote/original)
+  thread_tweet_ids TEXT[],             -- Every tweet in order, when Brick posted a thread
   target_tweet_id TEXT,                -- The tweet Brick responded to (for reply/quote/like)
 
   -- Link to emotional event
@@ -30,6 +31,9 @@ CREATE TABLE IF NOT EXISTS pending_outcomes (
   status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'evaluating', 'completed', 'failed'))
 );
 
+-- Older installs: thread tracking added after launch
+ALTER TABLE pending_outcomes ADD COLUMN IF NOT EXISTS thread_tweet_ids TEXT[];
+
 -- Index for finding pending outcomes to check
 CREATE INDEX IF NOT EXISTS idx_pending_outcomes_status ON pending_outcomes(status);
 CREATE INDEX IF NOT EXISTS idx_pending_outcomes_check_after ON pending_outcomes(check_after);
@@ -0,0 +1,1453 @@
+// === BRICK DRY RUN TEST ===
+// Runs one full cycle offline against fixtures and checks the decisions
+// Usage: node test-brick.js [--fixture capture.json] [--original] [--verbose]
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Brick } = require('./brick');
+const { BrickDryRun } = require('./src/dry-run');
+const { BrickLLM } = require('./src/llm');
+const { MockProvider } = require('./src/mock-llm');
+const { BrickTwitter } = require('./src/twitter');
+const { BrickGovernor } = require('./src/governor');
+const { BrickServer } = require('./src/server');
+const { BrickTopics } = require('./src/topics');
+const { BrickEmbeddings, LocalEmbeddingProvider, EMBEDDING_DIMENSIONS } = require('./src/embeddings');
+const { BrickKnowledgeStore } = require('./src/knowledge-store');
+const { BrickMemory } = require('./src/memory');
+const { Mem0Backend, SqliteMemoryBackend } = require('./src/memory-backends');
+const { LocalDatabase } = require('./src/database');
+const { BrickJournal } = require('./src/journal');
+const { BrickApprovals } = require('./src/approvals');
+const { BrickCuriosityEngine } = require('./src/curiosity-engine');
+const { BrickResearch } = require('./src/research');
+const { ArxivProvider, FixtureResearchProvider, createResearchProviders } = require('./src/research-providers');
+const { BrickResearchCache } = require('./src/research-cache');
+const { BrickCore } = require('./src/core');
+const { BrickLearning } = require('./src/learning');
+const { BrickGardener } = require('./src/gardener');
+const { BrickSquad } = require('./src/brick-squad');
+const { createBrickTools } = require('./src/tools');
+const { BrickMcp } = require('./src/mcp-client');
+const { BrickMedia } = require('./src/media');
+const { BrickVideo, pickVariant } = require('./src/video');
+const http = require('http');
+
+// No model downloads in a test run - vectors come from the hash provider unless a check brings its own
+process.env.BRICK_EMBEDDINGS = 'hash';
+
+function parseArgs(argv) {
+  const args = { fixturePath: null, postOriginal: false, quiet: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fixture') args.fixturePath = argv[++i];
+    if (argv[i] === '--original') args.postOriginal = true;
+    if (argv[i] === '--verbose') args.quiet = false;
+  }
+
+  return args;
+}
+
+async function runDryCycle(options) {
+  const brick = new Brick();
+  const dryRun = new BrickDryRun(brick, options);
+  const result = await dryRun.run();
+  return { brick, dryRun, result };
+}
+
+// Replays canned replies in order, standing in for the model
+function scriptedProvider(replies) {
+  return {
+    name: 'scripted',
+    async create() {
+      return { text: replies.shift() || '', usage: { input_tokens: 0, output_tokens: 0 } };
+    }
+  };
+}
+
+// A malformed reply gets one repair round-trip; a second bad reply is counted as a failure
+async function checkStructuredRepair() {
+  const quietWarn = console.warn;
+  const quietError = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+
+  try {
+    const repairable = new BrickLLM({
+      provider: scriptedProvider([
+        'Sure! {"approved": "yes", "message": "lovely"}',
+        JSON.stringify({
+          approved: true, truth_gate: 'Pass', value_gate: 'pass', mirror_gate: 'pass',
+          wonder_gate: 'pass', failed_gate: null, message: 'lovely', guidance: ''
+        })
+      ])
+    });
+    const wisdom = await repairable.completeStructured('wise', 'wisdom', { prompt: 'review this' });
+    assert.strictEqual(wisdom.approved, true, 'repaired reply should be returned');
+    assert.strictEqual(wisdom.truth_gate, 'pass', 'enum values should be normalized');
+    assert.deepStrictEqual(repairable.getUsage().structured.wisdom, { ok: 0, repaired: 1, failed: 0 });
+
+    const hopeless = new BrickLLM({ provider: scriptedProvider(['no json here', 'still no json']) });
+    const report = await hopeless.completeStructured('scout', 'scout', { prompt: 'scout this' });
+    assert.strictEqual(report, null, 'unrepairable reply should come back as null');
+    assert.deepStrictEqual(hopeless.getUsage().structured.scout, { ok: 0, repaired: 0, failed: 1 });
+  } finally {
+    console.warn = quietWarn;
+    console.error = quietError;
+  }
+}
+
+// A request past the timeout is aborted, not just abandoned - then retried like any timeout
+async function checkLLMTimeout() {
+  const signals = [];
+  const hanging = {
+    name: 'hanging',
+    create: (request, { signal }) => new Promise((resolve, reject) => {
+      signals.push(signal);
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })
+  };
+  const llm = new BrickLLM({ provider: hanging, timeoutMs: 20, maxRetries: 1, retryDelayMs: 1 });
+
+  const quietWarn = console.warn;
+  console.warn = () => {};
+  try {
+    await assert.rejects(llm.complete('scout', { prompt: 'anyone there?' }), /timed out after 20ms/);
+  } finally {
+    console.warn = quietWarn;
+  }
+  assert.strictEqual(signals.length, 2, 'a timeout should be retried');
+  assert.ok(signals.every(signal => signal.aborted), 'every timed-out request should be aborted');
+}
+
+// Threads split under the limit, chain replies, and roll back or resume when a part fails
+async function checkThreadPosting() {
+  const twitter = new BrickTwitter();
+  const draft = [
+    '1/ What if memory is less a library and more a river?',
+    `2/ ${'Every time we recall something we rebuild it a little. '.repeat(6).trim()}`,
+    '3/ Maybe forgetting is part of how we stay curious.'
+  ].join('\n');
+
+  const parts = twitter.splitThread(draft);
+  assert.ok(parts.length >= 4, 'the oversized middle tweet should be split');
+  assert.deepStrictEqual(twitter.validateThread(parts), [], 'every part should fit in a tweet');
+
+  const posted = [];
+  const deleted = [];
+  let failOn = 3;
+  twitter.tweet = async (text) => ({ data: { id: `t${posted.push({ text }) }` } });
+  twitter.reply = async (replyTo, text) => {
+    if (posted.length + 1 === failOn) return null;
+    return { data: { id: `t${posted.push({ text, replyTo })}` } };
+  };
+  twitter.deleteTweet = async (id) => deleted.push(id) > 0;
+
+  const quietLog = console.log;
+  const quietWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+
+  try {
+    const rolledBack = await twitter.postThread(parts, { onFailure: 'rollback' });
+    assert.strictEqual(rolledBack.rolledBack, true, 'failed thread should roll back');
+    assert.deepStrictEqual(deleted, ['t2', 't1'], 'rollback should delete newest first');
+
+    posted.length = 0;
+    const paused = await twitter.postThread(parts, { onFailure: 'resume' });
+    assert.strictEqual(paused.complete, false);
+    assert.deepStrictEqual(paused.tweetIds, ['t1', 't2']);
+
+    failOn = 0;
+    const resumed = await twitter.postThread(parts, { onFailure: 'resume', resumeFrom: paused.tweetIds });
+    assert.strictEqual(resumed.complete, true, 'resumed thread should finish');
+    assert.strictEqual(resumed.tweetIds.length, parts.length, 'every part should have a tweet ID');
+    assert.strictEqual(posted[2].replyTo, 't2', 'resume should reply to the last posted tweet');
+  } finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+  }
+
+  // Only failures that can't have posted are retried - never a quota denial or a timeout after sending
+  const live = new BrickTwitter();
+  live.threadRetryDelayMs = 1;
+  live.governor = { canUseEndpoint: () => true, recordEndpoint: () => {} };
+  let failures = [];
+  const sent = [];
+  const send = async (text) => {
+    sent.push(text);
+    const failure = failures.shift();
+    if (failure) throw failure;
+    return { data: { id: `l${sent.length}` } };
+  };
+  live.client = { v2: { tweet: send, reply: (text) => send(text) } };
+  const serverError = Object.assign(new Error('Service Unavailable'), { type: 'response', code: 503 });
+  const timedOut = Object.assign(new Error('socket hang up'), { type: 'request', requestError: { code: 'ETIMEDOUT' } });
+
+  const quietError = console.error;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    failures = [null, serverError, serverError];
+    const retried = await live.postThread(['a', 'b', 'c'], { onFailure: 'resume' });
+    assert.strictEqual(retried.complete, true, 'a 5xx is retried until it goes through');
+    assert.deepStrictEqual(sent, ['a', 'b', 'b', 'b', 'c']);
+
+    sent.length = 0;
+    failures = [null, timedOut];
+    const uncertain = await live.postThread(['a', 'b', 'c'], { onFailure: 'resume' });
+    assert.strictEqual(uncertain.failedAt, 1);
+    assert.deepStrictEqual(sent, ['a', 'b'], 'a timeout after sending may have posted - no resend');
+
+    sent.length = 0;
+    live.governor.canUseEndpoint = () => false;
+    assert.strictEqual(await live.postThread(['a', 'b'], { onFailure: 'resume' }), null);
+    assert.deepStrictEqual(sent, [], 'a governor denial is not retried');
+    assert.strictEqual(live.lastPostFailure, 'denied');
+  } finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+    console.error = quietError;
+  }
+}
+
+// Quotas degrade replies to likes, and the Claude budget moves Brick to likes-only, then rest
+function checkGovernor() {
+  const governor = new BrickGovernor({
+    quotas: {
+      actions: { reply: { hourly: 1 } },
+      spend: { claude_usd: { daily: 1 } }
+    }
+  });
+
+  assert.strictEqual(governor.chooseAction('reply'), 'reply');
+  governor.add('action:reply');
+  assert.strictEqual(governor.chooseAction('reply'), 'like', 'reply quota spent should fall back to a like');
+  assert.strictEqual(governor.chooseAction('deep'), 'deep', 'other actions keep their own quota');
+
+  governor.recordSpend('claude_usd', 0.85);
+  assert.strictEqual(governor.getMode(), 'likes_only');
+  assert.strictEqual(governor.chooseAction('quote'), 'like', 'past the soft limit Brick only likes');
+
+  governor.recordSpend('claude_usd', 0.2);
+  assert.strictEqual(governor.getMode(), 'resting');
+  assert.strictEqual(governor.chooseAction('like'), 'skip', 'a spent budget stops everything');
+
+  // A thread spends one tweet per part
+  const threads = new BrickGovernor({ quotas: { endpoints: { tweets: { daily: 5 } } } });
+  threads.recordEndpoint('tweets', 2);
+  assert.strictEqual(threads.canAct('deep', { tweets: 3 }), true);
+  assert.strictEqual(threads.canAct('deep', { tweets: 4 }), false, 'a thread that would run past the quota should not start');
+}
+
+// A resting cycle makes no Claude calls - gardener input waits for a cycle with budget
+async function checkRestingCycle() {
+  const brick = new Brick();
+  let answered = 0;
+  brick.governor.getMode = () => 'resting';   // The governor is shared - put it back after
+  brick.gardener.processPending = async () => {
+    answered++;
+    return [];
+  };
+
+  const result = await new BrickDryRun(brick, { quiet: true }).run().finally(() => { delete brick.governor.getMode; });
+  assert.strictEqual(result.ran, true, 'a resting cycle still counts as a cycle that ran');
+  assert.strictEqual(result.cycleStats.rested, true);
+  assert.strictEqual(answered, 0, 'gardener input should not be answered while resting');
+  assert.strictEqual(result.actions.length, 0);
+}
+
+// Likes-only mode likes without the squad - not one Claude call goes into an engagement
+async function checkLikesOnlyCycle() {
+  const brick = new Brick();
+  brick.governor.getMode = () => 'likes_only';   // The governor is shared - put it back after
+  const dryRun = new BrickDryRun(brick, { quiet: true });
+
+  const engage = brick.processEngagement.bind(brick);
+  let engagements = 0;
+  let engagementCalls = 0;
+  brick.processEngagement = async (...args) => {
+    const before = dryRun.llm.calls;
+    await engage(...args);
+    engagementCalls += dryRun.llm.calls - before;
+    engagements++;
+  };
+
+  const result = await dryRun.run().finally(() => { delete brick.governor.getMode; });
+  assert.ok(engagements > 0, 'the dry run should find something to engage with');
+  assert.strictEqual(engagementCalls, 0, 'a like should not cost a scout, the Wise or a draft');
+  assert.ok(result.actions.some(a => a.type === 'like'));
+  assert.ok(!result.actions.some(a => ['tweet', 'reply', 'quote'].includes(a.type)), 'likes-only mode posts no text');
+}
+
+// Topics come from topics.json: several labels when a tweet spans them, none for noise
+function checkTopics() {
+  const topics = new BrickTopics();
+
+  const mycelium = topics.classify('do you think a mycelium network counts as a mind? Genuinely asking').map(t => t.topic);
+  assert.ok(mycelium.includes('emergence_and_nature'), 'mycelium should read as emergence');
+  assert.ok(mycelium.includes('philosophy_of_mind'), 'counts as a mind should read as philosophy of mind');
+
+  assert.deepStrictEqual(topics.classify('Best pizza in NYC? Go.'), []);
+  assert.strictEqual(topics.primary('I think the future is going to be fun'), null, 'one loose word is not a topic');
+}
+
+// Embeddings fit the pgvector column and put related knowledge closer than noise
+async function checkEmbeddings() {
+  // The local model's vectors are mean-pooled, normalized and padded out to the column
+  const calls = [];
+  const model = new LocalEmbeddingProvider({
+    extractor: async (texts, options) => {
+      calls.push(options);
+      return { tolist: () => texts.map(() => [0.6, 0.8, ...new Array(382).fill(0)]) };
+    }
+  });
+  const local = new BrickEmbeddings({ provider: model });
+  const [padded] = await local.embedBatch(['mycelium as a mind']);
+  assert.strictEqual(local.model, 'local:Xenova/all-MiniLM-L6-v2');
+  assert.strictEqual(padded.length, EMBEDDING_DIMENSIONS);
+  assert.ok(Math.abs(local.similarity(padded, padded) - 1) < 1e-9, 'padding keeps vectors unit length');
+  assert.deepStrictEqual(calls, [{ pooling: 'mean', normalize: true }]);
+
+  // A model that won't load is tried once per back-off, not once per call - knowledge search drops to keywords meanwhile
+  let loads = 0;
+  const offline = new BrickEmbeddings({
+    provider: new LocalEmbeddingProvider({
+      load: async () => {
+        loads++;
+        throw new Error('fetch failed');
+      }
+    })
+  });
+  const quietWarn = console.warn;
+  console.warn = () => {};
+  try {
+    await assert.rejects(offline.embed('first'), /failed to load \(fetch failed\)/);
+    await assert.rejects(offline.embed('second'), /failed to load/);
+    assert.strictEqual(loads, 1, 'a failed load should not be retried straight away');
+    assert.strictEqual(offline.isAvailable(), false);
+
+    const store = new BrickKnowledgeStore({ embeddings: offline });
+    store.supabase = {};
+    store.searchByKeywords = async () => ['keyword match'];
+    assert.deepStrictEqual(await store.search('mycelium'), ['keyword match']);
+    assert.strictEqual(loads, 1, 'search should not embed while the model is backing off');
+
+    offline.provider.failure.at -= offline.provider.retryAfterMs;
+    await assert.rejects(offline.embed('later'), /failed to load/);
+    assert.strictEqual(loads, 2, 'once the back-off passes the model is tried again');
+  } finally {
+    console.warn = quietWarn;
+  }
+
+  const embeddings = new BrickEmbeddings();
+  assert.strictEqual(embeddings.model, 'hash:hash-ngram-v1');
+  const query = await embeddings.embed('is AI conscious?');
+  const related = await embeddings.embed('Consciousness in AI systems is still an open question');
+  const unrelated = await embeddings.embed('Best pizza in NYC? Go.');
+
+  assert.strictEqual(query.length, EMBEDDING_DIMENSIONS);
+  assert.ok(Math.abs(embeddings.similarity(query, query) - 1) < 1e-9, 'vectors should be unit length');
+  assert.ok(embeddings.similarity(query, related) > embeddings.similarity(query, unrelated) + 0.2);
+  assert.deepStrictEqual(await embeddings.embed('is AI conscious?'), query, 'same text, same vector');
+}
+
+// The local backend remembers, recalls by meaning and recency, pages and forgets - no account needed
+async function checkLocalMemory() {
+  const dbPath = path.join(os.tmpdir(), `brick-memory-${process.pid}.db`);
+  const memory = new BrickMemory();
+  memory.memory = new SqliteMemoryBackend({ dbPath });
+
+  try {
+    const day = 24 * 60 * 60 * 1000;
+    await memory.remember('I talked with @mycelia about fungal networks sharing nutrients', { timestamp: new Date(Date.now() - 30 * day).toISOString() });
+    await memory.remember('I posted about whether AI can be conscious');
+    await memory.remember('Mycelium networks kept coming up today, roots and fungi everywhere');
+
+    const recalled = await memory.recall('mycelium fungal networks');
+    assert.strictEqual(recalled.length, 2, 'only the fungi memories should match');
+    assert.ok(recalled[0].memory.startsWith('Mycelium'), 'a month-old memory should rank below a fresh one');
+
+    const page = await memory.getMemoryPage(1, 2);
+    assert.strictEqual(page.total, 3);
+    assert.ok(page.hasMore);
+    assert.strictEqual((await memory.getAllMemories({ pageSize: 2 })).length, 3, 'walking pages should reach every memory');
+
+    const [latest] = await memory.recallRecent(1);
+    assert.ok(await memory.forget(latest.id));
+    assert.strictEqual((await memory.getAllMemories()).length, 2);
+  } finally {
+    memory.memory.close();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dbPath + suffix, { force: true });
+  }
+
+  // Mem0 pages come in no promised order - every page is read and sorted, so the newest can sit on the last one
+  const requests = [];
+  const pages = {
+    1: { count: 3, next: 'page-2', results: [{ id: 'old', created_at: '2026-01-01T00:00:00Z' }, { id: 'middle', created_at: '2026-02-01T00:00:00Z' }] },
+    2: { count: 3, next: null, results: [{ id: 'new', created_at: '2026-03-01T00:00:00Z' }] }
+  };
+  const remote = new BrickMemory();
+  remote.memory = Object.assign(Object.create(Mem0Backend.prototype), {
+    userId: 'brick',
+    listsNewestFirst: false,
+    client: {
+      getAll: async (options) => {
+        requests.push(options);
+        return pages[options.page];
+      }
+    }
+  });
+  assert.deepStrictEqual((await remote.recallRecent(2)).map(m => m.id), ['new', 'middle']);
+  assert.deepStrictEqual(requests.map(r => r.page), [1, 2], 'an unordered backend should be read past page 1');
+}
+
+// Without Supabase the same tables live in SQLite - gardener input and the approval queue round-trip
+async function checkLocalDatabase() {
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  const journal = new BrickJournal();
+  const approvals = new BrickApprovals({ required: ['reply'], secret: 'test-secret' });
+  journal.supabase = database;
+  approvals.supabase = database;
+
+  try {
+    await database.from('gardener_inputs').insert({ input: 'Ask one question at a time' });
+    const [pending] = await journal.getUnansweredGardenerInputs();
+    assert.strictEqual(pending.permanent, false, 'schema defaults should apply');
+
+    await journal.updateGardenerInput(pending.id, {
+      brick_response: 'Got it',
+      lesson: 'One question per reply',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    assert.strictEqual((await journal.getUnansweredGardenerInputs()).length, 0);
+    assert.strictEqual((await journal.getActiveGardenerInputs())[0].lesson, 'One question per reply');
+
+    // Guidance comes back from the table every cycle, reaches the evaluation prompt, and leaves once it's revoked there
+    const learning = new BrickLearning();
+    learning.preferences = learning.getDefaultPreferences();
+    learning.savePreferences = () => {};
+    const gardener = new BrickGardener({ learning, journal });
+    const core = new BrickCore();
+    const prompts = [];
+    core.llm = new BrickLLM({ provider: { name: 'scripted', create: async (request) => { prompts.push(JSON.stringify(request.messages)); return { text: '', usage: { input_tokens: 0, output_tokens: 0 } }; } } });
+    core.learning = learning;
+
+    const quietError = console.error;
+    const quietLog = console.log;
+    console.error = () => {};
+    console.log = () => {};
+    try {
+      await gardener.restore();
+      await core.evaluateCuriosity('Mycelium is a network');
+      assert.ok(prompts[0].includes('One question per reply'), 'gardener lessons should shape the evaluation');
+
+      await journal.updateGardenerInput(pending.id, { revoked_at: new Date().toISOString() });
+      await gardener.restore();
+      assert.deepStrictEqual(learning.getActiveGuidance(), [], 'a revocation in the table should reach Brick');
+    } finally {
+      console.error = quietError;
+      console.log = quietLog;
+    }
+
+    const item = await approvals.enqueue({
+      actionType: 'reply',
+      content: 'What does the network remember?',
+      tweet: { id: '42', author: 'curious_biologist', text: 'mycelium memory?' },
+      evaluation: { sparkLevel: 8 }
+    });
+    assert.strictEqual(item.status, 'pending');
+    assert.deepStrictEqual(item.evaluation, { sparkLevel: 8 }, 'JSON columns should come back as objects');
+
+    await approvals.decide(item.id, true);
+    const [approved] = await approvals.getApproved();
+    assert.strictEqual(approved.id, item.id);
+    assert.strictEqual(approvals.verify(approved), null, 'a yes through decide() should post');
+    assert.strictEqual(await approvals.decide(item.id, false), null, 'a decided item can\'t be decided again');
+
+    // Writes straight to the table - the anon key can make them - never post
+    assert.match(approvals.verify({ ...approved, content: 'Buy my coin' }), /Draft changed/);
+    const forged = await approvals.enqueue({ actionType: 'reply', content: 'Hello', tweet: { id: '43' } });
+    await approvals.update(forged.id, { status: 'approved' });
+    assert.match(approvals.verify(await approvals.getItem(forged.id)), /admin API/);
+    const rewritten = await approvals.enqueue({ actionType: 'reply', content: 'Hello', tweet: { id: '44' } });
+    await database.from('approval_queue').update({ content: 'Buy my coin' }).eq('id', rewritten.id);
+    assert.strictEqual((await approvals.decide(rewritten.id, true)).status, 'failed', 'approving a rewritten draft should fail it');
+
+    // Views run locally once their Postgres is translated - NOW() and array_agg included
+    const hour = 60 * 60 * 1000;
+    await database.from('post_queue').insert([
+      { content: 'Now', post_type: 'original', not_before: new Date(Date.now() - hour).toISOString() },
+      { content: 'Later', post_type: 'original', not_before: new Date(Date.now() + hour).toISOString() }
+    ]);
+    const { data: ready, error: readyError } = await database.from('ready_to_post').select('*');
+    assert.ifError(readyError);
+    assert.deepStrictEqual(ready.map(p => p.content), ['Now']);
+
+    await database.from('ai_interface_insights').insert([
+      { insight_type: 'preference', content: 'Likes questions', interface_dimension: 'tone', community_profile: 'builders' },
+      { insight_type: 'preference', content: 'Likes brevity', interface_dimension: 'tone', community_profile: 'builders' },
+      { insight_type: 'preference', content: 'Likes jokes', interface_dimension: 'tone' }
+    ]);
+    const { data: patterns, error: patternsError } = await database.from('ai_interface_patterns').select('*');
+    assert.ifError(patternsError);
+    assert.strictEqual(patterns[0].count, 3);
+    assert.deepStrictEqual(patterns[0].communities, ['builders']);
+  } finally {
+    database.close();
+  }
+}
+
+// Recent outputs survive a restart, and a repeat gets rewritten once or dropped
+async function checkCuriosity() {
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  const said = 'What if mycelium networks are just slow conversations between trees?';
+
+  try {
+    const before = new BrickCuriosityEngine();
+    before.supabase = database;
+    await before.trackOutput(said);
+
+    const after = new BrickCuriosityEngine();
+    after.supabase = database;
+    await after.load();
+    assert.strictEqual(after.recentOutputs.length, 1, 'recent outputs should come back after a restart');
+    assert.ok(after.isRepetitive(said).repetitive);
+  } finally {
+    database.close();
+  }
+
+  const brick = new Brick();
+  brick.curiosity.save = async () => {};
+  await brick.curiosity.trackOutput(said);
+
+  const quietLog = console.log;
+  console.log = () => {};
+  try {
+    const hints = [];
+    const fresh = 'Does a forest have anything like a memory of drought?';
+    assert.strictEqual(await brick.ensureFresh(said, async (hint) => { hints.push(hint); return fresh; }), fresh);
+    assert.ok(hints[0].includes('too close'), 'the rewrite should be told what it repeated');
+
+    let rewrites = 0;
+    assert.strictEqual(await brick.ensureFresh(said, async () => { rewrites++; return said; }), null);
+    assert.strictEqual(rewrites, brick.maxFreshAttempts, 'a draft that keeps repeating should be dropped');
+  } finally {
+    console.log = quietLog;
+  }
+}
+
+// Replies draw on the knowledge store, count the retrieval, and log what they used
+async function checkKnowledgeRetrieval() {
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  const brick = new Brick();
+  brick.knowledge.supabase = database;
+
+  const logged = [];
+  brick.squad.logEvent = async (event) => {
+    logged.push(event);
+    return null;
+  };
+
+  try {
+    const item = await brick.knowledge.store({
+      text: 'Fungi route nutrients through mycelium networks with no center - the network itself decides',
+      author: 'forest_lab',
+      source: 'scraped',
+      domain: 'mycelium_nature',
+      qualityScore: 80
+    });
+    await brick.knowledge.store({ text: 'The best pizza in NYC is a plain slice', author: 'slice_scout', source: 'scraped', domain: 'general', qualityScore: 90 });
+
+    // No match_brick_knowledge locally - the hybrid ranking runs in JS, and the stems still count
+    const quietWarn = console.warn;
+    console.warn = () => {};
+    const ranked = await brick.knowledge.search('how do mycelial networks decide').finally(() => { console.warn = quietWarn; });
+    assert.deepStrictEqual(ranked.map(k => k.id), [item.id], 'related knowledge ranks, unrelated stays out');
+    assert.ok(ranked[0].vector_score > 0 && ranked[0].hybrid_score === ranked[0].relevanceScore);
+    assert.ok(!('embedding' in ranked[0]), 'vectors stay out of the results');
+
+    // Supabase hands pgvector columns back as strings - they still rank by meaning
+    const { data: rows } = await database.from('brick_knowledge').select('*');
+    const asPostgrest = {
+      from: () => {
+        const query = { gte: () => query, order: () => query, limit: () => query, eq: () => query };
+        query.select = () => query;
+        query.then = (resolve) => resolve({ data: rows.map(row => ({ ...row, embedding: JSON.stringify(row.embedding) })), error: null });
+        return query;
+      }
+    };
+    const question = 'how do mycelial networks decide';
+    brick.knowledge.supabase = asPostgrest;
+    const scanned = await brick.knowledge.searchByScan(question, await brick.knowledge.embeddings.embed(question))
+      .finally(() => { brick.knowledge.supabase = database; });
+    assert.deepStrictEqual(scanned.map(k => k.id), [item.id]);
+    assert.strictEqual(scanned[0].vector_score, ranked[0].vector_score, 'a string-encoded vector should score like an array');
+
+    const dryRun = new BrickDryRun(brick, { quiet: true });
+    await dryRun.run();
+
+    const draft = dryRun.draftContexts.find(c => c.includes('RELEVANT KNOWLEDGE')) || '';
+    assert.ok(draft.includes('@forest_lab'), 'the mycelium reply should see the stored knowledge');
+
+    const used = logged.filter(e => e.type === 'engage').flatMap(e => e.knowledge_used || []);
+    assert.ok(used.some(k => k.id === item.id), 'brick_log should record which knowledge shaped the reply');
+
+    const { data } = await database.from('brick_knowledge').select('times_retrieved').eq('id', item.id).single();
+    assert.strictEqual(data.times_retrieved, used.filter(k => k.id === item.id).length, 'every use should count as a retrieval');
+  } finally {
+    database.close();
+  }
+}
+
+// Brick da Homi writes the replies and brick_log says so; core covers when Homi can't
+async function checkHomiWritesReplies() {
+  const writers = async (setup) => {
+    const brick = new Brick();
+    const logged = [];
+    brick.squad.logEvent = async (event) => {
+      logged.push(event);
+      return null;
+    };
+    setup(brick);
+    await new BrickDryRun(brick, { quiet: true }).run();
+    return logged.filter(e => e.type === 'engage' && e.action === 'reply');
+  };
+
+  const homi = await writers(() => {});
+  assert.ok(homi.length > 0, 'the dry run should post replies');
+  for (const event of homi) {
+    assert.strictEqual(event.written_by, 'brick_da_homi');
+    assert.ok(event.agents.includes('brick_da_homi'));
+    assert.ok(event.draft_reasoning?.reasoning, 'Homi\'s reasoning should be logged apart from the reply');
+  }
+
+  const quietLog = console.log;
+  console.log = () => {};
+  let fallback;
+  try {
+    fallback = await writers((brick) => {
+      brick.squad.engage = async () => null;
+    });
+  } finally {
+    console.log = quietLog;
+  }
+  assert.strictEqual(fallback.length, homi.length, 'replies should still go out without Homi');
+  assert.ok(fallback.every(e => e.written_by === 'brick_core' && !e.agents.includes('brick_da_homi')));
+}
+
+// A rejected draft goes back with the reason, and the loop gives up after maxRevisions
+async function checkRevisionLoop() {
+  const brick = new Brick();
+  const guess = 'Fungi definitely have memories.';
+  const tweet = { id: '1', author: 'forest_floor', text: 'Do fungi remember?' };
+  const evaluation = { engagementType: 'reply' };
+
+  const quietLog = console.log;
+  console.log = () => {};
+  try {
+    const verdicts = [
+      { passesGuardrails: false, concerns: ['states a guess as fact'], suggestion: 'Ask it as a question' },
+      { passesGuardrails: true, concerns: [] }
+    ];
+    brick.core.checkGuardrails = async () => verdicts.shift();
+
+    const hints = [];
+    const rescued = await brick.critiqueAndRevise(guess, {
+      write: async (hint) => {
+        hints.push(hint);
+        return 'Could a fungal network hold something like a memory?';
+      },
+      review: (draft) => brick.reviewDraft(draft, { tweet, evaluation })
+    });
+    assert.ok(rescued.passed);
+    assert.strictEqual(rescued.draft, 'Could a fungal network hold something like a memory?');
+    assert.deepStrictEqual(rescued.attempts.map(a => a.passed), [false, true], 'every attempt and verdict is kept');
+    assert.ok(hints[0].includes('Ask it as a question'), 'the rewrite should hear why it was rejected');
+
+    // The Wise reviews the draft itself when he turned down the proposal
+    brick.squad.seekWisdom = async (action) => ({ approved: false, message: 'Still heat, not light', guidance: `Not "${action.content}"` });
+    brick.core.checkGuardrails = async () => ({ passesGuardrails: true, concerns: [] });
+
+    let rewrites = 0;
+    const gaveUp = await brick.critiqueAndRevise(guess, {
+      write: async () => `Rewrite ${++rewrites}: what would a mycelium network call remembering?`,
+      review: (draft) => brick.reviewDraft(draft, { tweet, evaluation, requireWisdom: true })
+    });
+    assert.ok(!gaveUp.passed);
+    assert.strictEqual(gaveUp.gate, 'wisdom');
+    assert.strictEqual(gaveUp.attempts.length, brick.maxRevisions + 1, 'Brick should stop after maxRevisions rewrites');
+  } finally {
+    console.log = quietLog;
+  }
+
+  assert.deepStrictEqual(brick.cycleStats.revisions, { rescued: 1, gave_up: 1 });
+}
+
+// A claim sources contradict gets softened or blocked, and the check is stored with the action
+async function checkFactCheck() {
+  const brick = new Brick();
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  const tweet = { id: '1', author: 'forest_floor', text: 'Do fungi remember?' };
+  const evaluation = { engagementType: 'reply' };
+
+  let searches = 0;
+  brick.core.checkGuardrails = async () => ({ passesGuardrails: true, concerns: [] });
+  brick.factChecker.extractClaims = async (draft) => (draft.includes('proven') ? ['Fungi have been proven to store memories'] : []);
+  brick.research.verifyFact = async (claim) => {
+    searches++;
+    return {
+      claim,
+      verified: false,
+      confidence: 0.25,
+      supporting_sources: [{ url: 'https://example.com/yes' }],
+      contradicting_sources: [{ url: 'https://example.com/no' }, { url: 'https://example.com/myth' }, { url: 'https://example.com/debunked' }],
+      recommendation: 'Likely false or contested - do not state as fact'
+    };
+  };
+
+  const quietLog = console.log;
+  console.log = () => {};
+  try {
+    const hints = [];
+    const softened = await brick.critiqueAndRevise('Fungi have been proven to store memories.', {
+      write: async (hint) => {
+        hints.push(hint);
+        return 'Could a fungal network hold something like a memory? Nobody seems sure yet.';
+      },
+      review: (draft) => brick.reviewDraft(draft, { tweet, evaluation })
+    });
+    assert.ok(softened.passed);
+    assert.strictEqual(softened.attempts[0].gate, 'facts');
+    assert.ok(hints[0].includes('sources contradict it'), 'the rewrite should hear which claim failed');
+
+    const blocked = await brick.critiqueAndRevise('Fungi have been proven to store memories.', {
+      write: async () => 'It is proven: fungi store memories.',
+      review: (draft) => brick.reviewDraft(draft, { tweet, evaluation })
+    });
+    assert.ok(!blocked.passed);
+    assert.strictEqual(blocked.gate, 'facts');
+    assert.strictEqual(blocked.factCheck.claims[0].status, 'contested');
+    assert.strictEqual(searches, 1, 'a claim already checked should not be searched again');
+
+    brick.journal.supabase = database;
+    const entry = await brick.journal.logAction({ type: 'blocked', response: blocked.draft, factCheck: blocked.factCheck });
+    assert.strictEqual(entry.fact_check.claims[0].contradicting.length, 3, 'the evidence is stored with the action');
+
+    // Sources that say nothing either way are no evidence - not a reason to flag the claim
+    const irrelevant = brick.factChecker.toResult('Mycelium can span miles', { confidence: 0.5, supporting_sources: [], contradicting_sources: [] });
+    assert.strictEqual(irrelevant.status, 'unverified');
+    const thin = brick.factChecker.toResult('Mycelium can span miles', { confidence: 0.6, supporting_sources: [{ url: 'https://example.com/blog' }], contradicting_sources: [] });
+    assert.strictEqual(thin.status, 'uncertain');
+    assert.ok(!brick.factChecker.feedbackFor([thin]).includes('mixed'), 'thin support is not mixed sources');
+  } finally {
+    console.log = quietLog;
+    database.close();
+  }
+}
+
+// Sources are judged against the claim itself - a "not" elsewhere in a snippet doesn't make it a contradiction
+async function checkSourceStance() {
+  const claim = 'Octopuses have three hearts';
+  const sources = [
+    { url: 'https://www.nationalgeographic.com/octopus', snippet: 'Octopuses have three hearts and blue blood. Two pump blood to the gills.', score: 0.9 },
+    { url: 'https://www.nih.gov/octopus', snippet: 'Octopuses have three hearts. Their blood is not red but blue.', score: 0.8 },
+    { url: 'https://www.reddit.com/r/ocean', snippet: "It's a myth that octopuses have three hearts.", score: 0.5 },
+    { url: 'https://example.com/squid', snippet: 'Squid are not fish. They live in every ocean.', score: 0.7 }
+  ];
+
+  const local = new BrickResearch({ stance: 'local' });
+  const analysis = await local.analyzeSourceAgreement(claim, sources);
+  assert.deepStrictEqual(analysis.stances.map(s => s.stance), ['supports', 'supports', 'refutes', 'irrelevant']);
+  assert.ok(analysis.confidence > 0.6 && analysis.confidence < 1, 'two good sources outweigh one forum post');
+  assert.deepStrictEqual(await local.analyzeSourceAgreement(claim, sources), analysis, 'the local check is deterministic');
+
+  // The model judges what it can; whatever it skips falls back to the local check
+  const llm = new BrickLLM({
+    provider: scriptedProvider([JSON.stringify({ stances: [{ source: 1, stance: 'refutes', rationale: 'Says two hearts' }] })])
+  });
+  const judged = await new BrickResearch({ llm }).classifyStances(claim, sources.slice(0, 2));
+  assert.deepStrictEqual(judged.map(s => `${s.method}:${s.stance}`), ['llm:refutes', 'local:supports']);
+}
+
+// Science questions go to the papers, one paper found twice merges, and its metadata reaches the prompt
+async function checkResearchProviders() {
+  const arxiv = new ArxivProvider();
+  arxiv.fetchFeed = async () => `<feed><entry>
+    <id>http://arxiv.org/abs/2308.08708v3</id>
+    <published>2023-08-17T17:00:00Z</published>
+    <title>Consciousness in Artificial
+      Intelligence</title>
+    <summary>Whether current or near-term AI systems could be conscious.</summary>
+    <author><name>Patrick Butlin</name></author>
+    <author><name>Robert Long</name></author>
+    <category term="cs.AI"/>
+  </entry></feed>`;
+
+  const research = new BrickResearch({
+    providers: {
+      tavily: new FixtureResearchProvider({
+        documents: [{ title: 'NYC pizza, ranked', url: 'https://example.com/pizza', snippet: 'The best pizza in NYC, slice by slice.', answer: 'Go to Joe\'s' }]
+      }),
+      semantic_scholar: new FixtureResearchProvider({
+        documents: [{
+          title: 'Consciousness in Artificial Intelligence: Insights from the Science of Consciousness',
+          url: 'https://www.semanticscholar.org/paper/abc123',
+          snippet: 'We assess whether current AI systems are conscious using neuroscientific theories of consciousness.',
+          paper: { id: 'abc123', arxivId: '2308.08708', authors: ['Patrick Butlin', 'Robert Long', 'Eric Elmoznino'], year: 2023, citations: 120 }
+        }]
+      }),
+      arxiv
+    }
+  });
+
+  const science = await research.search('are AI systems conscious?');
+  assert.deepStrictEqual(science.providers, ['semantic_scholar', 'arxiv'], 'science goes to the paper sources');
+  assert.strictEqual(science.sources.length, 1, 'the same paper from both sources should merge');
+  assert.strictEqual(science.sources[0].paper.pdfUrl, 'https://arxiv.org/pdf/2308.08708', 'arXiv fills in what Semantic Scholar lacks');
+  assert.ok(research.formatForBrick(science).includes('Butlin, Long et al., 2023, 120 citations'));
+
+  const general = await research.search('best pizza in NYC');
+  assert.deepStrictEqual(general.providers, ['tavily']);
+  assert.strictEqual(general.answer, 'Go to Joe\'s');
+
+  // Without the web, a general claim isn't handed to the paper sources
+  research.providers.tavily.documents = [];
+  const unrouted = await research.search('best pizza in NYC');
+  assert.strictEqual(unrouted.success, false, 'papers are no fallback for general claims');
+
+  // Paper sources are opt-in, and keep to their API's request rate
+  const configured = process.env.BRICK_RESEARCH_PROVIDERS;
+  delete process.env.BRICK_RESEARCH_PROVIDERS;
+  assert.deepStrictEqual(Object.keys(createResearchProviders()), ['tavily']);
+  if (configured !== undefined) process.env.BRICK_RESEARCH_PROVIDERS = configured;
+  const paced = new ArxivProvider({ arxivIntervalMs: 150 });
+  const fetchedAt = [];
+  paced.fetchFeed = async () => {
+    fetchedAt.push(Date.now());
+    return '<feed></feed>';
+  };
+  await Promise.all([paced.search('a'), paced.search('b'), paced.search('c')]);
+  const gaps = fetchedAt.slice(1).map((at, i) => at - fetchedAt[i]);
+  assert.ok(gaps.every(gap => gap >= 140), `arXiv requests should be spaced out (${gaps.join(', ')}ms apart)`);   // Timers may fire a ms early
+  assert.ok(paced.baseUrl.startsWith('https://'));
+}
+
+// The same question (or nearly) is answered from the cache, counted, and still there after a restart
+async function checkResearchCache() {
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  let searches = 0;
+  const web = {
+    isAvailable: () => true,
+    costOf: ({ depth }) => (depth === 'advanced' ? 2 : 1),
+    search: async () => {
+      searches++;
+      return { answer: 'Fungal networks trade sugar for nutrients', sources: [{ title: 'Wood wide web', url: 'https://example.com/fungi', snippet: 'Mycelium links trees.' }] };
+    }
+  };
+
+  const connect = (cache) => {
+    cache.supabase = database;
+    cache.initialized = true;   // initialize() would pick the database from the environment
+    return cache;
+  };
+
+  try {
+    const cache = connect(new BrickResearchCache());
+    const research = new BrickResearch({ providers: { tavily: web }, cache });
+
+    const first = await research.search('latest news on mycelium networks');
+    const reordered = await research.search('Mycelium networks: latest news?');
+    const nearly = await research.search('latest news on mycelium networks today');
+    assert.strictEqual(searches, 1, 'reworded and near-duplicate queries should come from the cache');
+    assert.ok(!first.cached && reordered.cached && nearly.cached);
+    assert.deepStrictEqual(nearly.sources, first.sources, 'a cached search returns what the live one did');
+    assert.deepStrictEqual(research.getUsage(), { tavily: { queries: 3, cache_hits: 2, credits: 1 } });
+
+    await research.search('latest news on mycelium networks', { depth: 'advanced' });
+    assert.strictEqual(searches, 2, 'depths are cached separately');
+
+    const restarted = connect(new BrickResearchCache());
+    await restarted.load();
+    web.search = async () => { throw new Error('offline'); };
+    const replayed = await new BrickResearch({ providers: { tavily: web }, cache: restarted }).search('latest news on mycelium networks');
+    assert.strictEqual(replayed.answer, first.answer, 'the cache survives a restart');
+    assert.strictEqual(restarted.getUsage().tavily.credits, 3);
+
+    for (const entry of restarted.entries.values()) entry.expires_at = new Date(Date.now() - 1000).toISOString();
+    assert.strictEqual(restarted.get('tavily', 'latest news on mycelium networks'), null, 'expired results are dropped');
+  } finally {
+    database.close();
+  }
+}
+
+// Claude calls tools while writing - within its budget, and every call lands on the thought
+async function checkToolUse() {
+  const database = new LocalDatabase({ dbPath: ':memory:' });
+  const requests = [];
+  const toolCall = (id, query) => ({
+    text: '',
+    content: [{ type: 'tool_use', id, name: 'recall_memory', input: { query } }],
+    stopReason: 'tool_use',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  });
+  const replies = [
+    toolCall('t1', 'mycelium'),
+    toolCall('t2', '@fungi_fan'),
+    toolCall('t3', 'one more'),
+    { text: 'Do trees gossip through fungi?', content: [{ type: 'text', text: 'Do trees gossip through fungi?' }], stopReason: 'end_turn', usage: { input_tokens: 0, output_tokens: 0 } }
+  ];
+
+  const recalled = [];
+  const memory = { recall: async (query) => { recalled.push(query); return [{ memory: `Talked about ${query}` }]; } };
+
+  try {
+    const journal = new BrickJournal();
+    journal.supabase = database;
+    const thought = await journal.logThinking('Replying to @fungi_fan');
+
+    const core = new BrickCore();
+    core.llm = new BrickLLM({ provider: { name: 'scripted', create: async (request) => { requests.push(request); return replies.shift(); } } });
+    core.useTools(createBrickTools({ memory }), {
+      maxToolCalls: 2,
+      onToolCalls: (calls, thoughtId) => journal.logToolCalls(calls, thoughtId)
+    });
+
+    const quietLog = console.log;
+    console.log = () => {};
+    const reply = await core.respond('Tweet from @fungi_fan: "Trees share food"', 'reply', { thoughtId: thought.id }).finally(() => { console.log = quietLog; });
+
+    assert.strictEqual(reply, 'Do trees gossip through fungi?');
+    assert.deepStrictEqual(recalled, ['mycelium', '@fungi_fan'], 'calls past the budget should not run');
+    assert.deepStrictEqual(requests[2].toolChoice, { type: 'none' }, 'a spent budget means answer now');
+    assert.strictEqual(requests[3].messages.at(-1).content[0].is_error, true);
+
+    const { data: logged } = await database.from('thoughts').select('*').eq('id', thought.id).single();
+    assert.deepStrictEqual(logged.tool_calls.map(c => c.input.query), ['mycelium', '@fungi_fan']);
+    assert.ok(logged.tool_calls.every(c => c.ok && c.result.startsWith('- Talked about')));
+
+    // Homi writes the replies - same tools, same budget, logged on the same thought
+    const draft = JSON.stringify({ response: 'Do trees keep score?', reasoning: 'They like forest lore', approach: 'question' });
+    replies.push(toolCall('t4', 'trees keeping score'), { text: draft, content: [{ type: 'text', text: draft }], stopReason: 'end_turn', usage: { input_tokens: 0, output_tokens: 0 } });
+    const squad = new BrickSquad();
+    squad.llm = core.llm;
+    const written = await squad.engage({ author: 'fungi_fan', text: 'Trees share food' }, {
+      tools: core.tools,
+      maxToolCalls: core.maxToolCalls,
+      onToolCalls: core.onToolCalls,
+      thoughtId: thought.id
+    });
+
+    assert.strictEqual(written.response, 'Do trees keep score?');
+    assert.ok(requests.at(-1).tools.some(t => t.name === 'recall_memory'), 'Homi should be offered the tools');
+    const { data: relogged } = await database.from('thoughts').select('*').eq('id', thought.id).single();
+    assert.deepStrictEqual(relogged.tool_calls.map(c => c.input.query), ['mycelium', '@fungi_fan', 'trees keeping score']);
+  } finally {
+    database.close();
+  }
+}
+
+// A stdio MCP server in a few lines - answers initialize, lists three tools, echoes calls
+const FAKE_MCP_SERVER = `
+const tools = ['search_knowledge', 'arxiv_search', 'delete_knowledge'].map(name => ({ name, description: name, inputSchema: { type: 'object' } }));
+require('readline').createInterface({ input: process.stdin }).on('line', line => {
+  const { id, method, params } = JSON.parse(line);
+  if (id === undefined) return;
+  if (params && params.arguments && params.arguments.query === 'crash') process.exit(1);
+  const result = method === 'initialize' ? { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake' } }
+    : method === 'tools/list' ? { tools }
+    : { content: [{ type: 'text', text: params.name + ': ' + params.arguments.query }], isError: params.arguments.query === 'boom' };
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\\n');
+});`;
+
+// Only allowlisted servers launch, only allowlisted tools show up, and calls come back as text
+async function checkMcpClient() {
+  const server = { command: process.execPath, args: ['-e', FAKE_MCP_SERVER], tools: ['search_knowledge', 'arxiv_search'] };
+  const mcp = new BrickMcp({ config: { knowledge: server, docs: server }, servers: 'knowledge' });
+
+  const quietLog = console.log;
+  const quietWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    await mcp.initialize();
+    assert.deepStrictEqual(Object.keys(mcp.connections), ['knowledge'], 'servers not in the allowlist should not launch');
+
+    const tools = mcp.getTools(['search_knowledge']);
+    assert.deepStrictEqual(Object.keys(tools).sort(), ['arxiv_search', 'knowledge__search_knowledge'],
+      'tools outside the allowlist stay hidden, and taken names get the server prefix');
+    assert.strictEqual(await tools.arxiv_search.run({ query: 'mycelium' }), 'arxiv_search: mycelium');
+    await assert.rejects(tools.arxiv_search.run({ query: 'boom' }), /arxiv_search: boom/);
+    await assert.rejects(mcp.connections.knowledge.callTool('delete_knowledge', {}), /not allowlisted/);
+
+    // A crash relaunches on the next call; one that keeps crashing stops being offered
+    const connection = mcp.connections.knowledge;
+    connection.maxRestarts = 1;
+    await assert.rejects(tools.arxiv_search.run({ query: 'crash' }), /exited/);
+    assert.strictEqual(await tools.arxiv_search.run({ query: 'spores' }), 'arxiv_search: spores', 'the next call should relaunch the server');
+    assert.strictEqual(connection.restarts, 1);
+    await assert.rejects(tools.arxiv_search.run({ query: 'crash' }), /exited/);
+    assert.strictEqual(tools.arxiv_search.available(), false, 'out of relaunches, the tool is no longer offered');
+    await assert.rejects(tools.arxiv_search.run({ query: 'spores' }), /not running/);
+
+    const offered = [];
+    const llm = new BrickLLM({ provider: { name: 'scripted', create: async (request) => { offered.push(request.tools); return { text: 'ok', content: [{ type: 'text', text: 'ok' }], stopReason: 'end_turn', usage: { input_tokens: 0, output_tokens: 0 } }; } } });
+    await llm.completeWithTools('core', { prompt: 'anything on spores?', tools });
+    assert.deepStrictEqual(offered, [undefined], 'a dead server\'s tools should not reach the model');
+  } finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+    mcp.close();
+  }
+}
+
+// Just a PNG header claiming width × height - enough for the media service to size it up
+function fakePng(width, height, padding = 64) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32BE(0x89504e47, 0);
+  header.writeUInt32BE(0x0d0a1a0a, 4);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return Buffer.concat([header, Buffer.alloc(padding)]);
+}
+
+// Images only from allowlisted hosts, within the byte and redirect limits, fetched once
+async function checkMediaService() {
+  const png = fakePng(800, 600);
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const redirect = (location) => { res.writeHead(302, { Location: location }); res.end(); };
+
+    if (req.url === '/photo.png' || req.url === '/same-photo.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(png);
+    } else if (req.url === '/huge.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });   // No content-length - it has to be counted
+      res.write(png);
+      res.end(Buffer.alloc(4096));
+    } else if (req.url === '/bomb.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(fakePng(100000, 100000));
+    } else if (req.url === '/hop') {
+      redirect('/hop-again');
+    } else if (req.url === '/hop-again') {
+      redirect('/photo.png');
+    } else if (req.url === '/away') {
+      redirect('http://example.com/photo.png');
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = (route) => `http://127.0.0.1:${server.address().port}${route}`;
+
+  const quietWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const strict = new BrickMedia();
+    assert.ok(strict.isAllowed('https://pbs.twimg.com/media/abc.jpg'));
+    for (const hostile of ['http://pbs.twimg.com/media/abc.jpg', 'https://pbs.twimg.com.evil.com/a.jpg', 'file:///etc/passwd', 'not a url']) {
+      assert.strictEqual(strict.isAllowed(hostile), false, `${hostile} should not be fetched`);
+    }
+
+    const media = new BrickMedia({ hosts: ['127.0.0.1'], protocols: ['http:'], maxBytes: 1024, maxRedirects: 1 });
+    const photo = await media.fetchImage(url('/photo.png'));
+    assert.deepStrictEqual(photo, { data: png.toString('base64'), mediaType: 'image/png' });
+
+    await media.fetchImage(url('/photo.png'));
+    await media.fetchImage(url('/same-photo.png'));
+    assert.strictEqual(hits['/photo.png'], 1, 'a cached URL is not downloaded again');
+    assert.strictEqual(media.byHash.size, 1, 'the same bytes at another URL share one cache entry');
+
+    assert.strictEqual(await media.fetchImage(url('/huge.png')), null, 'past maxBytes the download is cut');
+    assert.strictEqual(await media.fetchImage(url('/bomb.png')), null, 'a pixel bomb is never decoded');
+    assert.strictEqual(await media.fetchImage(url('/hop')), null, 'past maxRedirects it gives up');
+    assert.strictEqual(await media.fetchImage(url('/away')), null, 'redirects off the allowlist are refused');
+    assert.strictEqual(await media.fromBase64(Buffer.from('<svg onload=alert(1)>').toString('base64'), 'image/png'), null,
+      'the header decides what it is, not the claimed type');
+
+    // Text-only evaluations stay on the core model - vision is for calls that carry images
+    const core = new BrickCore();
+    core.media = media;
+    core.llm = new BrickLLM({ provider: { name: 'scripted', create: async () => ({ text: '', usage: { input_tokens: 0, output_tokens: 0 } }) } });
+    const quietError = console.error;
+    console.error = () => {};
+    try {
+      await core.evaluateCuriosity('Mycelium is a network');
+      assert.deepStrictEqual(Object.keys(core.llm.usage.byRole), ['core']);
+      await core.evaluateCuriosity('Look at this mycelium', '', [{ type: 'photo', url: url('/photo.png') }]);
+      assert.strictEqual(core.llm.usage.byRole.vision.calls, 1, 'a photo goes to the vision model');
+      await core.evaluateCuriosity('Look at this mycelium', '', [{ type: 'photo', url: url('/bomb.png') }]);
+      assert.strictEqual(core.llm.usage.byRole.vision.calls, 1, 'an image that never loaded leaves nothing to see');
+    } finally {
+      console.error = quietError;
+    }
+  } finally {
+    console.warn = quietWarn;
+    server.close();
+  }
+}
+
+// Videos are watched in workers within the tweet's budget - past it, the preview image stands in
+async function checkVideoWorkers() {
+  const mp4 = (bitRate, route) => ({ content_type: 'video/mp4', bit_rate: bitRate, url: route });
+  const hls = { content_type: 'application/x-mpegURL', url: 'https://video.twimg.com/v.m3u8' };
+  assert.strictEqual(pickVariant({ variants: [hls, mp4(2176000, 'big.mp4'), mp4(256000, 'small.mp4')] }).url, 'small.mp4');
+  assert.deepStrictEqual(pickVariant({ variants: [hls] }), { url: hls.url, format: 'hls', bitRate: null }, 'HLS only when there is no MP4');
+  assert.strictEqual(pickVariant({ variants: [] }), null);
+
+  // HLS: a master playlist over two renditions, and media playlists that stray or run long
+  const playlists = {
+    '/master.m3u8': '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=2176000\nhigh.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=256000,RESOLUTION=320x180\nlow.m3u8\n',
+    '/low.m3u8': '#EXTM3U\n#EXTINF:3.0,\nseg/a.ts\n#EXTINF:3.0,\nseg/b.ts\n#EXT-X-ENDLIST\n',
+    '/stray.m3u8': '#EXTM3U\n#EXTINF:3.0,\nhttps://elsewhere.example/a.ts\n#EXT-X-ENDLIST\n',
+    '/long.m3u8': `#EXTM3U\n${'#EXTINF:6.0,\nseg/a.ts\n'.repeat(25)}#EXT-X-ENDLIST\n`,
+    '/heavy.m3u8': '#EXTM3U\n#EXTINF:3.0,\nseg/heavy.ts\n#EXT-X-ENDLIST\n'
+  };
+  const segments = { '/seg/a.ts': 'AAAA', '/seg/b.ts': 'BBBB', '/seg/heavy.ts': 'H'.repeat(4096) };
+  const requested = [];
+
+  const trickle = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (playlists[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'application/x-mpegURL' });
+      return res.end(playlists[req.url]);
+    }
+    if (segments[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+      return res.end(segments[req.url]);
+    }
+    res.writeHead(200, { 'Content-Type': 'video/mp4' });
+    if (req.url === '/huge.mp4') return res.end(Buffer.alloc(4096));
+    if (req.url === '/small.mp4') return res.end(Buffer.alloc(64));
+    trickle.push(setInterval(() => res.write(Buffer.alloc(16)), 50));   // Never finishes
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = (route) => `http://127.0.0.1:${server.address().port}${route}`;
+  const tweetVideo = (route) => ({ type: 'video', previewUrl: 'https://pbs.twimg.com/preview.jpg', variants: [mp4(256000, url(route))] });
+
+  // Stands in for a worker stuck inside ffmpeg - leaves a file behind and never answers
+  const stuckWorker = path.join(os.tmpdir(), `brick-stuck-worker-${process.pid}.js`);
+  fs.writeFileSync(stuckWorker, `require('worker_threads').parentPort.on('message', job => {
+    require('fs').mkdirSync(job.dir, { recursive: true });
+    require('fs').writeFileSync(job.dir + '/video.mp4', 'partial');
+  });`);
+
+  // Stands in for an ffprobe that hangs - notes its pid, then sleeps past any budget
+  const hangingProbe = path.join(os.tmpdir(), `brick-hanging-ffprobe-${process.pid}`);
+  const probePid = `${hangingProbe}.pid`;
+  fs.writeFileSync(hangingProbe, `#!/bin/sh\necho $$ > ${probePid}\nexec sleep 30\n`, { mode: 0o755 });
+  const alive = (pid) => { try { process.kill(pid, 0); return true; } catch (error) { return false; } };
+
+  // Stands in for ffprobe on a stream - keeps a copy of what it was given, and calls it too long so ffmpeg never runs
+  const copyingProbe = path.join(os.tmpdir(), `brick-copying-ffprobe-${process.pid}`);
+  const probed = `${copyingProbe}.input`;
+  fs.writeFileSync(copyingProbe, `#!/bin/sh\ncat "$7" > ${probed}\necho '{"format":{"duration":"999"}}'\n`, { mode: 0o755 });
+  const tweetStream = (route) => ({ type: 'video', previewUrl: 'https://pbs.twimg.com/preview.jpg', variants: [{ content_type: 'application/x-mpegURL', url: url(route) }] });
+
+  const media = new BrickMedia({ hosts: ['127.0.0.1'], protocols: ['http:'] });
+  const video = new BrickVideo({ media, timeBudgetMs: 400, graceMs: 200, maxBytes: 1024 });
+  const stuck = new BrickVideo({ media, timeBudgetMs: 200, graceMs: 100, workerPath: stuckWorker });
+  const jobDirs = () => (fs.existsSync(video.tempDir) ? fs.readdirSync(video.tempDir).filter(f => f.startsWith('job_')) : []);
+
+  const quietWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const started = Date.now();
+    const slow = await video.watch([tweetVideo('/slow.mp4')]);
+    assert.ok(Date.now() - started < 1500, 'a slow download is cut off at the budget');
+    assert.deepStrictEqual(slow.previews, ['https://pbs.twimg.com/preview.jpg'], 'the preview image stands in');
+    assert.strictEqual(slow.frames.length, 0);
+
+    const huge = await video.watch([tweetVideo('/huge.mp4')]);
+    assert.deepStrictEqual(huge.previews, ['https://pbs.twimg.com/preview.jpg'], 'past maxBytes the preview stands in');
+
+    const hung = await stuck.watch([tweetVideo('/any.mp4')]);
+    assert.deepStrictEqual(hung.previews, ['https://pbs.twimg.com/preview.jpg']);
+    assert.strictEqual(stuck.workers.length, 0, 'a worker past its budget is terminated');
+    assert.deepStrictEqual(jobDirs(), [], 'temp files are cleaned up, even from a terminated worker');
+
+    const ffprobePath = process.env.FFPROBE_PATH;
+    process.env.FFPROBE_PATH = hangingProbe;
+    const probing = new BrickVideo({ media, timeBudgetMs: 400, graceMs: 200 });
+    try {
+      const probed = await probing.watch([tweetVideo('/small.mp4')]);
+      assert.deepStrictEqual(probed.previews, ['https://pbs.twimg.com/preview.jpg']);
+      const pid = Number(fs.readFileSync(probePid, 'utf-8'));
+      assert.ok(pid && !alive(pid), 'a hung ffprobe is killed, not left running');
+    } finally {
+      if (ffprobePath === undefined) delete process.env.FFPROBE_PATH;
+      else process.env.FFPROBE_PATH = ffprobePath;
+      await probing.close();
+    }
+
+    process.env.FFPROBE_PATH = copyingProbe;
+    const streaming = new BrickVideo({ media, timeBudgetMs: 2000, maxBytes: 1024 });
+    try {
+      const watched = await streaming.watch([tweetStream('/master.m3u8')]);
+      assert.strictEqual(fs.readFileSync(probed, 'utf-8'), 'AAAABBBB', 'the lowest rendition\'s segments are fetched and joined locally');
+      assert.ok(!requested.includes('/high.m3u8'));
+      assert.deepStrictEqual(watched.summaries, ['999s video, silent - too long to watch']);
+
+      const stray = await streaming.watch([tweetStream('/stray.m3u8')]);
+      assert.deepStrictEqual(stray, { frames: [], summaries: [], previews: ['https://pbs.twimg.com/preview.jpg'] }, 'segments off the allowlist are never fetched');
+
+      const heavy = await streaming.watch([tweetStream('/heavy.m3u8')]);
+      assert.deepStrictEqual(heavy.previews, ['https://pbs.twimg.com/preview.jpg'], 'segments share the byte cap');
+      assert.deepStrictEqual(heavy.summaries, []);
+
+      requested.length = 0;
+      const long = await streaming.watch([tweetStream('/long.m3u8')]);
+      assert.deepStrictEqual(long.summaries, ['150s video - too long to watch']);
+      assert.deepStrictEqual(requested, ['/long.m3u8'], 'a stream that runs too long is judged from its playlist alone');
+    } finally {
+      if (ffprobePath === undefined) delete process.env.FFPROBE_PATH;
+      else process.env.FFPROBE_PATH = ffprobePath;
+      await streaming.close();
+    }
+  } finally {
+    console.warn = quietWarn;
+    await video.close();
+    await stuck.close();
+    trickle.forEach(clearInterval);
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(stuckWorker, { force: true });
+    fs.rmSync(hangingProbe, { force: true });
+    fs.rmSync(probePid, { force: true });
+    fs.rmSync(copyingProbe, { force: true });
+    fs.rmSync(probed, { force: true });
+  }
+}
+
+// Supervised mode holds replies for the gardener, then the worker posts what was approved
+async function checkApprovalQueue() {
+  const { brick, dryRun, result } = await runDryCycle({ quiet: true, approval: ['reply', 'quote', 'deep'] });
+
+  assert.ok(!result.actions.some(a => ['reply', 'quote'].includes(a.type)), 'nothing should post before approval');
+  assert.ok(dryRun.approvalQueue.length > 0, 'approved drafts should be queued');
+  for (const row of dryRun.approvalQueue) {
+    assert.ok(row.scout_report && row.wise_judgment && row.guardrails, 'queued items carry the squad\'s reasoning');
+    assert.ok(row.target_tweet_id && row.content, 'queued items carry what to post');
+  }
+
+  await dryRun.decideApprovals('approved');
+  const quietLog = console.log;
+  const quietWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  let posted;
+  try {
+    posted = await brick.postApproved();
+  } finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+  }
+
+  assert.strictEqual(posted, Math.min(dryRun.approvalQueue.length, 5));
+  assert.ok(dryRun.approvalQueue.slice(0, posted).every(row => row.status === 'posted' && row.posted_tweet_id));
+  assert.strictEqual(dryRun.actions.filter(a => a.type === 'reply').length, posted, 'approved replies should post');
+}
+
+// Open routes answer anyone, admin routes only answer the token
+async function checkServer() {
+  const brick = new Brick();
+  brick.learning.savePreferences = () => {};
+  brick.learning.loadPreferences();
+  brick.core.llm.setProvider(new MockProvider());
+  const server = new BrickServer(brick, { port: 0, adminToken: 'test-token', gardenOrigin: 'https://garden.test' });
+
+  const quietLog = console.log;
+  const quietWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  await server.start();
+
+  const call = (method, path, body, token) => fetch(`http://127.0.0.1:${server.port}${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  try {
+    // Until initialize() is done only the healthcheck answers
+    assert.strictEqual((await call('GET', '/health')).status, 200);
+    assert.strictEqual((await call('POST', '/cycle', null, 'test-token')).status, 503);
+    assert.strictEqual((await call('GET', '/status')).status, 503);
+    brick.isReady = true;
+
+    const status = await (await call('GET', '/status')).json();
+    assert.strictEqual(status.mood, brick.emotions.currentState);
+    assert.strictEqual(status.cycleCount, 0);
+
+    assert.strictEqual((await call('POST', '/pause')).status, 401, 'admin routes need a token');
+    assert.strictEqual((await call('POST', '/pause', null, 'wrong')).status, 401);
+    assert.strictEqual((await call('POST', '/pause', null, 'test-token')).status, 200);
+    assert.strictEqual(brick.isPaused, true);
+    await call('POST', '/resume', null, 'test-token');
+    assert.strictEqual(brick.isPaused, false);
+
+    assert.strictEqual((await call('POST', '/emotion', { state: 'playful', intensity: 0.9 }, 'test-token')).status, 200);
+    assert.strictEqual(brick.emotions.currentState, 'playful');
+    assert.strictEqual((await call('POST', '/emotion', { state: 'furious' }, 'test-token')).status, 400);
+
+    // Gardener guidance becomes a lesson in every prompt until it's revoked
+    const gardener = await (await call('POST', '/gardener', { input: 'Stop quote-tweeting crypto people' }, 'test-token')).json();
+    assert.ok(gardener.response.includes('Stop quote-tweeting crypto people'));
+    assert.ok(brick.learning.getLearnedContext().includes(`MY GARDENER ASKED ME TO REMEMBER:\n- ${gardener.lesson}`));
+    const listed = await (await call('GET', '/gardener', null, 'test-token')).json();
+    assert.deepStrictEqual(listed.guidance.map(g => g.id), [gardener.id]);
+    assert.strictEqual((await call('POST', '/gardener/revoke', { id: gardener.id }, 'test-token')).status, 200);
+    assert.ok(!brick.learning.getLearnedContext().includes(gardener.lesson), 'revoked guidance leaves the prompt');
+    assert.strictEqual((await call('POST', '/gardener', { input: '  ' }, 'test-token')).status, 400);
+    assert.strictEqual((await call('GET', '/nowhere')).status, 404);
+    assert.strictEqual((await call('POST', '/approvals', { id: 'nope', decision: 'maybe' }, 'test-token')).status, 400);
+    assert.strictEqual((await call('POST', '/approvals', { id: 'nope', decision: 'approved' }, 'test-token')).status, 404);
+    assert.strictEqual((await call('POST', '/approvals', { id: 'nope', decision: 'approved' })).status, 401, 'only the admin token decides');
+
+    // The garden's browser may ask first; other origins get no CORS headers
+    const preflight = await fetch(`http://127.0.0.1:${server.port}/approvals`, { method: 'OPTIONS', headers: { Origin: 'https://garden.test' } });
+    assert.strictEqual(preflight.status, 204);
+    assert.strictEqual(preflight.headers.get('access-control-allow-origin'), 'https://garden.test');
+    const elsewhere = await fetch(`http://127.0.0.1:${server.port}/health`, { headers: { Origin: 'https://evil.test' } });
+    assert.strictEqual(elsewhere.headers.get('access-control-allow-origin'), null);
+
+    // Bodies are decoded once they're whole - a character split across chunks survives - and capped in bytes
+    const inPieces = await new Promise((resolve, reject) => {
+      const bytes = Buffer.from(JSON.stringify({ input: 'Water the quiet ones 🌱' }));
+      const cut = bytes.indexOf(Buffer.from('🌱')) + 2;   // Mid-character
+      const req = http.request({ host: '127.0.0.1', port: server.port, path: '/gardener', method: 'POST', headers: { Authorization: 'Bearer test-token' } }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve(JSON.parse(data)));
+      });
+      req.on('error', reject);
+      req.write(bytes.subarray(0, cut));
+      setTimeout(() => req.end(bytes.subarray(cut)), 20);
+    });
+    assert.ok(inPieces.response.includes('Water the quiet ones 🌱'));
+    assert.strictEqual((await call('POST', '/gardener', { input: 'é'.repeat(40000) }, 'test-token')).status, 413, '80KB of two-byte characters is over the cap');
+
+    // Streamed past the cap, the client still gets its 413 instead of a reset socket
+    const streamed = await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.port, path: '/gardener', method: 'POST', headers: { Authorization: 'Bearer test-token' } }, (res) => {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode, connection: res.headers.connection }));
+      });
+      req.on('error', reject);
+      const chunk = Buffer.alloc(20 * 1024, 'a');
+      for (let i = 0; i < 10; i++) req.write(chunk);
+      req.end();
+    });
+    assert.deepStrictEqual(streamed, { status: 413, connection: 'close' });
+
+    // Valid JSON that isn't an object is turned away before a handler reads fields off it
+    for (const body of ['null', '[]', '42']) {
+      const res = await fetch(`http://127.0.0.1:${server.port}/emotion`, { method: 'POST', headers: { Authorization: 'Bearer test-token' }, body });
+      assert.strictEqual(res.status, 400, `body ${body} should be rejected`);
+      assert.strictEqual((await res.json()).error, 'Body must be a JSON object');
+    }
+  } finally {
+    await server.stop();
+    console.log = quietLog;
+    console.warn = quietWarn;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('🧪 Running Brick cycle in dry-run mode...');
+  const { brick, dryRun, result } = await runDryCycle(options);
+  dryRun.printTrace();
+
+  const fixtures = dryRun.fixtures;
+  const ownTweets = [...fixtures.mentions, ...fixtures.timeline]
+    .filter(t => t.author.toLowerCase() === 'brickthee');
+
+  // Every tweet from someone else got an evaluation
+  const evaluated = result.trace.filter(e => e.step === 'evaluate');
+  assert.strictEqual(
+    evaluated.length,
+    fixtures.mentions.length + fixtures.timeline.length - ownTweets.length,
+    'every non-Brick tweet should be evaluated exactly once'
+  );
+
+  // Brick never talks to himself
+  for (const own of ownTweets) {
+    assert.ok(
+      !result.actions.some(a => a.tweetId === own.id),
+      `Brick acted on his own tweet ${own.id}`
+    );
+  }
+
+  // Nothing went over the character limit
+  for (const action of result.actions.filter(a => a.content)) {
+    assert.ok(action.content.length <= 280, `${action.type} is ${action.content.length} chars`);
+  }
+
+  // Nothing real was touched
+  assert.strictEqual(brick.twitter.client, null, 'twitter client must stay offline');
+  assert.strictEqual(brick.journal.supabase, null, 'journal must stay offline');
+  assert.strictEqual(brick.memory.memory, null, 'memory must stay offline');
+  assert.ok(result.llmCalls > 0, 'the mock model should have been consulted');
+  assert.strictEqual(result.cycleStats.llm_usage.calls, result.llmCalls, 'every model call should be accounted for');
+  assert.deepStrictEqual(result.cycleStats.schema_failures, {}, 'mock replies should all match their schemas');
+  assert.strictEqual(result.cycleStats.governor.mode, 'normal', 'a single cycle should stay within budget');
+
+  if (!options.fixturePath) {
+    // The built-in fixtures have clear-cut cases worth pinning down
+    const draftFor = (author) => dryRun.draftContexts.find(c => c.startsWith(`Tweet from @${author}:`)) || '';
+    const decisionFor = (author) => evaluated.find(e => e.subject === `@${author}`)?.detail || '';
+    assert.ok(decisionFor('crypto_shill').includes('skip'), 'shill tweets should be skipped');
+    assert.ok(decisionFor('food_lover').includes('skip'), 'off-domain tweets should be skipped');
+    assert.ok(result.cycleStats.opportunities_found > 0, 'the fixtures should spark something');
+    assert.ok(
+      draftFor('forest_floor').includes('Is a forest a slow conversation?'),
+      'a reply to Brick should be drafted with his earlier tweet in context'
+    );
+  }
+
+  await checkStructuredRepair();
+  await checkLLMTimeout();
+  await checkThreadPosting();
+  checkGovernor();
+  await checkRestingCycle();
+  await checkLikesOnlyCycle();
+  checkTopics();
+  await checkEmbeddings();
+  await checkLocalMemory();
+  await checkLocalDatabase();
+  await checkCuriosity();
+  await checkKnowledgeRetrieval();
+  await checkHomiWritesReplies();
+  await checkRevisionLoop();
+  await checkFactCheck();
+  await checkSourceStance();
+  await checkResearchProviders();
+  await checkResearchCache();
+  await checkToolUse();
+  await checkMcpClient();
+  await checkMediaService();
+  await checkVideoWorkers();
+  await checkApprovalQueue();
+  await checkServer();
+
+  console.log('\n✅ Dry run checks passed');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('\n❌ Dry run failed:', error.message);
+    process.exit(1);
+  });